@@ -7,7 +7,7 @@ import {
   getMetricsRow,
   getCountsSnapshot
 } from './metrics.js';
-import { dbGet, dbAll } from './db.js';
+import { dbGet, dbAll, dbRun } from './db.js';
 import { log, logError } from './log.js';
 import { recordHttpRequest, getHttpMetricsSnapshot } from './httpMetrics.js';
 import { CID } from 'multiformats/cid';
@@ -257,6 +257,16 @@ export function startHttpServer() {
       return;
     }
 
+    if (method === 'GET' && url.pathname === '/pins/present') {
+      void handleGetPresentPins(res);
+      return;
+    }
+
+    if (method === 'POST' && url.pathname === '/admin/reprocess') {
+      void handlePostReprocess(req, res);
+      return;
+    }
+
     res.statusCode = 404;
     res.setHeader('Content-Type', 'application/json');
     res.end(JSON.stringify({ error: 'not_found' }));
@@ -364,6 +374,120 @@ async function handleGetCid(url, res) {
   }
 }
 
+const REPROCESS_MAX_CIDS = 1000;
+const REPROCESS_MAX_BODY_BYTES = 256 * 1024;
+
+function readJsonBody(req, maxBytes) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+    req.on('data', (chunk) => {
+      size += chunk.length;
+      if (size > maxBytes) {
+        reject(Object.assign(new Error('body_too_large'), { code: 'BODY_TOO_LARGE' }));
+        req.destroy();
+        return;
+      }
+      chunks.push(chunk);
+    });
+    req.on('end', () => {
+      try {
+        const text = Buffer.concat(chunks).toString('utf8');
+        resolve(text ? JSON.parse(text) : {});
+      } catch {
+        reject(Object.assign(new Error('bad_json'), { code: 'BAD_JSON' }));
+      }
+    });
+    req.on('error', reject);
+  });
+}
+
+// Clears detection state so the type crawler (and, for directories, the expander) picks the
+// CIDs up again on their next pass. Body: { "cids": [...] } or { "all": true }.
+async function handlePostReprocess(req, res) {
+  const sendJson = (statusCode, body) => {
+    res.statusCode = statusCode;
+    res.setHeader('Content-Type', 'application/json');
+    res.end(JSON.stringify(body));
+  };
+
+  try {
+    let body;
+    try {
+      body = await readJsonBody(req, REPROCESS_MAX_BODY_BYTES);
+    } catch (err) {
+      return sendJson(400, { error: err?.code === 'BODY_TOO_LARGE' ? 'body_too_large' : 'bad_json' });
+    }
+
+    const all = body?.all === true;
+    const requested = Array.isArray(body?.cids)
+      ? Array.from(new Set(body.cids.map((c) => String(c || '').trim()).filter(Boolean)))
+      : [];
+
+    if (!all && requested.length === 0) {
+      return sendJson(400, { error: 'cids_required' });
+    }
+    if (requested.length > REPROCESS_MAX_CIDS) {
+      return sendJson(400, { error: 'too_many_cids', max: REPROCESS_MAX_CIDS });
+    }
+
+    const reset = `
+      detector_version = NULL,
+      error = NULL,
+      expanded_at = CASE WHEN is_directory = 1 THEN NULL ELSE expanded_at END
+    `;
+
+    let updated = 0;
+    if (all) {
+      const result = await dbRun(`UPDATE cids SET ${reset} WHERE present = 1`);
+      updated = result?.changes ?? 0;
+    } else {
+      const candidates = Array.from(new Set(requested.flatMap(buildCidLookupCandidates)));
+      const placeholders = candidates.map(() => '?').join(', ');
+      const result = await dbRun(
+        `UPDATE cids SET ${reset} WHERE cid IN (${placeholders})`,
+        candidates
+      );
+      updated = result?.changes ?? 0;
+    }
+
+    log(`[admin] reprocess requested all=${all} cids=${requested.length} updated=${updated}`);
+    return sendJson(200, { ok: true, all, requested: requested.length, updated });
+  } catch (err) {
+    logError('/admin/reprocess error', err);
+    return sendJson(500, { error: 'internal_error' });
+  }
+}
+
+// Pin roots the last pinSync pass saw in Kubo (present_source = 'pinls'); node_api compares
+// them with its wallet tables and the live pin set to detect drift.
+async function handleGetPresentPins(res) {
+  try {
+    const [rows, metrics] = await Promise.all([
+      dbAll(
+        `SELECT cid FROM cids
+         WHERE present = 1 AND present_source = 'pinls'
+         ORDER BY cid ASC`
+      ),
+      getMetricsRow()
+    ]);
+    res.statusCode = 200;
+    res.setHeader('Content-Type', 'application/json');
+    res.end(
+      JSON.stringify({
+        cids: rows.map((r) => r.cid),
+        pins_last_refresh_ts: metrics?.pins_last_refresh_ts ?? null,
+        pins_last_refresh_success: metrics?.pins_last_refresh_success ?? null
+      })
+    );
+  } catch (err) {
+    logError('/pins/present error', err);
+    res.statusCode = 500;
+    res.setHeader('Content-Type', 'application/json');
+    res.end(JSON.stringify({ error: 'internal_error' }));
+  }
+}
+
 async function handleGetMetricsState(res) {
   try {
     const [counts, row] = await Promise.all([
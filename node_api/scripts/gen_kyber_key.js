@@ -1,9 +1,20 @@
 #!/usr/bin/env node
 import { ml_kem768 } from '@noble/post-quantum/ml-kem.js';
-import { access, writeFile } from 'node:fs/promises';
+import { access, readFile, rename, writeFile } from 'node:fs/promises';
 import { constants as fsConstants } from 'node:fs';
-import { createHash, webcrypto, randomBytes as nodeRandomBytes } from 'node:crypto';
+import {
+  createHash,
+  generateKeyPairSync,
+  webcrypto,
+  randomBytes as nodeRandomBytes
+} from 'node:crypto';
 import process from 'node:process';
+import { loadKyberKeyFile } from '../src/lib/kyberContext.js';
+import {
+  checkKyberRegistration,
+  describeLocalKyberKey
+} from '../src/lib/gatewayRegistration.js';
+import { CONFIG } from '../src/config.js';
 
 // Ensure crypto.getRandomValues is available for @noble/post-quantum in Node.js
 if (
@@ -27,22 +38,62 @@ if (
   }
 }
 
+// Usage:
+//   gen_kyber_key.js [generate] [--hybrid] [--write-secret <path>]
+//   gen_kyber_key.js verify <key-file>
+//   gen_kyber_key.js rotate <key-file> [--hybrid] [--grace-days <n>] [--out <path>]
+//   gen_kyber_key.js check-chain <key-file> [--operator <lmn1...>]
+const COMMANDS = new Set(['generate', 'verify', 'rotate', 'check-chain']);
+const DEFAULT_GRACE_DAYS = 14;
+
 function parseArgs(argv) {
   const args = argv.slice(2);
   const out = {
-    writeSecretPath: null
+    command: 'generate',
+    keyPath: null,
+    writeSecretPath: null,
+    outPath: null,
+    operator: null,
+    graceDays: DEFAULT_GRACE_DAYS,
+    hybrid: false
+  };
+  if (args.length && COMMANDS.has(args[0])) {
+    out.command = args.shift();
+  }
+  const takeValue = (i, name) => {
+    const next = args[i + 1];
+    if (!next || next.startsWith('--')) {
+      throw new Error(`missing_value_for_${name}`);
+    }
+    return next;
   };
   for (let i = 0; i < args.length; i += 1) {
     const arg = args[i];
     if (arg === '--write-secret') {
-      const next = args[i + 1];
-      if (!next || next.startsWith('--')) {
-        throw new Error('missing_path_for_write_secret');
-      }
-      out.writeSecretPath = next;
+      out.writeSecretPath = takeValue(i, 'write_secret');
+      i += 1;
+    } else if (arg === '--out') {
+      out.outPath = takeValue(i, 'out');
+      i += 1;
+    } else if (arg === '--operator') {
+      out.operator = takeValue(i, 'operator');
       i += 1;
+    } else if (arg === '--grace-days') {
+      const n = Number(takeValue(i, 'grace_days'));
+      if (!Number.isFinite(n) || n < 0) throw new Error('invalid_grace_days');
+      out.graceDays = n;
+      i += 1;
+    } else if (arg === '--hybrid') {
+      out.hybrid = true;
+    } else if (!arg.startsWith('--') && !out.keyPath) {
+      out.keyPath = arg;
+    } else {
+      throw new Error(`unknown_argument: ${arg}`);
     }
   }
+  if (out.command !== 'generate' && !out.keyPath) {
+    throw new Error(`missing_key_file_for_${out.command}`);
+  }
   return out;
 }
 
@@ -65,51 +116,185 @@ function sha256Base64(bytes) {
   return hash.digest('base64');
 }
 
-function generateKeyId() {
+// Raw 32-byte X25519 keypair for the hybrid "x25519-kyber768" KEM.
+function generateX25519() {
+  const { publicKey, privateKey } = generateKeyPairSync('x25519');
+  const jwk = privateKey.export({ format: 'jwk' });
+  return {
+    publicKey: Buffer.from(publicKey.export({ format: 'jwk' }).x, 'base64url'),
+    secretKey: Buffer.from(jwk.d, 'base64url')
+  };
+}
+
+function generateKeyId(taken = new Set()) {
   const now = new Date();
   const year = now.getUTCFullYear();
   const month = String(now.getUTCMonth() + 1).padStart(2, '0');
-  return `gw-${year}-${month}`;
+  const base = `gw-${year}-${month}`;
+  if (!taken.has(base)) return base;
+  for (let n = 2; ; n += 1) {
+    const candidate = `${base}-${n}`;
+    if (!taken.has(candidate)) return candidate;
+  }
 }
 
-async function main() {
-  const { writeSecretPath } = parseArgs(process.argv);
-
+function generateKeyEntry({ keyId, hybrid }) {
   const { publicKey, secretKey } = ml_kem768.keygen();
-  const keyId = generateKeyId();
-
-  const gatewayMetadata = {
-    crypto: {
-      kyber: {
-        alg: 'kyber768',
-        key_id: keyId,
-        pubkey_hash: sha256Base64(publicKey)
-      }
-    }
+
+  const metadata = {
+    alg: 'kyber768',
+    key_id: keyId,
+    pubkey_hash: sha256Base64(publicKey)
   };
 
-  const gatewayLocalSecret = {
+  const secret = {
     alg: 'kyber768',
     key_id: keyId,
     pubkey: toBase64(publicKey),
     privkey: toBase64(secretKey)
   };
 
+  if (hybrid) {
+    const x25519 = generateX25519();
+    secret.x25519_pubkey = toBase64(x25519.publicKey);
+    secret.x25519_privkey = toBase64(x25519.secretKey);
+    // Hash over x25519_pub || kyber_pub, matching hybrid_pubkey_hash in /pq/pub.
+    metadata.hybrid_pubkey_hash = sha256Base64(
+      Buffer.concat([x25519.publicKey, Buffer.from(publicKey)])
+    );
+  }
+
+  return { metadata, secret };
+}
+
+// Secret files are rewritten through a temp file so a crash never leaves a truncated keyring.
+async function writeSecretFile(path, value) {
+  const tmpPath = `${path}.tmp-${process.pid}`;
+  await writeFile(tmpPath, `${JSON.stringify(value, null, 2)}\n`, { encoding: 'utf8', mode: 0o600 });
+  await rename(tmpPath, path);
+}
+
+function printJson(value) {
+  // Single JSON object to stdout, no extra logs
+  process.stdout.write(`${JSON.stringify(value, null, 2)}\n`);
+}
+
+async function runGenerate({ writeSecretPath, hybrid }) {
+  const { metadata, secret } = generateKeyEntry({ keyId: generateKeyId(), hybrid });
+
   if (writeSecretPath) {
     if (await fileExists(writeSecretPath)) {
       throw new Error('secret_path_already_exists');
     }
-    const secretJson = JSON.stringify(gatewayLocalSecret, null, 2);
+    const secretJson = JSON.stringify(secret, null, 2);
     await writeFile(writeSecretPath, `${secretJson}\n`, 'utf8');
   }
 
-  const output = {
-    gateway_metadata: gatewayMetadata,
-    gateway_local_secret: gatewayLocalSecret
-  };
+  printJson({
+    gateway_metadata: { crypto: { kyber: metadata } },
+    gateway_local_secret: secret
+  });
+  return 0;
+}
 
-  // Single JSON object to stdout, no extra logs
-  process.stdout.write(`${JSON.stringify(output, null, 2)}\n`);
+function checkKeyPair(key) {
+  const problems = [];
+  if (key.pubKeyBytes.length !== ml_kem768.lengths.publicKey) problems.push('pubkey_length');
+  if (key.privKeyBytes.length !== ml_kem768.lengths.secretKey) problems.push('privkey_length');
+  if (problems.length) return problems;
+
+  try {
+    const { cipherText, sharedSecret } = ml_kem768.encapsulate(key.pubKeyBytes);
+    const recovered = ml_kem768.decapsulate(cipherText, key.privKeyBytes);
+    // ML-KEM decapsulation never throws on a foreign key; it returns an unrelated secret.
+    if (!Buffer.from(recovered).equals(Buffer.from(sharedSecret))) problems.push('keypair_mismatch');
+  } catch {
+    problems.push('roundtrip_failed');
+  }
+  return problems;
+}
+
+async function runVerify({ keyPath }) {
+  // Structural problems (bad JSON, bad base64, mismatched X25519 pair) exit via FATAL.
+  const keyring = await loadKyberKeyFile(keyPath);
+  const now = Date.now();
+  const keys = [keyring.current, ...keyring.retiring].map((key) => {
+    const problems = checkKeyPair(key);
+    return {
+      key_id: key.keyId,
+      current: key === keyring.current,
+      hybrid: !!key.x25519,
+      deprecated_at: key.deprecatedAt != null ? new Date(key.deprecatedAt).toISOString() : null,
+      expired: key.deprecatedAt != null && key.deprecatedAt <= now,
+      ...describeLocalKyberKey(key),
+      ok: problems.length === 0,
+      problems
+    };
+  });
+  const ok = keys.every((k) => k.ok);
+  printJson({ ok, path: keyPath, keys });
+  return ok ? 0 : 1;
+}
+
+async function runRotate({ keyPath, outPath, graceDays, hybrid }) {
+  // Validate first; then work on the raw JSON so existing entries are kept byte-for-byte.
+  const keyring = await loadKyberKeyFile(keyPath);
+  const parsed = JSON.parse(await readFile(keyPath, 'utf8'));
+  const entries = Array.isArray(parsed.keys) ? parsed.keys.map((k) => ({ ...k })) : [{ ...parsed }];
+
+  const oldCurrentId = keyring.current.keyId;
+  const deprecatedAt = new Date(Date.now() + graceDays * 24 * 60 * 60 * 1000).toISOString();
+  for (const entry of entries) {
+    if (String(entry.key_id || '').trim() === oldCurrentId) entry.deprecated_at = deprecatedAt;
+  }
+
+  const taken = new Set(entries.map((k) => String(k.key_id || '').trim()));
+  const { metadata, secret } = generateKeyEntry({
+    keyId: generateKeyId(taken),
+    hybrid: hybrid || !!keyring.current.x25519
+  });
+
+  const next = { current: secret.key_id, keys: [secret, ...entries] };
+  const target = outPath || keyPath;
+  if (outPath && (await fileExists(outPath))) {
+    throw new Error('out_path_already_exists');
+  }
+  await writeSecretFile(target, next);
+
+  printJson({
+    gateway_metadata: { crypto: { kyber: metadata } },
+    keyring: {
+      path: target,
+      current: secret.key_id,
+      keys: next.keys.map((k) => ({ key_id: k.key_id, deprecated_at: k.deprecated_at || null }))
+    }
+  });
+  return 0;
+}
+
+async function runCheckChain({ keyPath, operator }) {
+  const addr = String(operator || CONFIG.OPERATOR?.address || '').trim();
+  if (!addr) throw new Error('operator_address_required');
+
+  const keyring = await loadKyberKeyFile(keyPath);
+  const { checkedAt, ...result } = await checkKyberRegistration({ operator: addr, keyring });
+  printJson({
+    ok: result.status === 'match',
+    chain_rest: CONFIG.CHAIN_REST_BASE_URL || null,
+    checked_at: new Date(checkedAt).toISOString(),
+    ...result
+  });
+  return result.status === 'match' ? 0 : 1;
+}
+
+async function main() {
+  const opts = parseArgs(process.argv);
+  let code = 0;
+  if (opts.command === 'verify') code = await runVerify(opts);
+  else if (opts.command === 'rotate') code = await runRotate(opts);
+  else if (opts.command === 'check-chain') code = await runCheckChain(opts);
+  else code = await runGenerate(opts);
+  process.exitCode = code;
 }
 
 main().catch((err) => {
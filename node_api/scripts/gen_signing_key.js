@@ -0,0 +1,139 @@
+#!/usr/bin/env node
+import { ml_dsa65 } from '@noble/post-quantum/ml-dsa.js';
+import { Secp256k1 } from '@cosmjs/crypto';
+import { access, writeFile } from 'node:fs/promises';
+import { constants as fsConstants } from 'node:fs';
+import { createHash, webcrypto, randomBytes as nodeRandomBytes } from 'node:crypto';
+import process from 'node:process';
+
+// Ensure crypto.getRandomValues is available for @noble/post-quantum in Node.js
+if (
+  typeof globalThis.crypto === 'undefined' ||
+  typeof globalThis.crypto.getRandomValues !== 'function'
+) {
+  if (webcrypto && typeof webcrypto.getRandomValues === 'function') {
+    // eslint-disable-next-line no-global-assign
+    globalThis.crypto = webcrypto;
+  } else {
+    // eslint-disable-next-line no-global-assign
+    globalThis.crypto = {
+      getRandomValues(b) {
+        const buf = nodeRandomBytes(b.length);
+        b.set(buf);
+        return b;
+      }
+    };
+  }
+}
+
+function parseArgs(argv) {
+  const args = argv.slice(2);
+  const out = {
+    writeSecretPath: null,
+    alg: 'secp256k1'
+  };
+  for (let i = 0; i < args.length; i += 1) {
+    const arg = args[i];
+    if (arg === '--write-secret') {
+      const next = args[i + 1];
+      if (!next || next.startsWith('--')) {
+        throw new Error('missing_path_for_write_secret');
+      }
+      out.writeSecretPath = next;
+      i += 1;
+    } else if (arg === '--alg') {
+      const next = String(args[i + 1] || '').trim().toLowerCase();
+      if (next !== 'secp256k1' && next !== 'ml-dsa-65') {
+        throw new Error('alg_must_be_secp256k1_or_ml-dsa-65');
+      }
+      out.alg = next;
+      i += 1;
+    }
+  }
+  return out;
+}
+
+async function fileExists(path) {
+  try {
+    await access(path, fsConstants.F_OK);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+function toBase64(bytes) {
+  return Buffer.from(bytes).toString('base64');
+}
+
+function sha256Base64(bytes) {
+  const hash = createHash('sha256');
+  hash.update(bytes);
+  return hash.digest('base64');
+}
+
+function generateKeyId() {
+  const now = new Date();
+  const year = now.getUTCFullYear();
+  const month = String(now.getUTCMonth() + 1).padStart(2, '0');
+  return `gw-sig-${year}-${month}`;
+}
+
+async function generateKeyPair(alg) {
+  if (alg === 'ml-dsa-65') {
+    return ml_dsa65.keygen();
+  }
+  const secretKey = new Uint8Array(nodeRandomBytes(32));
+  const kp = await Secp256k1.makeKeypair(secretKey);
+  return { publicKey: Secp256k1.compressPubkey(kp.pubkey), secretKey };
+}
+
+async function main() {
+  const { writeSecretPath, alg } = parseArgs(process.argv);
+
+  const { publicKey, secretKey } = await generateKeyPair(alg);
+  const keyId = generateKeyId();
+
+  // Published next to crypto.kyber; ML-DSA public keys are large, so only the hash goes on-chain
+  // and clients fetch the key itself from /pq/pub (field "signing").
+  const gatewayMetadata = {
+    crypto: {
+      signing: {
+        alg,
+        key_id: keyId,
+        pubkey_hash: sha256Base64(publicKey)
+      }
+    }
+  };
+
+  const gatewayLocalSecret = {
+    alg,
+    key_id: keyId,
+    pubkey: toBase64(publicKey),
+    privkey: toBase64(secretKey)
+  };
+
+  if (writeSecretPath) {
+    if (await fileExists(writeSecretPath)) {
+      throw new Error('secret_path_already_exists');
+    }
+    const secretJson = JSON.stringify(gatewayLocalSecret, null, 2);
+    await writeFile(writeSecretPath, `${secretJson}\n`, 'utf8');
+  }
+
+  const output = {
+    gateway_metadata: gatewayMetadata,
+    gateway_local_secret: gatewayLocalSecret
+  };
+
+  // Single JSON object to stdout, no extra logs
+  process.stdout.write(`${JSON.stringify(output, null, 2)}\n`);
+}
+
+main().catch((err) => {
+  // Errors are printed to stderr; stdout remains clean JSON-only on success
+  process.stderr.write(
+    `${err && err.message ? String(err.message) : 'gen_signing_key_failed'}\n`
+  );
+  process.exit(1);
+});
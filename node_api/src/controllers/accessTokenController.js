@@ -0,0 +1,85 @@
+import {
+  issueAccessToken,
+  normalizeScopes,
+  describeAccessToken
+} from '../lib/accessTokens.js';
+import { listWalletAccessTokens, revokeWalletAccessToken } from '../lib/walletDb.js';
+import { sendPqJson } from '../lib/pqResponse.js';
+
+export async function postWalletTokenCreate(req, res) {
+  try {
+    const wallet = String(req.wallet || '').trim();
+
+    const send = (statusCode, body) =>
+      sendPqJson(req, res, statusCode, body, 'api:/wallet/tokens');
+
+    if (!wallet) return send(400, { error: 'wallet_required' });
+
+    const scopes = normalizeScopes(req.body?.scopes);
+    if (!scopes.ok) {
+      return send(400, { error: scopes.error, unknown: scopes.unknown });
+    }
+
+    const maxBytesRaw = req.body?.max_bytes ?? req.body?.maxBytes;
+    let maxBytes = null;
+    if (maxBytesRaw != null) {
+      const n = Number(maxBytesRaw);
+      if (!Number.isFinite(n) || n <= 0) return send(400, { error: 'max_bytes_invalid' });
+      maxBytes = Math.floor(n);
+    }
+
+    const { token, record } = await issueAccessToken({
+      wallet,
+      scopes: scopes.scopes,
+      ttlSec: req.body?.ttl_sec ?? req.body?.ttlSec,
+      maxBytes,
+      label: req.body?.label
+    });
+
+    // The token itself is only ever returned here.
+    return send(200, { ok: true, wallet, token, ...describeAccessToken(record) });
+  } catch (err) {
+    // eslint-disable-next-line no-console
+    console.error('[api:/wallet/tokens] error', err);
+    return sendPqJson(req, res, 500, { error: 'internal_error' }, 'api:/wallet/tokens');
+  }
+}
+
+export async function postWalletTokenList(req, res) {
+  try {
+    const wallet = String(req.wallet || '').trim();
+
+    const send = (statusCode, body) =>
+      sendPqJson(req, res, statusCode, body, 'api:/wallet/tokens/list');
+
+    if (!wallet) return send(400, { error: 'wallet_required' });
+
+    const tokens = await listWalletAccessTokens(wallet);
+    return send(200, { ok: true, wallet, tokens: tokens.map(describeAccessToken) });
+  } catch (err) {
+    // eslint-disable-next-line no-console
+    console.error('[api:/wallet/tokens/list] error', err);
+    return sendPqJson(req, res, 500, { error: 'internal_error' }, 'api:/wallet/tokens/list');
+  }
+}
+
+export async function postWalletTokenRevoke(req, res) {
+  try {
+    const wallet = String(req.wallet || '').trim();
+
+    const send = (statusCode, body) =>
+      sendPqJson(req, res, statusCode, body, 'api:/wallet/tokens/revoke');
+
+    if (!wallet) return send(400, { error: 'wallet_required' });
+
+    const tokenId = String(req.body?.token_id || req.body?.tokenId || '').trim();
+    if (!tokenId) return send(400, { error: 'token_id_required' });
+
+    const revoked = await revokeWalletAccessToken(wallet, tokenId);
+    return send(200, { ok: true, wallet, token_id: tokenId, revoked });
+  } catch (err) {
+    // eslint-disable-next-line no-console
+    console.error('[api:/wallet/tokens/revoke] error', err);
+    return sendPqJson(req, res, 500, { error: 'internal_error' }, 'api:/wallet/tokens/revoke');
+  }
+}
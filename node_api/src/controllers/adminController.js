@@ -6,6 +6,18 @@ import { getWalletRecord, getAllWalletRecords, getRegistryStats } from '../lib/w
 import { getChainStatus, ensureChainOnline } from '../lib/chain.js';
 import { kuboRequest } from '../lib/kuboClient.js';
 import { getHttpMetricsSnapshot } from '../services/httpMetrics.js';
+import { getPqMetricsSnapshot } from '../services/pqMetrics.js';
+import { getPqSessionStats } from '../lib/pqSessions.js';
+import { getRateLimitMetricsSnapshot } from '../services/rateLimitMetrics.js';
+import { getRateLimiterStats } from '../lib/rateLimiter.js';
+import { isAdminAllowlisted } from '../lib/ipAllowlist.js';
+import { getPinJobStats } from '../services/pinJobs.js';
+import { getPinDriftStats } from '../services/pinDrift.js';
+import { sendPqJson } from '../lib/pqResponse.js';
+import {
+  getRegistrationCheckState,
+  REGISTRATION_STATUSES
+} from '../lib/gatewayRegistration.js';
 
 let lastIpfsCheckAt = 0;
 let lastIpfsOnline = false;
@@ -115,26 +127,10 @@ export async function getWallet(req, res) {
   res.json(rec);
 }
 
-function isPrivateIp(remote) {
-  if (!remote || typeof remote !== 'string') return false;
-  const ip = remote.replace(/^::ffff:/, '');
-  if (ip === '127.0.0.1' || ip === '::1') return true;
-  if (ip.startsWith('10.') || ip.startsWith('192.168.')) return true;
-  if (ip.startsWith('172.')) {
-    const parts = ip.split('.');
-    const second = Number.parseInt(parts[1] || '0', 10);
-    if (second >= 16 && second <= 31) return true;
-  }
-  return false;
-}
-
-export async function getMetrics(req, res) {
-  const remote = (req.socket && req.socket.remoteAddress) || '';
-  if (!isPrivateIp(remote)) {
-    return res.status(403).send('metrics_forbidden');
-  }
+async function buildMetricsText() {
   const stats = await computeStats();
   const httpMetrics = getHttpMetricsSnapshot();
+  const pqMetrics = getPqMetricsSnapshot();
 
   const lines = [];
   // core counters
@@ -217,8 +213,110 @@ export async function getMetrics(req, res) {
     }
   }
 
+  // State set: exactly one status is 1 (local Kyber key vs on-chain gateway metadata)
+  const registration = getRegistrationCheckState();
+  lines.push(`# TYPE gateway_kyber_chain_check gauge`);
+  for (const status of REGISTRATION_STATUSES) {
+    lines.push(
+      `gateway_kyber_chain_check{status="${status}"} ${registration.status === status ? 1 : 0}`
+    );
+  }
+
+  const pinJobs = getPinJobStats();
+  lines.push(`# TYPE gateway_pin_jobs_running gauge`);
+  lines.push(`gateway_pin_jobs_running ${pinJobs.running}`);
+  lines.push(`# TYPE gateway_pin_jobs_queued gauge`);
+  lines.push(`gateway_pin_jobs_queued ${pinJobs.queued}`);
+
+  // Pin-set drift (services/pinDrift.js); the gauges appear after the first complete pass.
+  const drift = getPinDriftStats();
+  const lastDrift = drift.lastRun;
+  if (lastDrift && lastDrift.missing_pins) {
+    lines.push(`# TYPE gateway_pin_drift_missing gauge`);
+    lines.push(`gateway_pin_drift_missing{kind="pin"} ${lastDrift.missing_pins.total}`);
+    lines.push(`gateway_pin_drift_missing{kind="root"} ${lastDrift.missing_roots.total}`);
+    lines.push(`# TYPE gateway_pin_drift_orphans gauge`);
+    lines.push(`gateway_pin_drift_orphans ${lastDrift.orphans.total}`);
+    if (lastDrift.indexer_checked) {
+      lines.push(`# TYPE gateway_pin_drift_indexer_mismatch gauge`);
+      const { indexer_missing: idxMissing, indexer_stale: idxStale } = lastDrift;
+      lines.push(`gateway_pin_drift_indexer_mismatch{kind="missing"} ${idxMissing.total}`);
+      lines.push(`gateway_pin_drift_indexer_mismatch{kind="stale"} ${idxStale.total}`);
+    }
+  }
+  if (lastDrift) {
+    lines.push(`# TYPE gateway_pin_drift_last_run_timestamp_seconds gauge`);
+    lines.push(
+      `gateway_pin_drift_last_run_timestamp_seconds ${Math.floor(lastDrift.finished_at / 1000)}`
+    );
+    lines.push(`# TYPE gateway_pin_drift_last_run_success gauge`);
+    lines.push(`gateway_pin_drift_last_run_success ${lastDrift.error ? 0 : 1}`);
+  }
+  lines.push(`# TYPE gateway_pin_drift_repaired_total counter`);
+  lines.push(`gateway_pin_drift_repaired_total{result="repinned"} ${drift.repairedTotal}`);
+  lines.push(`gateway_pin_drift_repaired_total{result="failed"} ${drift.repairFailedTotal}`);
+
+  lines.push(`# TYPE gateway_pq_sessions_active gauge`);
+  lines.push(`gateway_pq_sessions_active ${getPqSessionStats().active}`);
+
+  // PQ requests per Kyber key_id (tells operators when a retiring key is unused)
+  if (pqMetrics.keyUse.length > 0) {
+    lines.push(`# TYPE gateway_pq_requests_total counter`);
+    for (const k of pqMetrics.keyUse) {
+      const keyId = String(k.keyId || '')
+        .replace(/\\/g, '\\\\')
+        .replace(/"/g, '\\"');
+      const result = String(k.result || '')
+        .replace(/\\/g, '\\\\')
+        .replace(/"/g, '\\"');
+      const count = Number.isFinite(k.count) && k.count >= 0 ? k.count : 0;
+      lines.push(`gateway_pq_requests_total{key_id="${keyId}",result="${result}"} ${count}`);
+    }
+  }
+
+  // Rate limiting: rejections per scope (ip / wallet) and matched route key
+  const rateLimitMetrics = getRateLimitMetricsSnapshot();
+  lines.push(`# TYPE gateway_rate_limited_total counter`);
+  for (const r of rateLimitMetrics.rejected) {
+    const route = String(r.route || '')
+      .replace(/\\/g, '\\\\')
+      .replace(/"/g, '\\"');
+    lines.push(`gateway_rate_limited_total{scope="${r.scope}",route="${route}"} ${r.count}`);
+  }
+  const rateLimiter = getRateLimiterStats();
+  lines.push(`# TYPE gateway_rate_limit_buckets gauge`);
+  lines.push(`gateway_rate_limit_buckets{scope="ip"} ${rateLimiter.buckets.ip}`);
+  lines.push(`gateway_rate_limit_buckets{scope="wallet"} ${rateLimiter.buckets.wallet}`);
+
+  return lines.join('\n') + '\n';
+}
+
+// Scrapers on the admin allowlist (Prometheus) read plain text; operators elsewhere use
+// POST /admin/metrics with a signed PQ envelope.
+export async function getMetrics(req, res) {
+  if (!isAdminAllowlisted(req)) {
+    return res.status(403).send('metrics_forbidden');
+  }
+  const text = await buildMetricsText();
   res.setHeader('Content-Type', 'text/plain; version=0.0.4; charset=utf-8');
-  res.send(lines.join('\n') + '\n');
+  res.send(text);
+}
+
+export async function postAdminMetrics(req, res) {
+  try {
+    const text = await buildMetricsText();
+    return sendPqJson(
+      req,
+      res,
+      200,
+      { ok: true, content_type: 'text/plain; version=0.0.4', metrics: text },
+      'api:/admin/metrics'
+    );
+  } catch (err) {
+    // eslint-disable-next-line no-console
+    console.error('[api:/admin/metrics] error', err);
+    return sendPqJson(req, res, 500, { error: 'internal_error' }, 'api:/admin/metrics');
+  }
 }
 
 export async function getAllWallets(_req, res) {
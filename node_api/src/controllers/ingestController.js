@@ -2,14 +2,23 @@ import crypto from 'node:crypto';
 import { once } from 'node:events';
 import fs from 'node:fs';
 import path from 'node:path';
-import { kuboRequest } from '../lib/kuboClient.js';
-import { recordIngest } from '../lib/walletRegistry.js';
-import { sendWebhookEvent } from '../lib/webhook.js';
-import { ensureWalletPlanOk } from '../lib/walletPlan.js';
-import { addOrUpdateWalletRoots, setWalletCidDisplayName } from '../lib/walletDb.js';
+import { getWalletQuota } from '../lib/walletQuota.js';
+import { getWalletPolicy } from '../lib/walletPolicy.js';
+import {
+  chargeWalletAccessTokenBytes,
+  getWalletIngestJob,
+  listWalletIngestJobs,
+  insertIngestUploadSession,
+  getIngestUploadSession,
+  touchIngestUploadSession,
+  deleteIngestUploadSession,
+  takeExpiredIngestUploadSessions
+} from '../lib/walletDb.js';
+import { accessTokenRemainingBytes } from '../lib/accessTokens.js';
 import { enqueueIngestJob } from '../services/ingestQueue.js';
 import { CONFIG } from '../config.js';
-import { debugLog, formatError } from '../lib/logger.js';
+import { debugLog } from '../lib/logger.js';
+import { sendPqJson } from '../lib/pqResponse.js';
 
 const TOKEN_TTL_MS = 10 * 60 * 1000; // 10 minutes
 const ingestTokens = new Map();
@@ -26,6 +35,18 @@ const DEFAULT_INGEST_TMP_DIR = path.join(path.dirname(WALLET_DB_PATH), 'ingest_t
 const INGEST_TMP_DIR = String(process.env.INGEST_TMP_DIR || DEFAULT_INGEST_TMP_DIR).trim()
   || DEFAULT_INGEST_TMP_DIR;
 
+// Resumable uploads (/ingest/upload): partial data stays in INGEST_TMP_DIR until the session
+// expires; every appended chunk pushes the expiry out again.
+const UPLOAD_SESSION_TTL_MS = (() => {
+  const raw = Number(process.env.INGEST_UPLOAD_TTL_SEC);
+  return (Number.isFinite(raw) && raw >= 600 ? Math.floor(raw) : 24 * 3600) * 1000;
+})();
+const UPLOAD_SWEEP_INTERVAL_MS = 10 * 60 * 1000;
+// Sessions with a chunk or finalize in flight; another request on the same session gets
+// `409 upload_busy`, and the expiry sweep leaves them alone.
+const busyUploads = new Set();
+let uploadSweepTimer = null;
+
 function cleanupTokens() {
   const now = Date.now();
   for (const [token, info] of ingestTokens.entries()) {
@@ -36,22 +57,54 @@ function cleanupTokens() {
   }
 }
 
+// Upload tokens issued before an operator suspension must not be usable afterwards, and the
+// plan must still have room. Plan validation needs the on-chain gateways module.
+async function checkIngestAllowed(wallet, route) {
+  const policy = await getWalletPolicy(wallet);
+  if (policy.suspension) {
+    debugLog('ingest', 'upload reject', { reason: 'wallet_suspended', wallet });
+    return { ok: false, status: 403, body: { error: 'wallet_suspended' } };
+  }
+
+  let quota;
+  try {
+    quota = await getWalletQuota(wallet);
+  } catch (planErr) {
+    // eslint-disable-next-line no-console
+    console.error(`[${route}] plan validation error`, {
+      code: planErr && planErr.code ? String(planErr.code) : 'unknown_error'
+    });
+    if (planErr && planErr.code === 'CHAIN_UNREACHABLE') {
+      return { ok: false, status: 503, body: { error: 'chain_unreachable' } };
+    }
+    return { ok: false, status: 503, body: { error: 'plan_validation_failed' } };
+  }
+  if (quota.total != null && quota.remaining <= 0) {
+    debugLog('ingest', 'upload reject', { reason: 'quota_exceeded', wallet });
+    return { ok: false, status: 403, body: { error: 'quota_exceeded', remaining_bytes: 0 } };
+  }
+  return { ok: true };
+}
+
 export function getIngestReady(req, res) {
   const walletFromAuth = String(req.wallet || '').trim();
   const walletFromQuery = String(req.query.wallet || '').trim();
   const wallet = walletFromAuth || walletFromQuery || null;
-  return res.json({
+  return sendPqJson(req, res, 200, {
     ok: true,
     wallet,
     status: 'ready'
-  });
+  }, 'api:/ingest/ready');
 }
 
 export async function postIngestInit(req, res) {
   try {
     const wallet = String(req.wallet || '').trim();
+
+    const send = (statusCode, body) => sendPqJson(req, res, statusCode, body, 'api:/ingest/init');
+
     if (!wallet) {
-      return res.status(400).json({ error: 'wallet_required' });
+      return send(400, { error: 'wallet_required' });
     }
 
     const planIdRaw =
@@ -88,17 +141,36 @@ export async function postIngestInit(req, res) {
       displayNameLen: displayName ? displayName.length : 0
     });
 
+    let quota;
     try {
-      await ensureWalletPlanOk(wallet, null);
+      quota = await getWalletQuota(wallet);
     } catch (planErr) {
       // eslint-disable-next-line no-console
       console.error('[api:/ingest/init] plan validation error', {
         code: planErr && planErr.code ? String(planErr.code) : 'unknown_error'
       });
       if (planErr && planErr.code === 'CHAIN_UNREACHABLE') {
-        return res.status(503).json({ error: 'chain_unreachable' });
+        return send(503, { error: 'chain_unreachable' });
       }
-      return res.status(503).json({ error: 'plan_validation_failed' });
+      return send(503, { error: 'plan_validation_failed' });
+    }
+
+    // The estimate is only a hint; the imported DAG is measured again before it is accounted.
+    if (
+      quota.total != null &&
+      (quota.remaining <= 0 || (estBytes != null && estBytes > quota.remaining))
+    ) {
+      return send(403, { error: 'quota_exceeded', remaining_bytes: quota.remaining });
+    }
+
+    // Delegated tokens may carry a byte budget; the upload itself is charged in postIngestCar.
+    const accessTokenId = req.accessToken ? req.accessToken.tokenId : null;
+    const tokenRemaining = accessTokenRemainingBytes(req.accessToken);
+    if (
+      tokenRemaining != null &&
+      (tokenRemaining === 0 || (estBytes != null && estBytes > tokenRemaining))
+    ) {
+      return send(403, { error: 'token_byte_limit_exceeded', remaining_bytes: tokenRemaining });
     }
 
     cleanupTokens();
@@ -109,10 +181,12 @@ export async function postIngestInit(req, res) {
       planId,
       estBytes,
       displayName,
+      accessTokenId,
+      accessTokenRemaining: tokenRemaining,
       createdAt: Date.now()
     });
 
-    return res.json({
+    return send(200, {
       ok: true,
       upload_token: token,
       planId,
@@ -123,11 +197,14 @@ export async function postIngestInit(req, res) {
     console.error('[api:/ingest/init] error', {
       error: err && err.code ? String(err.code) : 'internal_error'
     });
-    return res.status(500).json({ error: 'internal_error' });
+    return sendPqJson(req, res, 500, { error: 'internal_error' }, 'api:/ingest/init');
   }
 }
 
-export async function postIngestCar(req, res) {
+// Shared by /ingest/car and /ingest/add: spends the upload token, spools the body to
+// INGEST_TMP_DIR within INGEST_MAX_BYTES and the token's byte budget, then hands the file to
+// `enqueue` ({ wallet, planId, displayName, tmpFile, bytes, contentType } -> job id).
+async function receiveIngestUpload(req, res, { route, ext, tooLargeError, enqueue }) {
   try {
     const token = String(req.query.token || '').trim();
     if (!token) {
@@ -162,37 +239,31 @@ export async function postIngestCar(req, res) {
       displayNameLen: displayNameFromToken ? displayNameFromToken.length : 0,
       ingestTmpDir: INGEST_TMP_DIR,
       maxBytes: MAX_CAR_BYTES,
-      contentType: req.header('Content-Type') || null
+      contentType: req.header('Content-Type') || null,
+      route
     });
 
-    // Plan validation / cache: requires on-chain gateways module to be reachable
-    try {
-      await ensureWalletPlanOk(wallet, null);
-    } catch (planErr) {
-      // eslint-disable-next-line no-console
-      console.error('[api:/ingest/car] plan validation error', {
-        code: planErr && planErr.code ? String(planErr.code) : 'unknown_error'
-      });
-      if (planErr && planErr.code === 'CHAIN_UNREACHABLE') {
-        return res.status(503).json({ error: 'chain_unreachable' });
-      }
-      return res.status(503).json({ error: 'plan_validation_failed' });
-    }
+    const allowed = await checkIngestAllowed(wallet, route);
+    if (!allowed.ok) return res.status(allowed.status).json(allowed.body);
 
-    const fileCt = req.header('Content-Type') || 'application/car';
+    const contentType = req.header('Content-Type') || null;
     let uploadedBytes = 0;
     let tooLarge = false;
+    const accessTokenId = entry.accessTokenId || null;
+    const tokenRemaining =
+      typeof entry.accessTokenRemaining === 'number' ? entry.accessTokenRemaining : null;
+    let overTokenBudget = false;
 
     // Spool to disk to avoid buffering large uploads in RAM.
     let tmpFile = null;
     try {
       fs.mkdirSync(INGEST_TMP_DIR, { recursive: true });
-      const name = `upload-${Date.now()}-${crypto.randomBytes(8).toString('hex')}.car`;
+      const name = `upload-${Date.now()}-${crypto.randomBytes(8).toString('hex')}.${ext}`;
       tmpFile = path.join(INGEST_TMP_DIR, name);
       debugLog('ingest', 'tmpfile', { tmpFile });
     } catch (mkErr) {
       // eslint-disable-next-line no-console
-      console.error('[api:/ingest/car] failed to create tmp dir', {
+      console.error(`[${route}] failed to create tmp dir`, {
         dir: INGEST_TMP_DIR,
         error: mkErr?.message || String(mkErr)
       });
@@ -215,6 +286,10 @@ export async function postIngestCar(req, res) {
         // Continue draining the stream but do not write additional bytes.
         continue;
       }
+      if (tokenRemaining != null && uploadedBytes > tokenRemaining) {
+        overTokenBudget = true;
+        continue;
+      }
       if (!ws.write(buf)) await once(ws, 'drain');
     }
 
@@ -225,143 +300,547 @@ export async function postIngestCar(req, res) {
       try { await fs.promises.unlink(tmpFile); } catch {}
       debugLog('ingest', 'upload too large', { uploadedBytes, maxBytes: MAX_CAR_BYTES });
       return res.status(413).json({
-        error: 'car_too_large',
+        error: tooLargeError,
         max_bytes: MAX_CAR_BYTES
       });
     }
 
+    // Charged atomically so concurrent uploads on one token cannot overrun max_bytes together.
+    if (
+      accessTokenId &&
+      (overTokenBudget || !(await chargeWalletAccessTokenBytes(accessTokenId, uploadedBytes)))
+    ) {
+      try { await fs.promises.unlink(tmpFile); } catch {}
+      debugLog('ingest', 'upload over token budget', { uploadedBytes, accessTokenId });
+      return res.status(403).json({ error: 'token_byte_limit_exceeded' });
+    }
+
     debugLog('ingest', 'upload received', { uploadedBytes, tmpFile });
 
-    const jobId = enqueueIngestJob(async () => {
-      try {
-      debugLog('ingest', 'job start', { wallet, planId, uploadedBytes, tmpFile });
-      const boundary = `----lumenFormBoundary${Math.random()
-        .toString(16)
-        .slice(2)}`;
-      const filename = 'upload.car';
-      const pre = Buffer.from(
-        `--${boundary}\r\n` +
-          `Content-Disposition: form-data; name="file"; filename="${filename}"\r\n` +
-          `Content-Type: ${fileCt}\r\n\r\n`,
-        'utf8'
-      );
-      const post = Buffer.from(`\r\n--${boundary}--\r\n`, 'utf8');
-
-      async function* multipartStream() {
-        yield pre;
-        for await (const buf of fs.createReadStream(tmpFile)) {
-          yield buf;
-        }
-        yield post;
-      }
+    const jobId = await enqueue({
+      wallet,
+      planId,
+      displayName: displayNameFromToken,
+      tmpFile,
+      bytes: uploadedBytes,
+      contentType
+    });
 
-      const resp = await kuboRequest('/api/v0/dag/import?pin-roots=true', {
-        method: 'POST',
-        headers: { 'Content-Type': `multipart/form-data; boundary=${boundary}` },
-        // @ts-ignore duplex is still experimental in Node
-        duplex: 'half',
-        body: multipartStream(),
-        timeoutMs: CONFIG.KUBO_IMPORT_TIMEOUT_MS
-      });
+    debugLog('ingest', 'job enqueued', { wallet, planId, uploadedBytes, jobId });
 
-      const text = await resp.text();
-      if (!resp.ok) {
-        console.error('[api:/ingest/car] kubo dag/import failed', {
-          status: resp.status,
-          body: String(text || '').slice(0, 240)
-        });
-        return;
+    res.json({
+      ok: true,
+      roots: [],
+      meta: {
+        wallet,
+        planId: planId || null,
+        uploadedBytes,
+        jobId
       }
+    });
+  } catch (err) {
+    // eslint-disable-next-line no-console
+    console.error(`[${route}] error`, {
+      error: err && err.code ? String(err.code) : 'internal_error'
+    });
+    res.status(500).json({ error: 'internal_error' });
+  }
+}
 
-      const roots = [];
-      for (const line of String(text).split(/\r?\n/)) {
-        try {
-          const obj = JSON.parse(line);
-          const c = obj?.Root?.Cid?.['/'] || obj?.Root?.['/'];
-          if (typeof c === 'string' && c) roots.push(c);
-        } catch {}
-      }
-      const uniqueRoots = Array.from(new Set(roots));
+export function postIngestCar(req, res) {
+  return receiveIngestUpload(req, res, {
+    route: 'api:/ingest/car',
+    ext: 'car',
+    tooLargeError: 'car_too_large',
+    enqueue: (upload) =>
+      enqueueIngestJob({ ...upload, contentType: upload.contentType || 'application/car' })
+  });
+}
+
+// Kubo's chunkers, with sizes up to its 1 MiB block limit.
+const MAX_CHUNK_BYTES = 1024 * 1024;
+
+function parseChunker(value) {
+  const raw = String(value || '').trim();
+  if (!raw) return null;
+  if (raw === 'buzhash' || raw === 'rabin') return raw;
+  const m = /^(size|rabin)-(\d+(?:-\d+){0,2})$/.exec(raw);
+  if (!m) return undefined;
+  const sizes = m[2].split('-').map(Number);
+  if (m[1] === 'size' && sizes.length !== 1) return undefined;
+  if (m[1] === 'rabin' && sizes.length === 2) return undefined;
+  if (sizes.some((n) => n < 1 || n > MAX_CHUNK_BYTES)) return undefined;
+  return raw;
+}
+
+function parseBoolParam(value) {
+  if (value == null || value === '') return null;
+  const v = String(value).trim().toLowerCase();
+  if (v === 'true' || v === '1') return true;
+  if (v === 'false' || v === '0') return false;
+  return undefined;
+}
+
+// Query options of /ingest/add. Returns { ok: true, options } or { ok: false, error }.
+function parseAddOptions(query, { multipart }) {
+  const chunker = parseChunker(query.chunker);
+  if (chunker === undefined) return { ok: false, error: 'chunker_invalid' };
+
+  let cidVersion = null;
+  const cidVersionRaw = query['cid-version'] ?? query.cidVersion;
+  if (cidVersionRaw != null && cidVersionRaw !== '') {
+    cidVersion = Number(cidVersionRaw);
+    if (cidVersion !== 0 && cidVersion !== 1) return { ok: false, error: 'cid_version_invalid' };
+  }
+
+  const rawLeaves = parseBoolParam(query['raw-leaves'] ?? query.rawLeaves);
+  if (rawLeaves === undefined) return { ok: false, error: 'raw_leaves_invalid' };
+
+  const wrap = multipart ? true : parseBoolParam(query.wrap);
+  if (wrap === undefined) return { ok: false, error: 'wrap_invalid' };
+
+  let filename = null;
+  if (!multipart && query.filename != null && query.filename !== '') {
+    filename = Array.from(String(query.filename).trim()).slice(0, 255).join('');
+    if (!filename || /[/\\]/.test(filename) || filename === '.' || filename === '..') {
+      return { ok: false, error: 'filename_invalid' };
+    }
+  }
+
+  return { ok: true, options: { chunker, cidVersion, rawLeaves, wrap: wrap === true, filename } };
+}
+
+// POST /ingest/add?token=<upload_token>[&chunker=&cid-version=&raw-leaves=&filename=&wrap=]
+// Plain files and directories without building a CAR: a non-multipart body is one file, a
+// multipart/form-data body (`file` parts, paths in the filenames) becomes a directory. Kubo
+// `add` does the UnixFS chunking in the background job.
+export function postIngestAdd(req, res) {
+  const contentType = String(req.header('Content-Type') || '');
+  if (req.is('application/json')) {
+    return res.status(415).json({ error: 'unsupported_content_type' });
+  }
+  const multipart = /^multipart\/form-data\s*;.*boundary=/i.test(contentType);
+  if (/^multipart\//i.test(contentType) && !multipart) {
+    return res.status(415).json({ error: 'unsupported_content_type' });
+  }
+  const parsed = parseAddOptions(req.query, { multipart });
+  if (!parsed.ok) return res.status(400).json({ error: parsed.error });
+  const { options } = parsed;
+
+  return receiveIngestUpload(req, res, {
+    route: 'api:/ingest/add',
+    ext: multipart ? 'form' : 'bin',
+    tooLargeError: 'upload_too_large',
+    enqueue: (upload) =>
+      enqueueIngestJob({
+        ...upload,
+        displayName: upload.displayName || options.filename,
+        contentType: multipart ? contentType : 'application/octet-stream',
+        kind: 'add',
+        options
+      })
+  });
+}
+
+function describeIngestJob(job) {
+  return {
+    job_id: job.jobId,
+    state: job.state,
+    planId: job.planId,
+    display_name: job.displayName,
+    uploaded_bytes: job.bytes,
+    roots: job.roots,
+    attempts: job.attempts,
+    error: job.error,
+    next_attempt_at: job.state === 'queued' ? job.nextAttemptAt : null,
+    created_at: job.createdAt,
+    updated_at: job.updatedAt,
+    finished_at: job.finishedAt
+  };
+}
+
+// { job_id } -> that job; otherwise the wallet's most recent jobs ({ limit }, default 20).
+export async function postIngestStatus(req, res) {
+  const send = (statusCode, body) => sendPqJson(req, res, statusCode, body, 'api:/ingest/status');
+  try {
+    const wallet = String(req.wallet || '').trim();
+    if (!wallet) return send(400, { error: 'wallet_required' });
+
+    const jobId = String(req.body?.job_id || req.body?.jobId || '').trim();
+    if (jobId) {
+      const job = await getWalletIngestJob(wallet, jobId);
+      if (!job) return send(404, { error: 'ingest_job_not_found' });
+      return send(200, { ok: true, wallet, ...describeIngestJob(job) });
+    }
+
+    const jobs = await listWalletIngestJobs(wallet, { limit: req.body?.limit });
+    return send(200, { ok: true, wallet, jobs: jobs.map(describeIngestJob) });
+  } catch (err) {
+    // eslint-disable-next-line no-console
+    console.error('[api:/ingest/status] error', err);
+    return send(500, { error: 'internal_error' });
+  }
+}
+
+function uploadPartFile(uploadId) {
+  return path.join(INGEST_TMP_DIR, `resumable-${uploadId}.part`);
+}
+
+// The part file is the source of truth for how many bytes were received.
+async function readUploadOffset(uploadId) {
+  try {
+    return (await fs.promises.stat(uploadPartFile(uploadId))).size;
+  } catch (err) {
+    if (err && err.code === 'ENOENT') return 0;
+    throw err;
+  }
+}
+
+async function removeUploadSession(uploadId) {
+  await deleteIngestUploadSession(uploadId);
+  try { await fs.promises.unlink(uploadPartFile(uploadId)); } catch {}
+}
+
+function normalizeSha256(value) {
+  if (value == null || value === '') return null;
+  const hex = String(value).trim().toLowerCase().replace(/^sha256[:\s]+/, '');
+  return /^[0-9a-f]{64}$/.test(hex) ? hex : undefined;
+}
+
+async function sha256File(file) {
+  const hash = crypto.createHash('sha256');
+  for await (const buf of fs.createReadStream(file)) hash.update(buf);
+  return hash.digest('hex');
+}
+
+function describeUpload(upload, offset) {
+  return {
+    upload_id: upload.uploadId,
+    wallet: upload.wallet,
+    planId: upload.planId,
+    length: upload.length,
+    offset,
+    sha256: upload.sha256,
+    expires_at: upload.expiresAt
+  };
+}
+
+function setUploadHeaders(res, upload, offset) {
+  res.set('Cache-Control', 'no-store');
+  res.set('Upload-Offset', String(offset));
+  res.set('Upload-Length', String(upload.length));
+  res.set('Upload-Expires', new Date(upload.expiresAt).toUTCString());
+}
+
+// POST /ingest/upload?token=<upload_token> { length, sha256? }
+// Opens a resumable upload session with an upload token from /ingest/init. The token is spent
+// here; the returned upload_id addresses the session from then on.
+export async function postIngestUpload(req, res) {
+  try {
+    const token = String(req.query.token || '').trim();
+    if (!token) return res.status(400).json({ error: 'upload_token_required' });
 
-      debugLog('ingest', 'kubo roots', {
-        roots: roots.length,
-        uniqueRoots: uniqueRoots.length,
-        sample: uniqueRoots.slice(0, 3)
+    cleanupTokens();
+    const entry = ingestTokens.get(token);
+    if (!entry || !entry.wallet) {
+      debugLog('ingest', 'upload reject', { reason: 'upload_token_invalid' });
+      return res.status(400).json({ error: 'upload_token_invalid' });
+    }
+
+    const length = Number(req.body?.length ?? req.header('Upload-Length'));
+    if (!Number.isSafeInteger(length) || length <= 0) {
+      return res.status(400).json({ error: 'length_required' });
+    }
+    const sha256 = normalizeSha256(req.body?.sha256);
+    if (sha256 === undefined) return res.status(400).json({ error: 'sha256_invalid' });
+    if (MAX_CAR_BYTES && length > MAX_CAR_BYTES) {
+      return res.status(413).json({ error: 'car_too_large', max_bytes: MAX_CAR_BYTES });
+    }
+    const tokenRemaining =
+      typeof entry.accessTokenRemaining === 'number' ? entry.accessTokenRemaining : null;
+    if (tokenRemaining != null && length > tokenRemaining) {
+      return res
+        .status(403)
+        .json({ error: 'token_byte_limit_exceeded', remaining_bytes: tokenRemaining });
+    }
+    ingestTokens.delete(token);
+
+    const wallet = String(entry.wallet || '').trim();
+    const allowed = await checkIngestAllowed(wallet, 'api:/ingest/upload');
+    if (!allowed.ok) return res.status(allowed.status).json(allowed.body);
+
+    const uploadId = crypto.randomBytes(24).toString('hex');
+    try {
+      fs.mkdirSync(INGEST_TMP_DIR, { recursive: true });
+      await fs.promises.writeFile(uploadPartFile(uploadId), '', { flag: 'wx' });
+    } catch (mkErr) {
+      // eslint-disable-next-line no-console
+      console.error('[api:/ingest/upload] failed to create part file', {
+        dir: INGEST_TMP_DIR,
+        error: mkErr?.message || String(mkErr)
       });
+      return res.status(500).json({ error: 'internal_error' });
+    }
 
-      if (uniqueRoots.length === 0) {
-        console.error('[api:/ingest/car] kubo dag/import returned no roots', {
-          body: String(text || '').slice(0, 240)
-        });
-        return;
-      }
+    const now = Date.now();
+    await insertIngestUploadSession({
+      uploadId,
+      wallet,
+      planId: entry.planId || String(req.query.planId || '').trim() || null,
+      displayName: entry.displayName || null,
+      accessTokenId: entry.accessTokenId || null,
+      accessTokenRemaining: tokenRemaining,
+      length,
+      sha256,
+      createdAt: now,
+      expiresAt: now + UPLOAD_SESSION_TTL_MS
+    });
+    const upload = await getIngestUploadSession(uploadId, now);
 
-      recordIngest(wallet, uploadedBytes);
-
-      try {
-        await addOrUpdateWalletRoots({
-          wallet,
-          roots: uniqueRoots,
-          bytesEstimated: uploadedBytes
-        });
-      } catch (dbErr) {
-        // eslint-disable-next-line no-console
-        console.error('[api:/ingest/car] wallet_roots insert failed', {
-          code: dbErr && dbErr.code ? String(dbErr.code) : null,
-          message: dbErr && dbErr.message ? String(dbErr.message) : String(dbErr || 'db_error')
-        });
-        debugLog('db', 'wallet_roots insert failed', formatError(dbErr));
-      }
+    debugLog('ingest', 'upload session open', { wallet, uploadId, length });
+
+    setUploadHeaders(res, upload, 0);
+    res.set('Location', `/ingest/upload/${uploadId}`);
+    return res.status(201).json({ ok: true, ...describeUpload(upload, 0) });
+  } catch (err) {
+    // eslint-disable-next-line no-console
+    console.error('[api:/ingest/upload] error', {
+      error: err && err.code ? String(err.code) : 'internal_error'
+    });
+    return res.status(500).json({ error: 'internal_error' });
+  }
+}
+
+// GET|HEAD /ingest/upload/:id: where to resume.
+export async function getIngestUpload(req, res) {
+  try {
+    const upload = await getIngestUploadSession(req.params.id);
+    if (!upload) return res.status(404).json({ error: 'upload_not_found' });
+
+    const offset = await readUploadOffset(upload.uploadId);
+    setUploadHeaders(res, upload, offset);
+    return res.json({ ok: true, ...describeUpload(upload, offset) });
+  } catch (err) {
+    // eslint-disable-next-line no-console
+    console.error('[api:/ingest/upload] error', {
+      error: err && err.code ? String(err.code) : 'internal_error'
+    });
+    return res.status(500).json({ error: 'internal_error' });
+  }
+}
+
+// PATCH /ingest/upload/:id with `Upload-Offset: <n>` and the bytes from n onwards as the body.
+// The offset must equal what was received so far. If the connection drops, the bytes that
+// arrived are kept and GET tells the client where to continue.
+export async function patchIngestUpload(req, res) {
+  const uploadId = String(req.params.id || '').trim();
+  let locked = false;
+  try {
+    const upload = await getIngestUploadSession(uploadId);
+    if (!upload) return res.status(404).json({ error: 'upload_not_found' });
+
+    const offsetRaw = req.header('Upload-Offset') ?? req.query.offset;
+    const offset = Number(offsetRaw);
+    if (offsetRaw == null || !Number.isSafeInteger(offset) || offset < 0) {
+      return res.status(400).json({ error: 'upload_offset_required' });
+    }
+    if (busyUploads.has(uploadId)) return res.status(409).json({ error: 'upload_busy' });
+    busyUploads.add(uploadId);
+    locked = true;
+    // The sweep may have removed the session before it was marked busy.
+    if (!(await getIngestUploadSession(uploadId))) {
+      return res.status(404).json({ error: 'upload_not_found' });
+    }
+
+    const current = await readUploadOffset(uploadId);
+    if (offset !== current) {
+      setUploadHeaders(res, upload, current);
+      return res.status(409).json({ error: 'offset_mismatch', offset: current });
+    }
+
+    const ws = fs.createWriteStream(uploadPartFile(uploadId), { flags: 'a' });
+    const writeDone = new Promise((resolve, reject) => {
+      ws.on('finish', resolve);
+      ws.on('error', reject);
+    });
 
-      if (displayNameFromToken) {
-        for (const rootCid of uniqueRoots) {
-          try {
-            // eslint-disable-next-line no-await-in-loop
-            await setWalletCidDisplayName(wallet, rootCid, displayNameFromToken);
-          } catch (nameErr) {
-            // eslint-disable-next-line no-console
-            console.error('[api:/ingest/car] wallet_cid_metadata upsert failed', {
-              code: nameErr && nameErr.code ? String(nameErr.code) : null,
-              message:
-                nameErr && nameErr.message ? String(nameErr.message) : String(nameErr || 'db_error')
-            });
-            debugLog('db', 'wallet_cid_metadata upsert failed', formatError(nameErr));
-          }
+    let written = 0;
+    let overflow = false;
+    let aborted = false;
+    try {
+      for await (const chunk of req) {
+        if (!chunk) continue;
+        const buf = Buffer.isBuffer(chunk) ? chunk : Buffer.from(chunk);
+        const room = upload.length - current - written;
+        if (buf.length > room) {
+          overflow = true;
+          if (room <= 0) continue;
         }
+        const part = buf.length > room ? buf.subarray(0, room) : buf;
+        written += part.length;
+        if (!ws.write(part)) await once(ws, 'drain');
       }
+    } catch {
+      aborted = true;
+    }
+    ws.end();
+    await writeDone;
 
-      const meta = {
-        wallet,
-        planId: planId || null,
-        uploadedBytes
-      };
+    const now = Date.now();
+    await touchIngestUploadSession(uploadId, now + UPLOAD_SESSION_TTL_MS, now);
+    const refreshed = { ...upload, expiresAt: now + UPLOAD_SESSION_TTL_MS };
+    const newOffset = current + written;
 
-      void sendWebhookEvent('ingest', {
-        ...meta,
-        roots: uniqueRoots
-      });
-      } finally {
-        try { await fs.promises.unlink(tmpFile); } catch {}
-      }
-    }, { bytes: uploadedBytes });
+    debugLog('ingest', 'upload chunk', { uploadId, offset, written, aborted, overflow });
+    if (aborted) return undefined;
 
-    debugLog('ingest', 'job enqueued', { wallet, planId, uploadedBytes, jobId });
+    setUploadHeaders(res, refreshed, newOffset);
+    if (overflow) {
+      return res.status(413).json({ error: 'upload_exceeds_length', offset: newOffset });
+    }
+    return res.json({ ok: true, ...describeUpload(refreshed, newOffset) });
+  } catch (err) {
+    // eslint-disable-next-line no-console
+    console.error('[api:/ingest/upload] chunk error', {
+      error: err && err.code ? String(err.code) : 'internal_error'
+    });
+    if (res.headersSent) return undefined;
+    return res.status(500).json({ error: 'internal_error' });
+  } finally {
+    if (locked) busyUploads.delete(uploadId);
+  }
+}
 
-    res.json({
+// POST /ingest/upload/:id/finalize { sha256? }
+// Checks the complete file against the SHA-256 given here or when the session was opened,
+// then queues the dag/import exactly like /ingest/car. A checksum mismatch discards the
+// upload; the client starts over with a new /ingest/init.
+export async function postIngestUploadFinalize(req, res) {
+  const uploadId = String(req.params.id || '').trim();
+  let locked = false;
+  try {
+    const upload = await getIngestUploadSession(uploadId);
+    if (!upload) return res.status(404).json({ error: 'upload_not_found' });
+
+    const sha256 = normalizeSha256(req.body?.sha256);
+    if (sha256 === undefined) return res.status(400).json({ error: 'sha256_invalid' });
+    const expected = Array.from(new Set([sha256, upload.sha256].filter(Boolean)));
+    if (!expected.length) return res.status(400).json({ error: 'sha256_required' });
+
+    if (busyUploads.has(uploadId)) return res.status(409).json({ error: 'upload_busy' });
+    busyUploads.add(uploadId);
+    locked = true;
+    if (!(await getIngestUploadSession(uploadId))) {
+      return res.status(404).json({ error: 'upload_not_found' });
+    }
+
+    const offset = await readUploadOffset(uploadId);
+    if (offset !== upload.length) {
+      setUploadHeaders(res, upload, offset);
+      return res
+        .status(409)
+        .json({ error: 'upload_incomplete', offset, length: upload.length });
+    }
+
+    const tmpFile = uploadPartFile(uploadId);
+    const actual = await sha256File(tmpFile);
+    if (expected.some((h) => h !== actual)) {
+      await removeUploadSession(uploadId);
+      debugLog('ingest', 'upload reject', { reason: 'checksum_mismatch', uploadId });
+      return res
+        .status(422)
+        .json({ error: 'checksum_mismatch', expected: expected[0], actual });
+    }
+
+    const wallet = upload.wallet;
+    const allowed = await checkIngestAllowed(wallet, 'api:/ingest/upload');
+    if (!allowed.ok) return res.status(allowed.status).json(allowed.body);
+
+    if (
+      upload.accessTokenId &&
+      !(await chargeWalletAccessTokenBytes(upload.accessTokenId, upload.length))
+    ) {
+      await removeUploadSession(uploadId);
+      return res.status(403).json({ error: 'token_byte_limit_exceeded' });
+    }
+
+    // From here the file belongs to the import job, which removes it when done.
+    const uploadedBytes = upload.length;
+    const jobId = await enqueueIngestJob({
+      wallet,
+      planId: upload.planId,
+      displayName: upload.displayName,
+      tmpFile,
+      bytes: uploadedBytes
+    });
+    await deleteIngestUploadSession(uploadId);
+
+    debugLog('ingest', 'job enqueued', { wallet, planId: upload.planId, uploadedBytes, jobId });
+
+    return res.json({
       ok: true,
       roots: [],
+      upload_id: uploadId,
+      sha256: actual,
       meta: {
         wallet,
-        planId: planId || null,
+        planId: upload.planId || null,
         uploadedBytes,
         jobId
       }
     });
   } catch (err) {
     // eslint-disable-next-line no-console
-    console.error('[api:/ingest/car] error', {
+    console.error('[api:/ingest/upload] finalize error', {
       error: err && err.code ? String(err.code) : 'internal_error'
     });
-    res.status(500).json({ error: 'internal_error' });
+    return res.status(500).json({ error: 'internal_error' });
+  } finally {
+    if (locked) busyUploads.delete(uploadId);
   }
 }
+
+// DELETE /ingest/upload/:id: abandon the upload and drop the partial data.
+export async function deleteIngestUpload(req, res) {
+  try {
+    const uploadId = String(req.params.id || '').trim();
+    if (busyUploads.has(uploadId)) return res.status(409).json({ error: 'upload_busy' });
+    const upload = await getIngestUploadSession(uploadId);
+    if (!upload) return res.status(404).json({ error: 'upload_not_found' });
+
+    await removeUploadSession(uploadId);
+    return res.status(204).end();
+  } catch (err) {
+    // eslint-disable-next-line no-console
+    console.error('[api:/ingest/upload] error', {
+      error: err && err.code ? String(err.code) : 'internal_error'
+    });
+    return res.status(500).json({ error: 'internal_error' });
+  }
+}
+
+export async function sweepExpiredUploads(nowMs = Date.now()) {
+  // A long PATCH may outlive the expiry it started with; its session stays until it ends.
+  const expired = await takeExpiredIngestUploadSessions(nowMs, { skip: Array.from(busyUploads) });
+  for (const uploadId of expired) {
+    try { await fs.promises.unlink(uploadPartFile(uploadId)); } catch {}
+  }
+  if (expired.length) {
+    debugLog('ingest', 'expired upload sessions removed', { count: expired.length });
+  }
+  return expired.length;
+}
+
+export function initIngestUploadSweeper() {
+  if (uploadSweepTimer) return false;
+  const sweep = () => {
+    sweepExpiredUploads().catch((err) => {
+      // eslint-disable-next-line no-console
+      console.error('[ingest] upload sweep failed', err);
+    });
+  };
+  uploadSweepTimer = setInterval(sweep, UPLOAD_SWEEP_INTERVAL_MS);
+  uploadSweepTimer.unref?.();
+  sweep();
+  return true;
+}
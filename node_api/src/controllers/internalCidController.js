@@ -4,6 +4,7 @@ import {
   fetchDomainDetails,
   domainHasCid
 } from '../lib/dnsClient.js';
+import { sendPqJson } from '../lib/pqResponse.js';
 
 function scoreDomainMatch(query, domainName) {
   const qTokens = String(query || '')
@@ -47,9 +48,13 @@ function scoreDomainMatch(query, domainName) {
   return score;
 }
 
+// Reached either from an allowlisted address (plain JSON) or with an operator PQ envelope, in
+// which case sendPqJson encrypts the response.
 export async function postRootsDomains(req, res) {
+  const send = (statusCode, body) =>
+    sendPqJson(req, res, statusCode, body, 'internal:roots_domains');
   try {
-    const qRaw = String(req.query?.q || '').trim();
+    const qRaw = String(req.body?.q ?? req.query?.q ?? '').trim();
     const rawList = Array.isArray(req.body?.roots) ? req.body.roots : [];
     const roots = Array.from(
       new Set(
@@ -60,7 +65,7 @@ export async function postRootsDomains(req, res) {
     );
 
     if (!roots.length) {
-      return res.status(400).json({ error: 'roots_required' });
+      return send(400, { error: 'roots_required' });
     }
 
     const perRoot = {};
@@ -160,7 +165,7 @@ export async function postRootsDomains(req, res) {
         });
     }
 
-    return res.json({
+    return send(200, {
       ok: true,
       roots: perRoot,
       domains_ranked: rankedDomains
@@ -172,6 +177,6 @@ export async function postRootsDomains(req, res) {
     } catch {
       // ignore
     }
-    return res.status(500).json({ error: 'internal_error' });
+    return send(500, { error: 'internal_error' });
   }
 }
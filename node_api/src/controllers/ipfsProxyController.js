@@ -1,11 +1,79 @@
+import { Readable } from 'node:stream';
+import { pipeline } from 'node:stream/promises';
 import { CONFIG } from '../config.js';
-import { decryptPqRequest } from '../middleware/pqMiddleware.js';
+import { decryptPqRequest, attachPqContext } from '../middleware/pqMiddleware.js';
+import { rejectIfTokenOutOfScope, rejectIfWalletRestricted } from '../middleware/walletGuard.js';
 import { resolveIpnsToRootCid } from '../lib/ipnsResolver.js';
 import { recordCidAccess } from '../lib/usageDb.js';
+import { sendPqJson, startPqStream, sendPqStreamJson } from '../lib/pqResponse.js';
 
 const GATEWAY_BASE = CONFIG.KUBO_GATEWAY_BASE;
 
-async function proxyToKubo(pathname, res, queryParams, usage) {
+const RANGE_RE = /^bytes=(\d*-\d*)(\s*,\s*\d*-\d*)*$/;
+
+// Payload `range` wins over the HTTP Range header; both use the `bytes=start-end` syntax.
+function resolveRange(req, payload) {
+  const raw =
+    payload && typeof payload.range === 'string'
+      ? payload.range
+      : String(req.header('Range') || '');
+  const range = raw.trim();
+  if (!range) return { ok: true, range: null };
+  if (!RANGE_RE.test(range) || /(^bytes=|,\s*)-(,|$)/.test(range)) {
+    return { ok: false };
+  }
+  return { ok: true, range };
+}
+
+// Aborts the upstream fetch when the client disconnects before the response completes.
+function abortOnClientClose(res) {
+  const controller = new AbortController();
+  res.once('close', () => {
+    if (!res.writableFinished) controller.abort();
+  });
+  return controller.signal;
+}
+
+async function pipeUpstreamBody(upstream, res) {
+  if (!upstream.body) {
+    res.end();
+    return;
+  }
+  try {
+    // pipeline() applies backpressure and cancels the upstream body if the client goes away.
+    await pipeline(Readable.fromWeb(upstream.body), res);
+  } catch {
+    if (!res.writableEnded) res.destroy();
+  }
+}
+
+async function relayEncrypted(upstream, res, aesKey) {
+  const headers = {};
+  upstream.headers.forEach((value, key) => {
+    const k = key.toLowerCase();
+    if (k === 'connection' || k === 'keep-alive' || k === 'transfer-encoding') return;
+    headers[k] = value;
+  });
+
+  const stream = startPqStream(res, aesKey, { status: upstream.status, headers });
+  let bytes = 0;
+  try {
+    if (upstream.body) {
+      for await (const chunk of upstream.body) {
+        bytes += chunk.length;
+        // eslint-disable-next-line no-await-in-loop
+        if (!(await stream.write(chunk))) break;
+      }
+    }
+    await stream.end({ ok: true, bytes });
+  } catch (err) {
+    if (res.destroyed) return;
+    console.error('[api:/ipfs-proxy] upstream read error', err);
+    await stream.end({ ok: false, error: 'upstream_read_failed', bytes });
+  }
+}
+
+async function proxyToKubo(req, pathname, res, queryParams, usage, { aesKey, range } = {}) {
   const usageCid = usage && typeof usage.cid === 'string' ? usage.cid : null;
   const usageCidPromise = usage && usage.cidPromise ? usage.cidPromise : null;
   const usageWallet = usage && typeof usage.wallet === 'string' ? usage.wallet : null;
@@ -21,6 +89,8 @@ async function proxyToKubo(pathname, res, queryParams, usage) {
 
     const upstream = await fetch(url.toString(), {
       method: 'GET',
+      headers: range ? { Range: range } : undefined,
+      signal: abortOnClientClose(res),
       // Explicitly disable automatic decompression so we don't confuse Express.
       // Kubo usually serves plain text/HTML here.
       // @ts-ignore
@@ -45,6 +115,11 @@ async function proxyToKubo(pathname, res, queryParams, usage) {
       // ignore usage errors
     }
 
+    if (aesKey) {
+      await relayEncrypted(upstream, res, aesKey);
+      return;
+    }
+
     res.status(upstream.status);
     upstream.headers.forEach((value, key) => {
       const k = key.toLowerCase();
@@ -52,17 +127,12 @@ async function proxyToKubo(pathname, res, queryParams, usage) {
       res.setHeader(key, value);
     });
 
-    try {
-      const ab = await upstream.arrayBuffer();
-      if (ab && ab.byteLength) {
-        res.send(Buffer.from(ab));
-      } else {
-        res.end();
-      }
-    } catch {
-      res.end();
-    }
+    await pipeUpstreamBody(upstream, res);
   } catch (err) {
+    if (res.destroyed) {
+      // Client went away; the upstream fetch was aborted on purpose.
+      return;
+    }
     console.error('[api:/ipfs-proxy] error', err);
     try {
       if (usageCid && usageWallet) {
@@ -80,7 +150,11 @@ async function proxyToKubo(pathname, res, queryParams, usage) {
       // ignore
     }
     if (!res.headersSent) {
-      res.status(502).json({ error: 'ipfs_gateway_error' });
+      if (aesKey) {
+        await sendPqStreamJson(res, aesKey, 502, { error: 'ipfs_gateway_error' });
+      } else {
+        await sendPqJson(req, res, 502, { error: 'ipfs_gateway_error' }, 'api:/ipfs-proxy');
+      }
     } else {
       res.end();
     }
@@ -93,8 +167,11 @@ export async function proxyIpfs(req, res) {
     const path = req.originalUrl || req.url || '/';
     const targetUrl = new URL(path, GATEWAY_BASE).toString();
 
+    const range = String(req.header('Range') || '').trim();
     const upstream = await fetch(targetUrl, {
       method: req.method,
+      headers: range ? { Range: range } : undefined,
+      signal: abortOnClientClose(res),
       // Explicitly disable automatic decompression so we don't confuse Express.
       // Kubo usually serves plain text/HTML here.
       // @ts-ignore
@@ -114,19 +191,9 @@ export async function proxyIpfs(req, res) {
       return;
     }
 
-    // Buffer the body (responses are typically small HTML or JSON)
-    try {
-      const ab = await upstream.arrayBuffer();
-      if (ab && ab.byteLength) {
-        res.send(Buffer.from(ab));
-      } else {
-        res.end();
-      }
-    } catch {
-      // If reading the body fails, still end the response.
-      res.end();
-    }
+    await pipeUpstreamBody(upstream, res);
   } catch (err) {
+    if (res.destroyed) return;
     console.error('[api:/ipfs-proxy] error', err);
     if (!res.headersSent) {
       res.status(502).json({ error: 'ipfs_gateway_error' });
@@ -148,14 +215,28 @@ export async function postPqIpfs(req, res) {
       .status(result.status || 400)
       .json({ error: result.error || 'pq_error', message: result.message || 'pq_error' });
   }
+  attachPqContext(req, res, result);
+  if (await rejectIfTokenOutOfScope(req, res)) return;
+  if (await rejectIfWalletRestricted(req, res)) return;
 
   const payload = result.payload || {};
   const cid = String(payload.cid || '').trim();
   const path = payload.path ? String(payload.path).trim() : '';
   const query = payload.query && typeof payload.query === 'object' ? payload.query : undefined;
+  // Content and errors leave as a framed stream encrypted with the request's AES key.
+  const aesKey = req.pqAesKey;
 
   if (!cid) {
-    return res.status(400).json({ error: 'cid_required', message: 'cid is required' });
+    const body = { error: 'cid_required', message: 'cid is required' };
+    if (aesKey) return sendPqStreamJson(res, aesKey, 400, body);
+    return sendPqJson(req, res, 400, body, 'api:/pq/ipfs');
+  }
+
+  const rangeInfo = resolveRange(req, payload);
+  if (!rangeInfo.ok) {
+    const body = { error: 'range_invalid', message: 'range must look like bytes=start-end' };
+    if (aesKey) return sendPqStreamJson(res, aesKey, 400, body);
+    return sendPqJson(req, res, 400, body, 'api:/pq/ipfs');
   }
 
   let pathname = `/ipfs/${encodeURIComponent(cid)}`;
@@ -164,7 +245,10 @@ export async function postPqIpfs(req, res) {
     pathname += cleanPath;
   }
 
-  return proxyToKubo(pathname, res, query, { cid, wallet: result.wallet });
+  return proxyToKubo(req, pathname, res, query, { cid, wallet: result.wallet }, {
+    aesKey,
+    range: rangeInfo.range
+  });
 }
 
 export async function postPqIpns(req, res) {
@@ -179,14 +263,27 @@ export async function postPqIpns(req, res) {
       .status(result.status || 400)
       .json({ error: result.error || 'pq_error', message: result.message || 'pq_error' });
   }
+  attachPqContext(req, res, result);
+  if (await rejectIfTokenOutOfScope(req, res)) return;
+  if (await rejectIfWalletRestricted(req, res)) return;
 
   const payload = result.payload || {};
   const name = String(payload.name || payload.ipns || '').trim();
   const path = payload.path ? String(payload.path).trim() : '';
   const query = payload.query && typeof payload.query === 'object' ? payload.query : undefined;
+  const aesKey = req.pqAesKey;
 
   if (!name) {
-    return res.status(400).json({ error: 'ipns_required', message: 'ipns name is required' });
+    const body = { error: 'ipns_required', message: 'ipns name is required' };
+    if (aesKey) return sendPqStreamJson(res, aesKey, 400, body);
+    return sendPqJson(req, res, 400, body, 'api:/pq/ipns');
+  }
+
+  const rangeInfo = resolveRange(req, payload);
+  if (!rangeInfo.ok) {
+    const body = { error: 'range_invalid', message: 'range must look like bytes=start-end' };
+    if (aesKey) return sendPqStreamJson(res, aesKey, 400, body);
+    return sendPqJson(req, res, 400, body, 'api:/pq/ipns');
   }
 
   let pathname = `/ipns/${encodeURIComponent(name)}`;
@@ -196,5 +293,8 @@ export async function postPqIpns(req, res) {
   }
 
   const cidPromise = resolveIpnsToRootCid(name, { ttlMs: 5 * 60 * 1000 });
-  return proxyToKubo(pathname, res, query, { cidPromise, wallet: result.wallet });
+  return proxyToKubo(req, pathname, res, query, { cidPromise, wallet: result.wallet }, {
+    aesKey,
+    range: rangeInfo.range
+  });
 }
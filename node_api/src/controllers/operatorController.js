@@ -0,0 +1,267 @@
+import { kuboRequest } from '../lib/kuboClient.js';
+import {
+  listWalletsOverview,
+  listWalletRoots,
+  getWalletRow,
+  getWalletRootsSummary,
+  getWalletSuspension,
+  setWalletSuspension,
+  clearWalletSuspension,
+  removeAllCidReferences
+} from '../lib/walletDb.js';
+import { invalidateWalletPolicy } from '../lib/walletPolicy.js';
+import { requestIndexerReprocess } from '../lib/indexerClient.js';
+import { isWalletSyntaxValid } from '../lib/auth.js';
+import { sendWebhookEvent } from '../lib/webhook.js';
+import { buildPlanExpiryReport } from '../services/planExpiry.js';
+import {
+  runPinDriftPass,
+  repairMissingPins,
+  getPinDriftStats,
+  getPinDriftConfig
+} from '../services/pinDrift.js';
+import { sendPqJson } from '../lib/pqResponse.js';
+
+// Operator-only endpoints under /admin/*, mounted behind authOperator.
+
+function readWallet(body) {
+  const wallet = String(body?.wallet || '').trim();
+  if (!wallet) return { error: 'wallet_required' };
+  if (!isWalletSyntaxValid(wallet)) return { error: 'wallet_invalid' };
+  return { wallet };
+}
+
+export async function postAdminWallets(req, res) {
+  const send = (statusCode, body) => sendPqJson(req, res, statusCode, body, 'api:/admin/wallets');
+  try {
+    const page = await listWalletsOverview({
+      limit: req.body?.limit,
+      offset: req.body?.offset
+    });
+    const wallets = page.wallets.map((row) => ({
+      wallet: row.wallet,
+      plan: {
+        id: row.plan_id ?? null,
+        expires_at: row.plan_expires_at ?? null,
+        last_chain_check_at: row.last_chain_check_at ?? null
+      },
+      usage: {
+        roots_active: row.roots_active ?? 0,
+        pins: row.pins ?? 0,
+        bytes_estimated: row.bytes_estimated ?? 0
+      },
+      suspended: row.suspended_at != null,
+      suspended_at: row.suspended_at ?? null,
+      suspended_reason: row.suspended_reason ?? null
+    }));
+    return send(200, {
+      ok: true,
+      total: page.total,
+      limit: page.limit,
+      offset: page.offset,
+      has_more: page.offset + wallets.length < page.total,
+      wallets
+    });
+  } catch (err) {
+    // eslint-disable-next-line no-console
+    console.error('[api:/admin/wallets] error', err);
+    return send(500, { error: 'internal_error' });
+  }
+}
+
+export async function postAdminWalletRoots(req, res) {
+  const send = (statusCode, body) =>
+    sendPqJson(req, res, statusCode, body, 'api:/admin/wallet/roots');
+  try {
+    const { wallet, error } = readWallet(req.body);
+    if (error) return send(400, { error });
+
+    const includeRemoved = req.body?.include_removed === true;
+    const [row, summary, suspension, roots] = await Promise.all([
+      getWalletRow(wallet),
+      getWalletRootsSummary(wallet),
+      getWalletSuspension(wallet),
+      listWalletRoots(wallet, {
+        includeRemoved,
+        limit: req.body?.limit,
+        offset: req.body?.offset
+      })
+    ]);
+
+    return send(200, {
+      ok: true,
+      wallet,
+      plan: row
+        ? { id: row.plan_id ?? null, expires_at: row.plan_expires_at ?? null }
+        : null,
+      suspended: !!suspension,
+      suspended_reason: suspension?.reason ?? null,
+      summary: {
+        roots_total: summary.totalRoots,
+        roots_active: summary.activeRoots,
+        bytes_estimated: summary.bytesEstimated
+      },
+      roots: roots.map((r) => ({
+        cid: r.root_cid,
+        status: r.status,
+        created_at: r.created_at,
+        bytes_estimated: r.bytes_estimated ?? null,
+        display_name: r.display_name ?? null
+      }))
+    });
+  } catch (err) {
+    // eslint-disable-next-line no-console
+    console.error('[api:/admin/wallet/roots] error', err);
+    return send(500, { error: 'internal_error' });
+  }
+}
+
+// Removes the Kubo pin and every wallet reference to the CID, whoever owns it.
+export async function postAdminUnpin(req, res) {
+  const send = (statusCode, body) => sendPqJson(req, res, statusCode, body, 'api:/admin/unpin');
+  try {
+    const cid = String(req.body?.cid || '').trim();
+    if (!cid) return send(400, { error: 'cid_required' });
+
+    const resp = await kuboRequest(`/api/v0/pin/rm?arg=${encodeURIComponent(cid)}`, {
+      timeoutMs: 20_000
+    });
+    const text = await resp.text();
+    // Already unpinned in Kubo is fine: the point is to get rid of the references too.
+    const notPinned = !resp.ok && /not pinned/i.test(text);
+    if (!resp.ok && !notPinned) {
+      return send(502, { error: 'ipfs_unpin_failed', details: text.slice(0, 240) });
+    }
+
+    const wallets = await removeAllCidReferences(cid);
+
+    // eslint-disable-next-line no-console
+    console.warn('[admin] force-unpin', { cid, wallets: wallets.length, kuboPinned: !notPinned });
+    void sendWebhookEvent('admin_unpin', { cid, wallets, reason: req.body?.reason ?? null });
+
+    return send(200, { ok: true, cid, kubo_unpinned: !notPinned, wallets });
+  } catch (err) {
+    // eslint-disable-next-line no-console
+    console.error('[api:/admin/unpin] error', err);
+    return send(500, { error: 'internal_error' });
+  }
+}
+
+export async function postAdminWalletSuspend(req, res) {
+  const send = (statusCode, body) =>
+    sendPqJson(req, res, statusCode, body, 'api:/admin/wallet/suspend');
+  try {
+    const { wallet, error } = readWallet(req.body);
+    if (error) return send(400, { error });
+
+    const suspend = req.body?.suspended !== false;
+    const reason = req.body?.reason ? String(req.body.reason).trim().slice(0, 256) || null : null;
+
+    let changed;
+    if (suspend) {
+      await setWalletSuspension(wallet, { reason });
+      changed = true;
+    } else {
+      changed = await clearWalletSuspension(wallet);
+    }
+    invalidateWalletPolicy(wallet);
+
+    // eslint-disable-next-line no-console
+    console.warn('[admin] wallet suspension', { wallet, suspended: suspend, reason });
+    void sendWebhookEvent(suspend ? 'wallet_suspended' : 'wallet_unsuspended', { wallet, reason });
+
+    return send(200, { ok: true, wallet, suspended: suspend, reason, changed });
+  } catch (err) {
+    // eslint-disable-next-line no-console
+    console.error('[api:/admin/wallet/suspend] error', err);
+    return send(500, { error: 'internal_error' });
+  }
+}
+
+export async function postAdminIndexerReprocess(req, res) {
+  const send = (statusCode, body) =>
+    sendPqJson(req, res, statusCode, body, 'api:/admin/indexer/reprocess');
+  try {
+    const all = req.body?.all === true;
+    const cids = Array.isArray(req.body?.cids)
+      ? req.body.cids.map((c) => String(c || '').trim()).filter(Boolean)
+      : [];
+    if (!all && cids.length === 0) return send(400, { error: 'cids_required' });
+
+    const result = await requestIndexerReprocess({ cids, all });
+    if (!result.ok) {
+      const status = result.status && result.status < 500 ? 400 : 502;
+      return send(status, { error: 'indexer_reprocess_failed', details: result.error });
+    }
+    return send(200, { ok: true, all, requested: result.requested, updated: result.updated });
+  } catch (err) {
+    // eslint-disable-next-line no-console
+    console.error('[api:/admin/indexer/reprocess] error', err);
+    return send(500, { error: 'internal_error' });
+  }
+}
+
+// Dry run of the plan-expiry reconciler: nothing is sent or removed.
+export async function postAdminPlanExpiryReport(req, res) {
+  const send = (statusCode, body) =>
+    sendPqJson(req, res, statusCode, body, 'api:/admin/plan-expiry/report');
+  try {
+    const report = await buildPlanExpiryReport();
+    return send(200, { ok: true, dry_run: true, ...report });
+  } catch (err) {
+    // eslint-disable-next-line no-console
+    console.error('[api:/admin/plan-expiry/report] error', err);
+    return send(500, { error: 'internal_error' });
+  }
+}
+
+// Last pin-drift pass, or a fresh one (without repair) with { "run": true }.
+export async function postAdminPinDriftReport(req, res) {
+  const send = (statusCode, body) =>
+    sendPqJson(req, res, statusCode, body, 'api:/admin/pin-drift/report');
+  try {
+    let report = getPinDriftStats().lastRun;
+    if (req.body?.run === true) {
+      report = await runPinDriftPass({ repair: false });
+      if (!report) return send(409, { error: 'pin_drift_running' });
+    }
+    return send(200, { ok: true, config: getPinDriftConfig(), report });
+  } catch (err) {
+    // eslint-disable-next-line no-console
+    console.error('[api:/admin/pin-drift/report] error', err);
+    return send(500, { error: 'internal_error' });
+  }
+}
+
+const PIN_DRIFT_REPAIR_MAX_CIDS = 500;
+
+// Re-pins CIDs the last pass reported missing: all of them, or { "cids": [...] } among them.
+export async function postAdminPinDriftRepair(req, res) {
+  const send = (statusCode, body) =>
+    sendPqJson(req, res, statusCode, body, 'api:/admin/pin-drift/repair');
+  try {
+    const report = getPinDriftStats().lastRun;
+    if (!report || !report.missing_pins) return send(409, { error: 'pin_drift_report_required' });
+
+    const missing = [...report.missing_pins.items, ...report.missing_roots.items].map((m) => m.cid);
+    const requested = Array.isArray(req.body?.cids)
+      ? Array.from(new Set(req.body.cids.map((c) => String(c || '').trim()).filter(Boolean)))
+      : null;
+    if (requested && requested.length > PIN_DRIFT_REPAIR_MAX_CIDS) {
+      return send(400, { error: 'too_many_cids', max: PIN_DRIFT_REPAIR_MAX_CIDS });
+    }
+
+    const targets = requested ? requested.filter((c) => missing.includes(c)) : missing;
+    const results = [
+      ...(await repairMissingPins(targets)),
+      ...(requested || [])
+        .filter((c) => !missing.includes(c))
+        .map((cid) => ({ cid, status: 'not_missing' }))
+    ];
+    return send(200, { ok: true, report_started_at: report.started_at, results });
+  } catch (err) {
+    // eslint-disable-next-line no-console
+    console.error('[api:/admin/pin-drift/repair] error', err);
+    return send(500, { error: 'internal_error' });
+  }
+}
@@ -1,16 +1,13 @@
-import { kuboRequest } from '../lib/kuboClient.js';
 import { ensureChainOnline } from '../lib/chain.js';
-import { registerWalletHit, recordPin, recordUnpin } from '../lib/walletRegistry.js';
+import { registerWalletHit, recordUnpin } from '../lib/walletRegistry.js';
 import {
-  addWalletPin,
-  removeWalletPin,
-  hasWalletPin,
-  countWalletPinsForCid,
-  hasWalletRoot,
-  getWalletsForRootCid,
-  removeWalletRoot,
-  setWalletCidDisplayName
+  getWalletPinJob,
+  getLatestWalletPinJobForCid,
+  listWalletPinJobs
 } from '../lib/walletDb.js';
+import { admitPinJob } from '../services/pinJobs.js';
+import { unpinWalletCids } from '../lib/walletUnpin.js';
+import { getWalletQuota } from '../lib/walletQuota.js';
 import { sendWebhookEvent } from '../lib/webhook.js';
 import { sendPqJson } from '../lib/pqResponse.js';
 
@@ -35,30 +32,80 @@ export async function postPin(req, res) {
     const cid = String(req.body?.cid || '').trim();
     if (!cid) return send(400, { error: 'cid_required' });
 
-    const resp = await kuboRequest(
-      `/api/v0/pin/add?arg=${encodeURIComponent(cid)}`,
-      { timeoutMs: 20_000 }
-    );
-    const text = await resp.text();
-    if (!resp.ok) {
-      return send(502, { error: 'ipfs_pin_failed', details: text.slice(0, 240) });
-    }
+    // Quota pre-check and job creation are shared with the Pinning Service API (see pinJobs.js).
+    const admitted = await admitPinJob(wallet, cid);
+    if (!admitted.ok) return send(admitted.status, admitted.body);
+    const { job } = admitted;
 
-    recordPin(wallet);
+    return send(202, { ok: true, cid, wallet, ...describePinJob(job) });
+  } catch (err) {
+    console.error('[api:/pin] error', err);
+    return sendPqJson(req, res, 500, { error: 'internal_error' }, 'api:/pin');
+  }
+}
 
-    try {
-      await addWalletPin(wallet, cid);
-    } catch (dbErr) {
-      console.error('[api:/pin] wallet_pins insert failed', dbErr);
+// Resolves the wallet quota or answers 503 like the ingest plan check; null when answered.
+async function readQuota(wallet, send, label) {
+  try {
+    return await getWalletQuota(wallet);
+  } catch (planErr) {
+    // eslint-disable-next-line no-console
+    console.error(`[${label}] plan validation error`, {
+      code: planErr && planErr.code ? String(planErr.code) : 'unknown_error'
+    });
+    if (planErr && planErr.code === 'CHAIN_UNREACHABLE') {
+      send(503, { error: 'chain_unreachable' });
+    } else {
+      send(503, { error: 'plan_validation_failed' });
     }
+    return null;
+  }
+}
 
-    // Fire-and-forget webhook
-    void sendWebhookEvent('pin', { wallet, cid });
+function describePinJob(job) {
+  return {
+    job_id: job.jobId,
+    cid: job.cid,
+    state: job.state,
+    blocks_fetched: job.blocksFetched ?? 0,
+    error: job.error ?? null,
+    created_at: job.createdAt,
+    updated_at: job.updatedAt ?? job.createdAt,
+    finished_at: job.finishedAt ?? null
+  };
+}
 
-    return send(200, { ok: true, cid, wallet });
+export async function postPinStatus(req, res) {
+  const send = (statusCode, body) => sendPqJson(req, res, statusCode, body, 'api:/pin/status');
+  try {
+    const wallet = req.wallet;
+    const jobId = String(req.body?.job_id || '').trim();
+    const cid = String(req.body?.cid || '').trim();
+    if (!jobId && !cid) return send(400, { error: 'job_id_or_cid_required' });
+
+    const job = jobId
+      ? await getWalletPinJob(wallet, jobId)
+      : await getLatestWalletPinJobForCid(wallet, cid);
+    if (!job) return send(404, { error: 'pin_job_not_found' });
+
+    return send(200, { ok: true, wallet, ...describePinJob(job) });
   } catch (err) {
-    console.error('[api:/pin] error', err);
-    return sendPqJson(req, res, 500, { error: 'internal_error' }, 'api:/pin');
+    // eslint-disable-next-line no-console
+    console.error('[api:/pin/status] error', err);
+    return send(500, { error: 'internal_error' });
+  }
+}
+
+export async function postPinPending(req, res) {
+  const send = (statusCode, body) => sendPqJson(req, res, statusCode, body, 'api:/pin/pending');
+  try {
+    const wallet = req.wallet;
+    const jobs = await listWalletPinJobs(wallet, { limit: req.body?.limit });
+    return send(200, { ok: true, wallet, jobs: jobs.map(describePinJob) });
+  } catch (err) {
+    // eslint-disable-next-line no-console
+    console.error('[api:/pin/pending] error', err);
+    return send(500, { error: 'internal_error' });
   }
 }
 
@@ -71,117 +118,134 @@ export async function postUnpin(req, res) {
     const cid = String(req.body?.cid || '').trim();
     if (!cid) return send(400, { error: 'cid_required' });
 
-    let walletHasPin = false;
-    try {
-      walletHasPin = await hasWalletPin(wallet, cid);
-    } catch (dbErr) {
-      console.error('[api:/unpin] wallet_pins hasWalletPin failed', dbErr);
-    }
-
-    let walletHasRoot = false;
+    // Same rule as /unpin/batch and the plan-expiry reconciler (see walletUnpin.js): Kubo is only
+    // unpinned when no other wallet still references the CID, and a failed Kubo unpin keeps this
+    // wallet's references.
+    let result;
     try {
-      walletHasRoot = await hasWalletRoot(wallet, cid);
+      [result] = await unpinWalletCids(wallet, [cid]);
     } catch (dbErr) {
-      console.error('[api:/unpin] wallet_roots hasWalletRoot failed', dbErr);
+      console.error('[api:/unpin] wallet refs delete failed', dbErr);
+      return send(500, { error: 'internal_error', message: 'wallet_refs_write_failed' });
     }
 
-    let totalPins = 0;
-    try {
-      totalPins = await countWalletPinsForCid(cid);
-    } catch (dbErr) {
-      console.error('[api:/unpin] wallet_pins count failed', dbErr);
-    }
-
-    let totalRootOwners = 0;
-    try {
-      const owners = await getWalletsForRootCid(cid);
-      totalRootOwners = Array.isArray(owners) ? owners.length : 0;
-    } catch (dbErr) {
-      console.error('[api:/unpin] wallet_roots getWalletsForRootCid failed', dbErr);
+    // A CID this wallet never referenced is an idempotent no-op at the API level.
+    if (result.status === 'not_pinned') return send(200, { ok: true, cid, wallet, changed: false });
+    if (result.status === 'failed') {
+      return send(502, { error: 'ipfs_unpin_failed', details: result.details });
     }
 
-    const walletHasAnyRef = walletHasPin || walletHasRoot;
-    const totalLogicalPins = totalPins + totalRootOwners;
+    recordUnpin(wallet);
 
-    // If this wallet never had a logical pin/root for this CID,
-    // we treat the operation as idempotent at the API level and do not touch IPFS.
-    if (!walletHasAnyRef) {
-      try {
-        await setWalletCidDisplayName(wallet, cid, null);
-      } catch (dbErr) {
-        console.error('[api:/unpin] wallet_cid_metadata delete failed', dbErr);
-      }
-      return send(200, { ok: true, cid, wallet, changed: false });
-    }
+    // Fire-and-forget webhook
+    void sendWebhookEvent('unpin', { wallet, cid });
 
-    // Other wallets still reference this CID:
-    // we only remove the entry for this wallet and leave IPFS untouched.
-    if (totalLogicalPins > 1) {
-      // Remove logical references for this wallet (pins + roots).
-      try {
-        await removeWalletPin(wallet, cid);
-      } catch (dbErr) {
-        console.error('[api:/unpin] wallet_pins delete failed', dbErr);
-      }
+    return send(200, { ok: true, cid, wallet });
+  } catch (err) {
+    console.error('[api:/unpin] error', err);
+    return sendPqJson(req, res, 500, { error: 'internal_error' }, 'api:/unpin');
+  }
+}
 
-      try {
-        await removeWalletRoot(wallet, cid);
-      } catch (dbErr) {
-        console.error('[api:/unpin] wallet_roots delete failed', dbErr);
-      }
+const BATCH_MAX_CIDS = 500;
+const BATCH_KUBO_CONCURRENCY = (() => {
+  const n = Number(process.env.PIN_BATCH_CONCURRENCY);
+  if (Number.isFinite(n) && n >= 1) return Math.min(64, Math.floor(n));
+  return 8;
+})();
+
+function readBatchCids(body) {
+  const raw = body?.cids;
+  if (!Array.isArray(raw) || raw.length === 0) return { error: 'cids_required' };
+  const cids = Array.from(new Set(raw.map((c) => String(c || '').trim()).filter(Boolean)));
+  if (cids.length === 0) return { error: 'cids_required' };
+  if (cids.length > BATCH_MAX_CIDS) return { error: 'too_many_cids', max: BATCH_MAX_CIDS };
+  return { cids };
+}
 
-      recordUnpin(wallet);
+function summarize(results) {
+  const counts = {};
+  for (const r of results) counts[r.status] = (counts[r.status] || 0) + 1;
+  return counts;
+}
 
-      // Fire-and-forget webhook
-      void sendWebhookEvent('unpin', { wallet, cid });
+export async function postPinBatch(req, res) {
+  const send = (statusCode, body) => sendPqJson(req, res, statusCode, body, 'api:/pin/batch');
+  try {
+    const wallet = req.wallet;
 
-      try {
-        await setWalletCidDisplayName(wallet, cid, null);
-      } catch (dbErr) {
-        console.error('[api:/unpin] wallet_cid_metadata delete failed', dbErr);
+    try {
+      await ensureChainOnline();
+    } catch (err) {
+      if (err && err.code === 'CHAIN_UNREACHABLE') {
+        return send(503, { error: 'chain_unreachable' });
       }
-
-      return send(200, { ok: true, cid, wallet });
+      throw err;
     }
 
-    // totalLogicalPins <= 1 => this wallet is the last (or only) logical owner.
-    // We then try to remove the Kubo pin; on failure, we keep the DB entry intact.
-    const resp = await kuboRequest(
-      `/api/v0/pin/rm?arg=${encodeURIComponent(cid)}`,
-      { timeoutMs: 20_000 }
-    );
-    const text = await resp.text();
-    if (!resp.ok) {
-      return send(502, { error: 'ipfs_unpin_failed', details: text.slice(0, 240) });
-    }
+    registerWalletHit(wallet);
 
-    // Only remove logical references after a successful IPFS unpin.
-    try {
-      await removeWalletPin(wallet, cid);
-    } catch (dbErr) {
-      console.error('[api:/unpin] wallet_pins delete failed after ipfs', dbErr);
+    const { cids, error, max } = readBatchCids(req.body);
+    if (error) return send(400, { error, max });
+
+    const quota = await readQuota(wallet, send, 'api:/pin/batch');
+    if (!quota) return undefined;
+    if (quota.total != null && quota.remaining <= 0) {
+      return send(403, { error: 'quota_exceeded', remaining_bytes: 0 });
     }
 
-    try {
-      await removeWalletRoot(wallet, cid);
-    } catch (dbErr) {
-      console.error('[api:/unpin] wallet_roots delete failed after ipfs', dbErr);
+    // Each CID goes through the same admission as /pin and becomes a pin job, so nothing is
+    // fetched before its quota pre-check and the job queue bounds the Kubo work. CIDs are
+    // admitted in request order; the bytes of DAGs that are already local count against the
+    // rest of the batch.
+    let remaining = quota.remaining;
+    const results = [];
+    for (const cid of cids) {
+      // eslint-disable-next-line no-await-in-loop
+      const admitted = await admitPinJob(wallet, cid, { quota: { total: quota.total, remaining } });
+      if (!admitted.ok) {
+        results.push({ cid, status: 'failed', ...admitted.body });
+        continue;
+      }
+      if (remaining != null && admitted.extraBytes != null) remaining -= admitted.extraBytes;
+      results.push({ status: 'accepted', ...describePinJob(admitted.job) });
     }
 
-    recordUnpin(wallet);
+    return send(202, { ok: true, wallet, total: cids.length, counts: summarize(results), results });
+  } catch (err) {
+    // eslint-disable-next-line no-console
+    console.error('[api:/pin/batch] error', err);
+    return send(500, { error: 'internal_error' });
+  }
+}
 
-    // Fire-and-forget webhook
-    void sendWebhookEvent('unpin', { wallet, cid });
+export async function postUnpinBatch(req, res) {
+  const send = (statusCode, body) => sendPqJson(req, res, statusCode, body, 'api:/unpin/batch');
+  try {
+    const wallet = req.wallet;
 
+    const { cids, error, max } = readBatchCids(req.body);
+    if (error) return send(400, { error, max });
+
+    let results;
     try {
-      await setWalletCidDisplayName(wallet, cid, null);
+      results = await unpinWalletCids(wallet, cids, { concurrency: BATCH_KUBO_CONCURRENCY });
     } catch (dbErr) {
-      console.error('[api:/unpin] wallet_cid_metadata delete failed', dbErr);
+      // eslint-disable-next-line no-console
+      console.error('[api:/unpin/batch] wallet refs delete failed', dbErr);
+      return send(500, { error: 'internal_error', message: 'wallet_refs_write_failed' });
     }
 
-    return send(200, { ok: true, cid, wallet });
+    const removed = results
+      .filter((r) => r.status === 'unpinned' || r.status === 'released')
+      .map((r) => r.cid);
+    for (let i = 0; i < removed.length; i += 1) recordUnpin(wallet);
+    if (removed.length) void sendWebhookEvent('unpin_batch', { wallet, cids: removed });
+
+    return send(200, { ok: true, wallet, total: cids.length, counts: summarize(results), results });
   } catch (err) {
-    console.error('[api:/unpin] error', err);
-    return sendPqJson(req, res, 500, { error: 'internal_error' }, 'api:/unpin');
+    // eslint-disable-next-line no-console
+    console.error('[api:/unpin/batch] error', err);
+    return send(500, { error: 'internal_error' });
   }
 }
@@ -1,18 +1,52 @@
 import { createHash } from 'node:crypto';
-import { getKyberContext } from '../lib/kyberContext.js';
+import { getKyberKeyring } from '../lib/kyberContext.js';
+import { describeResponseSigner } from '../lib/responseSigner.js';
+import {
+  createPqSession,
+  revokePqSession,
+  revokeWalletPqSessions
+} from '../lib/pqSessions.js';
+import { sendPqJson } from '../lib/pqResponse.js';
+
+function describeKey(key) {
+  const pubB64 = Buffer.from(key.pubKeyBytes).toString('base64');
+  const pubkeyHash = createHash('sha256')
+    .update(Buffer.from(key.pubKeyBytes))
+    .digest('base64');
+  const out = {
+    alg: key.alg,
+    key_id: key.keyId,
+    pub: pubB64,
+    pubkey_hash: pubkeyHash,
+    kems: ['kyber768']
+  };
+  if (key.x25519) {
+    // Hybrid clients verify x25519_pub || pub against hybrid_pubkey_hash in one step.
+    out.kems.push('x25519-kyber768');
+    out.x25519_pub = Buffer.from(key.x25519.pubKeyBytes).toString('base64');
+    out.hybrid_pubkey_hash = createHash('sha256')
+      .update(Buffer.from(key.x25519.pubKeyBytes))
+      .update(Buffer.from(key.pubKeyBytes))
+      .digest('base64');
+  }
+  return out;
+}
 
 export function getKyberPublicKey(req, res) {
   try {
-    const ctx = getKyberContext();
-    const pubB64 = Buffer.from(ctx.pubKeyBytes).toString('base64');
-    const pubkeyHash = createHash('sha256')
-      .update(Buffer.from(ctx.pubKeyBytes))
-      .digest('base64');
+    const keyring = getKyberKeyring();
+    const now = Date.now();
+    const retiring = keyring.retiring
+      .filter((k) => k.deprecatedAt == null || k.deprecatedAt > now)
+      .map((k) => ({
+        ...describeKey(k),
+        deprecated_at: k.deprecatedAt != null ? new Date(k.deprecatedAt).toISOString() : null
+      }));
+    const signing = describeResponseSigner();
     res.json({
-      alg: ctx.alg,
-      key_id: ctx.keyId,
-      pub: pubB64,
-      pubkey_hash: pubkeyHash
+      ...describeKey(keyring.current),
+      retiring,
+      ...(signing ? { signing } : {})
     });
   } catch (err) {
     // eslint-disable-next-line no-console
@@ -20,3 +54,59 @@ export function getKyberPublicKey(req, res) {
     res.status(500).json({ error: 'pq_not_available' });
   }
 }
+
+export async function postPqSession(req, res) {
+  try {
+    const wallet = String(req.wallet || '').trim();
+
+    const send = (statusCode, body) => sendPqJson(req, res, statusCode, body, 'api:/pq/session');
+
+    if (!wallet) return send(400, { error: 'wallet_required' });
+
+    // A session key is derived from a fresh KEM shared secret; sessions cannot be chained.
+    if (req.pqSessionId || !req.pqAesKey) {
+      return send(400, { error: 'pq_session_requires_kem' });
+    }
+
+    const ttlSec = req.body?.ttl_sec ?? req.body?.ttlSec;
+    const session = createPqSession({ wallet, aesKey: req.pqAesKey, ttlSec });
+
+    return send(200, {
+      ok: true,
+      wallet,
+      session_id: session.id,
+      expires_at: session.expiresAt,
+      ttl_sec: Math.round((session.expiresAt - session.createdAt) / 1000)
+    });
+  } catch (err) {
+    // eslint-disable-next-line no-console
+    console.error('[api:/pq/session] error', err);
+    return sendPqJson(req, res, 500, { error: 'internal_error' }, 'api:/pq/session');
+  }
+}
+
+export async function postPqSessionRevoke(req, res) {
+  try {
+    const wallet = String(req.wallet || '').trim();
+
+    const send = (statusCode, body) =>
+      sendPqJson(req, res, statusCode, body, 'api:/pq/session/revoke');
+
+    if (!wallet) return send(400, { error: 'wallet_required' });
+
+    if (req.body?.all === true) {
+      const revoked = revokeWalletPqSessions(wallet);
+      return send(200, { ok: true, wallet, revoked });
+    }
+
+    const sessionId = String(req.body?.session_id || req.body?.sessionId || req.pqSessionId || '').trim();
+    if (!sessionId) return send(400, { error: 'session_id_required' });
+
+    const revoked = revokePqSession(sessionId, wallet) ? 1 : 0;
+    return send(200, { ok: true, wallet, revoked });
+  } catch (err) {
+    // eslint-disable-next-line no-console
+    console.error('[api:/pq/session/revoke] error', err);
+    return sendPqJson(req, res, 500, { error: 'internal_error' }, 'api:/pq/session/revoke');
+  }
+}
@@ -0,0 +1,395 @@
+import crypto from 'node:crypto';
+import { CID } from 'multiformats/cid';
+import { kuboRequest } from '../lib/kuboClient.js';
+import { registerWalletHit, recordUnpin } from '../lib/walletRegistry.js';
+import {
+  insertWalletPsaPin,
+  getWalletPsaPin,
+  listWalletPsaPins,
+  deleteWalletPsaPin,
+  countWalletPsaPinsForCid,
+  listWalletCidRefRows,
+  setWalletCidDisplayName,
+  PIN_JOB_ACTIVE_STATES
+} from '../lib/walletDb.js';
+import { admitPinJob, cancelPinJob } from '../services/pinJobs.js';
+import { unpinWalletCids } from '../lib/walletUnpin.js';
+import { discoverIpfsSeed } from '../lib/ipfsSeed.js';
+import { sendWebhookEvent } from '../lib/webhook.js';
+import { sendPqJson } from '../lib/pqResponse.js';
+
+// IPFS Pinning Service API (https://ipfs.github.io/pinning-services-api-spec/) under /psa, so
+// `ipfs pin remote service add lumen https://<gateway>/psa <lmt_token>` works.
+//
+// Every request is a pin job (see pinJobs.js) plus a wallet_psa_pins row carrying the
+// requestid, name, origins and meta. CIDs the wallet holds through /pin or /ingest without a
+// PSA request are listed too, as pinned, with the CID itself as requestid; deleting one is an
+// /unpin.
+
+const PSA_STATUSES = ['queued', 'pinning', 'pinned', 'failed'];
+const JOB_STATE_TO_STATUS = {
+  queued: 'queued',
+  fetching: 'pinning',
+  pinned: 'pinned',
+  failed: 'failed'
+};
+const MATCH_MODES = ['exact', 'iexact', 'partial', 'ipartial'];
+const MAX_NAME_LEN = 255;
+const MAX_ORIGINS = 20;
+const MAX_META_BYTES = 4096;
+const MAX_CID_FILTER = 10;
+const DEFAULT_LIMIT = 10;
+const MAX_LIMIT = 1000;
+const DELEGATES_TTL_MS = 5 * 60 * 1000;
+
+let delegatesCache = { at: 0, value: [] };
+
+function psaError(reason, details) {
+  return { error: { reason, details: details != null ? String(details) : undefined } };
+}
+
+// Repo error bodies ({ error: 'quota_exceeded', remaining_bytes }) in the PSA error shape.
+function toPsaError(body) {
+  const { error, ...rest } = body || {};
+  const details = Object.entries(rest)
+    .map(([k, v]) => `${k}=${v}`)
+    .join(' ');
+  return psaError(String(error || 'internal_error').toUpperCase(), details || error);
+}
+
+async function getDelegates() {
+  const now = Date.now();
+  if (now - delegatesCache.at < DELEGATES_TTL_MS) return delegatesCache.value;
+  const seed = await discoverIpfsSeed();
+  const value = seed.ok
+    ? seed.multiaddrs.slice(0, 20).map((addr) => `${addr}/p2p/${seed.peerId}`)
+    : delegatesCache.value;
+  delegatesCache = { at: now, value };
+  return value;
+}
+
+// Best effort: dialing the origins the client listed speeds up the fetch; failures are ignored.
+async function connectOrigins(origins) {
+  for (const addr of origins.filter((o) => o.includes('/p2p/'))) {
+    try {
+      const resp = await kuboRequest(`/api/v0/swarm/connect?arg=${encodeURIComponent(addr)}`, {
+        timeoutMs: 10_000
+      });
+      await resp.text();
+    } catch {
+      // ignore
+    }
+  }
+}
+
+function readPin(body) {
+  const cid = typeof body?.cid === 'string' ? body.cid.trim() : '';
+  if (!cid) return { error: 'cid_required' };
+  try {
+    CID.parse(cid);
+  } catch {
+    return { error: 'cid_invalid' };
+  }
+
+  let name = null;
+  if (body.name != null) {
+    if (typeof body.name !== 'string' || body.name.length > MAX_NAME_LEN) {
+      return { error: 'name_invalid' };
+    }
+    name = body.name.trim() || null;
+  }
+
+  const origins = body.origins ?? [];
+  if (
+    !Array.isArray(origins) ||
+    origins.length > MAX_ORIGINS ||
+    origins.some((o) => typeof o !== 'string' || !o.startsWith('/'))
+  ) {
+    return { error: 'origins_invalid' };
+  }
+
+  const meta = body.meta ?? {};
+  if (
+    typeof meta !== 'object' ||
+    Array.isArray(meta) ||
+    Object.values(meta).some((v) => typeof v !== 'string') ||
+    Buffer.byteLength(JSON.stringify(meta), 'utf8') > MAX_META_BYTES
+  ) {
+    return { error: 'meta_invalid' };
+  }
+
+  return { pin: { cid, name, origins: Array.from(new Set(origins)), meta } };
+}
+
+function statusOfRecord(record) {
+  // Finished jobs are pruned after a while; from then on the wallet references are the truth.
+  if (!record.jobState) return record.hasRef ? 'pinned' : 'failed';
+  return JOB_STATE_TO_STATUS[record.jobState] || 'failed';
+}
+
+function entryFromRecord(record) {
+  const status = statusOfRecord(record);
+  const info = {};
+  if (status === 'failed' && record.jobError) info.error = record.jobError;
+  return {
+    requestId: record.requestId,
+    record,
+    status,
+    createdAt: record.createdAt,
+    pin: { cid: record.cid, name: record.name, origins: record.origins, meta: record.meta },
+    info
+  };
+}
+
+function entryFromRef(row) {
+  return {
+    requestId: row.cid,
+    record: null,
+    status: 'pinned',
+    createdAt: row.created_at,
+    pin: { cid: row.cid, name: row.display_name ?? null, origins: [], meta: {} },
+    info: {}
+  };
+}
+
+// PSA requests first, then wallet CIDs no request covers; newest first.
+async function listEntries(wallet) {
+  const records = await listWalletPsaPins(wallet);
+  const covered = new Set(records.map((r) => r.cid));
+  const refs = (await listWalletCidRefRows(wallet)).filter((r) => !covered.has(r.cid));
+  return [...records.map(entryFromRecord), ...refs.map(entryFromRef)].sort(
+    (a, b) => b.createdAt - a.createdAt
+  );
+}
+
+async function findEntry(wallet, requestId) {
+  const record = await getWalletPsaPin(wallet, requestId);
+  if (record) return entryFromRecord(record);
+  const [row] = await listWalletCidRefRows(wallet, { cid: requestId });
+  return row ? entryFromRef(row) : null;
+}
+
+async function describeEntry(entry) {
+  const pin = { cid: entry.pin.cid, origins: entry.pin.origins, meta: entry.pin.meta };
+  if (entry.pin.name) pin.name = entry.pin.name;
+  return {
+    requestid: entry.requestId,
+    status: entry.status,
+    created: new Date(entry.createdAt).toISOString(),
+    pin,
+    delegates: await getDelegates(),
+    info: entry.info
+  };
+}
+
+// Admits the pin (chain, plan and quota checks as /pin) and records the request.
+async function createRequest(wallet, pin) {
+  const admitted = await admitPinJob(wallet, pin.cid);
+  if (!admitted.ok) return admitted;
+
+  const requestId = `psa-${crypto.randomBytes(12).toString('hex')}`;
+  await insertWalletPsaPin({
+    requestId,
+    wallet,
+    cid: pin.cid,
+    name: pin.name,
+    origins: pin.origins,
+    meta: pin.meta,
+    jobId: admitted.job.jobId
+  });
+  if (pin.name) await setWalletCidDisplayName(wallet, pin.cid, pin.name);
+  if (pin.origins.length) void connectOrigins(pin.origins);
+
+  const record = await getWalletPsaPin(wallet, requestId);
+  return { ok: true, entry: entryFromRecord(record) };
+}
+
+// Drops a request. The CID is only unpinned (with the shared-ownership rules of /unpin) when
+// no other request of this wallet still wants it, unless `keepCid` is set (replace, same CID).
+async function dropRequest(wallet, entry, { keepCid = false } = {}) {
+  const { record } = entry;
+  const cid = entry.pin.cid;
+  if (record && (keepCid || (await countWalletPsaPinsForCid(wallet, cid)) > 1)) {
+    await deleteWalletPsaPin(wallet, record.requestId);
+    return { ok: true };
+  }
+  if (keepCid) return { ok: true };
+
+  if (record?.jobId && PIN_JOB_ACTIVE_STATES.includes(record.jobState)) {
+    await cancelPinJob(record.jobId);
+  }
+  const [result] = await unpinWalletCids(wallet, [cid]);
+  if (result.status === 'failed') return { ok: false, details: result.details };
+  if (record) await deleteWalletPsaPin(wallet, record.requestId);
+
+  if (result.status === 'unpinned' || result.status === 'released') {
+    recordUnpin(wallet);
+    void sendWebhookEvent('unpin', { wallet, cid });
+  }
+  return { ok: true };
+}
+
+function matchesName(name, filter, mode) {
+  if (!name) return false;
+  switch (mode) {
+    case 'iexact':
+      return name.toLowerCase() === filter.toLowerCase();
+    case 'partial':
+      return name.includes(filter);
+    case 'ipartial':
+      return name.toLowerCase().includes(filter.toLowerCase());
+    default:
+      return name === filter;
+  }
+}
+
+function readListFilters(query) {
+  const list = (v) =>
+    String(v || '')
+      .split(',')
+      .map((s) => s.trim())
+      .filter(Boolean);
+
+  const cids = list(query.cid);
+  if (cids.length > MAX_CID_FILTER) return { error: 'too_many_cids' };
+
+  const name = query.name != null ? String(query.name) : null;
+  if (name != null && name.length > MAX_NAME_LEN) return { error: 'name_invalid' };
+  const match = query.match != null ? String(query.match) : 'exact';
+  if (!MATCH_MODES.includes(match)) return { error: 'match_invalid' };
+
+  const statuses = query.status != null ? list(query.status) : ['pinned'];
+  if (!statuses.length || statuses.some((s) => !PSA_STATUSES.includes(s))) {
+    return { error: 'status_invalid' };
+  }
+
+  const time = (v) => (v != null ? Date.parse(String(v)) : null);
+  const before = time(query.before);
+  const after = time(query.after);
+  if (Number.isNaN(before) || Number.isNaN(after)) return { error: 'timestamp_invalid' };
+
+  let meta = null;
+  if (query.meta != null) {
+    try {
+      meta = JSON.parse(String(query.meta));
+    } catch {
+      meta = null;
+    }
+    if (!meta || typeof meta !== 'object' || Array.isArray(meta)) return { error: 'meta_invalid' };
+  }
+
+  const n = Number(query.limit ?? DEFAULT_LIMIT);
+  if (!Number.isInteger(n) || n < 1 || n > MAX_LIMIT) return { error: 'limit_invalid' };
+
+  return { filters: { cids, name, match, statuses, before, after, meta, limit: n } };
+}
+
+function matchesFilters(entry, f) {
+  if (f.cids.length && !f.cids.includes(entry.pin.cid)) return false;
+  if (f.name != null && !matchesName(entry.pin.name, f.name, f.match)) return false;
+  if (!f.statuses.includes(entry.status)) return false;
+  if (f.before != null && !(entry.createdAt < f.before)) return false;
+  if (f.after != null && !(entry.createdAt > f.after)) return false;
+  if (f.meta && Object.entries(f.meta).some(([k, v]) => entry.pin.meta?.[k] !== v)) return false;
+  return true;
+}
+
+export async function getPsaPins(req, res) {
+  const send = (statusCode, body) => sendPqJson(req, res, statusCode, body, 'api:/psa/pins');
+  try {
+    const wallet = req.wallet;
+    const { filters, error } = readListFilters(req.query || {});
+    if (error) return send(400, psaError('BAD_REQUEST', error));
+
+    const matching = (await listEntries(wallet)).filter((e) => matchesFilters(e, filters));
+    const results = [];
+    for (const entry of matching.slice(0, filters.limit)) results.push(await describeEntry(entry));
+    return send(200, { count: matching.length, results });
+  } catch (err) {
+    // eslint-disable-next-line no-console
+    console.error('[api:/psa/pins] error', err);
+    return send(500, psaError('INTERNAL_ERROR', 'internal_error'));
+  }
+}
+
+export async function postPsaPin(req, res) {
+  const send = (statusCode, body) => sendPqJson(req, res, statusCode, body, 'api:/psa/pins');
+  try {
+    const wallet = req.wallet;
+    registerWalletHit(wallet);
+
+    const { pin, error } = readPin(req.body);
+    if (error) return send(400, psaError('BAD_REQUEST', error));
+
+    const created = await createRequest(wallet, pin);
+    if (!created.ok) return send(created.status, toPsaError(created.body));
+    return send(202, await describeEntry(created.entry));
+  } catch (err) {
+    // eslint-disable-next-line no-console
+    console.error('[api:/psa/pins] add error', err);
+    return send(500, psaError('INTERNAL_ERROR', 'internal_error'));
+  }
+}
+
+export async function getPsaPin(req, res) {
+  const send = (statusCode, body) => sendPqJson(req, res, statusCode, body, 'api:/psa/pins');
+  try {
+    const entry = await findEntry(req.wallet, req.params.requestid);
+    if (!entry) return send(404, psaError('NOT_FOUND', 'request_not_found'));
+    return send(200, await describeEntry(entry));
+  } catch (err) {
+    // eslint-disable-next-line no-console
+    console.error('[api:/psa/pins] get error', err);
+    return send(500, psaError('INTERNAL_ERROR', 'internal_error'));
+  }
+}
+
+// Replace = add the new pin under a new requestid, then drop the old request.
+export async function postPsaPinReplace(req, res) {
+  const send = (statusCode, body) => sendPqJson(req, res, statusCode, body, 'api:/psa/pins');
+  try {
+    const wallet = req.wallet;
+    registerWalletHit(wallet);
+
+    const existing = await findEntry(wallet, req.params.requestid);
+    if (!existing) return send(404, psaError('NOT_FOUND', 'request_not_found'));
+
+    const { pin, error } = readPin(req.body);
+    if (error) return send(400, psaError('BAD_REQUEST', error));
+
+    const created = await createRequest(wallet, pin);
+    if (!created.ok) return send(created.status, toPsaError(created.body));
+
+    const dropped = await dropRequest(wallet, existing, { keepCid: existing.pin.cid === pin.cid });
+    if (!dropped.ok) {
+      // The new request stands; the old CID stays pinned and can be deleted again later.
+      // eslint-disable-next-line no-console
+      console.error('[api:/psa/pins] replace: old pin not removed', {
+        requestid: existing.requestId,
+        details: dropped.details
+      });
+    }
+    return send(202, await describeEntry(created.entry));
+  } catch (err) {
+    // eslint-disable-next-line no-console
+    console.error('[api:/psa/pins] replace error', err);
+    return send(500, psaError('INTERNAL_ERROR', 'internal_error'));
+  }
+}
+
+export async function deletePsaPin(req, res) {
+  const send = (statusCode, body) => sendPqJson(req, res, statusCode, body, 'api:/psa/pins');
+  try {
+    const wallet = req.wallet;
+    const entry = await findEntry(wallet, req.params.requestid);
+    if (!entry) return send(404, psaError('NOT_FOUND', 'request_not_found'));
+
+    const dropped = await dropRequest(wallet, entry);
+    if (!dropped.ok) return send(502, psaError('IPFS_UNPIN_FAILED', dropped.details));
+    return res.status(202).end();
+  } catch (err) {
+    // eslint-disable-next-line no-console
+    console.error('[api:/psa/pins] delete error', err);
+    return send(500, psaError('INTERNAL_ERROR', 'internal_error'));
+  }
+}
@@ -14,7 +14,8 @@ import {
 import { scoreDomainMatch } from '../lib/rootsDomains.js';
 import { resolveIpnsToRootCid } from '../lib/ipnsResolver.js';
 import { getUsageStatsForCids } from '../lib/usageDb.js';
-import { decryptPqRequest } from '../middleware/pqMiddleware.js';
+import { decryptPqRequest, attachPqContext } from '../middleware/pqMiddleware.js';
+import { rejectIfTokenOutOfScope, rejectIfWalletRestricted } from '../middleware/walletGuard.js';
 import { kuboRequest } from '../lib/kuboClient.js';
 import { sendPqJson } from '../lib/pqResponse.js';
 import { CID } from 'multiformats/cid';
@@ -2888,14 +2889,11 @@ export async function postSearchPq(req, res) {
         .json({ error: result.error ?? 'auth_failed', message: result.message });
     }
 
+    attachPqContext(req, res, result);
+    if (await rejectIfTokenOutOfScope(req, res)) return;
+    if (await rejectIfWalletRestricted(req, res)) return;
+
     const payload = result.payload || {};
-    if (result.aesKey) {
-      try {
-        req.pqAesKey = Buffer.from(result.aesKey);
-      } catch {
-        req.pqAesKey = null;
-      }
-    }
 
     const q = String(payload.q || '').trim();
     const limit = payload.limit;
@@ -2927,6 +2925,6 @@ export async function postSearchPq(req, res) {
     } catch {
       // ignore
     }
-    return res.status(500).json({ error: 'internal_error' });
+    return sendPqJson(req, res, 500, { error: 'internal_error' }, 'api:/pq/search');
   }
 }
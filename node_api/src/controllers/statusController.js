@@ -2,6 +2,7 @@ import fs from 'node:fs';
 import path from 'node:path';
 import { CONFIG } from '../config.js';
 import { kuboRequest } from '../lib/kuboClient.js';
+import { getRegistrationCheckState } from '../lib/gatewayRegistration.js';
 
 const PACKAGE_FILE = path.resolve(process.cwd(), 'package.json');
 let NODE_API_VERSION = '0.0.0';
@@ -25,11 +26,24 @@ export async function getStatus(_req, res) {
     ipfsOnline = false;
   }
 
+  const registration = getRegistrationCheckState();
+
   res.json({
     version: NODE_API_VERSION,
+    status: registration.degraded ? 'degraded' : 'ok',
     region: CONFIG.REGION,
     public: CONFIG.PUBLIC_ENDPOINT,
     ipfs: { online: ipfsOnline },
+    kyber: {
+      chain_check: {
+        status: registration.status,
+        mode: registration.mode,
+        local_key_id: registration.local?.key_id ?? null,
+        onchain_key_id: registration.onchain?.key_id ?? null,
+        mismatches: registration.mismatches,
+        checked_at: registration.checkedAt ? new Date(registration.checkedAt).toISOString() : null
+      }
+    },
     time: new Date().toISOString()
   });
 }
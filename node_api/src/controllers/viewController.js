@@ -1,4 +1,6 @@
-import { decryptPqRequest } from '../middleware/pqMiddleware.js';
+import { decryptPqRequest, attachPqContext } from '../middleware/pqMiddleware.js';
+import { rejectIfTokenOutOfScope, rejectIfWalletRestricted } from '../middleware/walletGuard.js';
+import { sendPqJson } from '../lib/pqResponse.js';
 import { recordCidAccess } from '../lib/usageDb.js';
 import { walletHasMinUlmn } from '../lib/walletBalance.js';
 
@@ -52,14 +54,19 @@ export async function postPqView(req, res) {
         .status(result.status || 400)
         .json({ error: result.error || 'pq_error', message: result.message || 'pq_error' });
     }
+    attachPqContext(req, res, result);
+    if (await rejectIfTokenOutOfScope(req, res)) return;
+    if (await rejectIfWalletRestricted(req, res)) return;
+
+    const send = (statusCode, body) => sendPqJson(req, res, statusCode, body, 'api:/pq/view');
 
     const payload = result.payload || {};
     const cid = String(payload.cid || '').trim();
     if (!cid) {
-      return res.status(400).json({ error: 'cid_required', message: 'cid_required' });
+      return send(400, { error: 'cid_required', message: 'cid_required' });
     }
     if (!isCidLike(cid)) {
-      return res.status(400).json({ error: 'cid_invalid', message: 'cid_invalid' });
+      return send(400, { error: 'cid_invalid', message: 'cid_invalid' });
     }
 
     const balanceCheck = await walletHasMinUlmn(result.wallet, MIN_VIEW_BALANCE_ULMN, {
@@ -69,12 +76,12 @@ export async function postPqView(req, res) {
 
     if (!balanceCheck || !balanceCheck.ok) {
       logNotCounted(result.wallet, 'balance_unreachable');
-      return res.json({ ok: true, cid, counted: false, reason: 'balance_unreachable' });
+      return send(200, { ok: true, cid, counted: false, reason: 'balance_unreachable' });
     }
 
     if (!balanceCheck.hasMin) {
       logNotCounted(result.wallet, 'balance_too_low');
-      return res.json({ ok: true, cid, counted: false, reason: 'balance_too_low' });
+      return send(200, { ok: true, cid, counted: false, reason: 'balance_too_low' });
     }
 
     try {
@@ -93,7 +100,7 @@ export async function postPqView(req, res) {
       }
     }
 
-    return res.json({ ok: true, cid, counted: true });
+    return send(200, { ok: true, cid, counted: true });
   } catch (err) {
     try {
       // eslint-disable-next-line no-console
@@ -101,6 +108,6 @@ export async function postPqView(req, res) {
     } catch {
       // ignore
     }
-    return res.status(500).json({ error: 'internal_error' });
+    return sendPqJson(req, res, 500, { error: 'internal_error' }, 'api:/pq/view');
   }
 }
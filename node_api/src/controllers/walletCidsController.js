@@ -1,4 +1,4 @@
-import { getWalletPinnedCidsPage } from '../lib/walletDb.js';
+import { getWalletPinnedCidsPage, getWalletCidOrganisation } from '../lib/walletDb.js';
 import { sendPqJson } from '../lib/pqResponse.js';
 import { debugLog } from '../lib/logger.js';
 
@@ -18,14 +18,26 @@ export async function getWalletPinnedCids(req, res) {
     const limitInternal = PAGE_SIZE + 1;
     const offset = (page - 1) * PAGE_SIZE;
 
+    // Optional filters: a collection id and/or one tag.
+    const collectionId =
+      String(req.query?.collection ?? req.body?.collection ?? '').trim() || null;
+    const tag = String(req.query?.tag ?? req.body?.tag ?? '').replace(/\s+/g, ' ').trim() || null;
+
     const rows = await getWalletPinnedCidsPage(wallet, {
       limit: limitInternal,
-      offset
+      offset,
+      collectionId,
+      tag
     });
 
     const hasMore = rows.length > PAGE_SIZE;
     const slice = hasMore ? rows.slice(0, PAGE_SIZE) : rows;
 
+    const organisation = await getWalletCidOrganisation(
+      wallet,
+      slice.map((row) => row?.cid)
+    );
+
     const items = [];
     const names = {};
     for (const row of slice) {
@@ -42,10 +54,13 @@ export async function getWalletPinnedCids(req, res) {
           ? row.display_name.trim()
           : null;
 
+      const org = organisation.get(cid);
       items.push({
         cid,
         created_at: createdAt,
-        display_name: displayName
+        display_name: displayName,
+        tags: org ? org.tags : [],
+        collections: org ? org.collections : []
       });
 
       if (displayName) names[cid] = displayName;
@@ -65,6 +80,8 @@ export async function getWalletPinnedCids(req, res) {
       wallet,
       page,
       page_size: PAGE_SIZE,
+      collection: collectionId,
+      tag,
       cids,
       items,
       names,
@@ -0,0 +1,164 @@
+import crypto from 'node:crypto';
+import {
+  listWalletCollections,
+  getWalletCollection,
+  getWalletCollectionByName,
+  insertWalletCollection,
+  renameWalletCollection,
+  deleteWalletCollection,
+  moveWalletCollectionCids,
+  getWalletOwnedCid
+} from '../lib/walletDb.js';
+import { sendPqJson } from '../lib/pqResponse.js';
+
+const MAX_NAME_LEN = 128;
+const MAX_MOVE_CIDS = 500;
+
+function normalizeCollectionName(value) {
+  if (typeof value !== 'string') return null;
+  const name = Array.from(value.replace(/\s+/g, ' ').trim()).slice(0, MAX_NAME_LEN).join('');
+  return name || null;
+}
+
+function describeCollection(c) {
+  return {
+    collection_id: c.collectionId,
+    name: c.name,
+    cid_count: c.cidCount,
+    created_at: c.createdAt,
+    updated_at: c.updatedAt
+  };
+}
+
+export async function postWalletCollections(req, res) {
+  const send = (statusCode, body) =>
+    sendPqJson(req, res, statusCode, body, 'api:/wallet/collections');
+  try {
+    const wallet = String(req.wallet || '').trim();
+    if (!wallet) return send(400, { error: 'wallet_required' });
+
+    const collections = await listWalletCollections(wallet);
+    return send(200, { ok: true, wallet, collections: collections.map(describeCollection) });
+  } catch (err) {
+    // eslint-disable-next-line no-console
+    console.error('[api:/wallet/collections] error', err);
+    return send(500, { error: 'internal_error' });
+  }
+}
+
+export async function postWalletCollectionCreate(req, res) {
+  const send = (statusCode, body) =>
+    sendPqJson(req, res, statusCode, body, 'api:/wallet/collections/create');
+  try {
+    const wallet = String(req.wallet || '').trim();
+    if (!wallet) return send(400, { error: 'wallet_required' });
+
+    const name = normalizeCollectionName(req.body?.name);
+    if (!name) return send(400, { error: 'name_required' });
+    if (await getWalletCollectionByName(wallet, name)) {
+      return send(409, { error: 'collection_name_taken' });
+    }
+
+    const collectionId = `col_${crypto.randomBytes(8).toString('hex')}`;
+    await insertWalletCollection({ collectionId, wallet, name });
+    const collection = await getWalletCollection(wallet, collectionId);
+    return send(200, { ok: true, wallet, ...describeCollection(collection) });
+  } catch (err) {
+    // eslint-disable-next-line no-console
+    console.error('[api:/wallet/collections/create] error', err);
+    return send(500, { error: 'internal_error' });
+  }
+}
+
+export async function postWalletCollectionRename(req, res) {
+  const send = (statusCode, body) =>
+    sendPqJson(req, res, statusCode, body, 'api:/wallet/collections/rename');
+  try {
+    const wallet = String(req.wallet || '').trim();
+    if (!wallet) return send(400, { error: 'wallet_required' });
+
+    const collectionId = String(req.body?.collection_id || '').trim();
+    if (!collectionId) return send(400, { error: 'collection_id_required' });
+    const name = normalizeCollectionName(req.body?.name);
+    if (!name) return send(400, { error: 'name_required' });
+
+    const existing = await getWalletCollectionByName(wallet, name);
+    if (existing && existing.collectionId !== collectionId) {
+      return send(409, { error: 'collection_name_taken' });
+    }
+    if (!(await renameWalletCollection(wallet, collectionId, name))) {
+      return send(404, { error: 'collection_not_found' });
+    }
+    const collection = await getWalletCollection(wallet, collectionId);
+    return send(200, { ok: true, wallet, ...describeCollection(collection) });
+  } catch (err) {
+    // eslint-disable-next-line no-console
+    console.error('[api:/wallet/collections/rename] error', err);
+    return send(500, { error: 'internal_error' });
+  }
+}
+
+export async function postWalletCollectionDelete(req, res) {
+  const send = (statusCode, body) =>
+    sendPqJson(req, res, statusCode, body, 'api:/wallet/collections/delete');
+  try {
+    const wallet = String(req.wallet || '').trim();
+    if (!wallet) return send(400, { error: 'wallet_required' });
+
+    const collectionId = String(req.body?.collection_id || '').trim();
+    if (!collectionId) return send(400, { error: 'collection_id_required' });
+
+    if (!(await deleteWalletCollection(wallet, collectionId))) {
+      return send(404, { error: 'collection_not_found' });
+    }
+    return send(200, { ok: true, wallet, collection_id: collectionId, deleted: true });
+  } catch (err) {
+    // eslint-disable-next-line no-console
+    console.error('[api:/wallet/collections/delete] error', err);
+    return send(500, { error: 'internal_error' });
+  }
+}
+
+// { cids, from?, to? }: add to `to`, remove from `from`, or both to move.
+export async function postWalletCollectionMove(req, res) {
+  const send = (statusCode, body) =>
+    sendPqJson(req, res, statusCode, body, 'api:/wallet/collections/move');
+  try {
+    const wallet = String(req.wallet || '').trim();
+    if (!wallet) return send(400, { error: 'wallet_required' });
+
+    const raw = Array.isArray(req.body?.cids) ? req.body.cids : [];
+    const cids = Array.from(new Set(raw.map((c) => String(c || '').trim()).filter(Boolean)));
+    if (!cids.length) return send(400, { error: 'cids_required' });
+    if (cids.length > MAX_MOVE_CIDS) return send(400, { error: 'too_many_cids', max: MAX_MOVE_CIDS });
+
+    const fromId = String(req.body?.from || '').trim() || null;
+    const toId = String(req.body?.to || '').trim() || null;
+    if (!fromId && !toId) return send(400, { error: 'collection_id_required' });
+    if (fromId && fromId === toId) return send(400, { error: 'same_collection' });
+
+    for (const id of [fromId, toId]) {
+      if (id && !(await getWalletCollection(wallet, id))) {
+        return send(404, { error: 'collection_not_found', collection_id: id });
+      }
+    }
+
+    // Memberships are keyed by the wallet's own spelling of each CID (see getWalletOwnedCid).
+    const owned = [];
+    const missing = [];
+    for (const cid of cids) {
+      const stored = await getWalletOwnedCid(wallet, cid);
+      if (stored) owned.push(stored);
+      else missing.push(cid);
+    }
+    if (missing.length) return send(404, { error: 'cid_not_found', cids: missing });
+
+    const moved = Array.from(new Set(owned));
+    await moveWalletCollectionCids(wallet, moved, { fromId, toId });
+    return send(200, { ok: true, wallet, from: fromId, to: toId, cids: moved });
+  } catch (err) {
+    // eslint-disable-next-line no-console
+    console.error('[api:/wallet/collections/move] error', err);
+    return send(500, { error: 'internal_error' });
+  }
+}
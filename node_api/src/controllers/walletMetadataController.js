@@ -1,5 +1,9 @@
 import { CID } from 'multiformats/cid';
-import { setWalletCidDisplayName } from '../lib/walletDb.js';
+import {
+  getWalletOwnedCid,
+  setWalletCidDisplayName,
+  updateWalletCidTags
+} from '../lib/walletDb.js';
 import { sendPqJson } from '../lib/pqResponse.js';
 
 function expandCidVariants(cid) {
@@ -72,3 +76,48 @@ export async function postWalletCidRename(req, res) {
     return sendPqJson(req, res, 500, { error: 'internal_error' }, 'api:/wallet/cid/rename');
   }
 }
+
+const MAX_TAG_LEN = 64;
+const MAX_TAGS_PER_CALL = 32;
+
+function normalizeTags(input) {
+  if (input == null) return [];
+  if (!Array.isArray(input)) return null;
+  const tags = input
+    .map((t) => (typeof t === 'string' ? t.replace(/\s+/g, ' ').trim() : ''))
+    .filter(Boolean)
+    .map((t) => Array.from(t).slice(0, MAX_TAG_LEN).join(''));
+  return Array.from(new Set(tags));
+}
+
+// { cid, tags } replaces the CID's tags; { cid, add, remove } edits them.
+export async function postWalletCidTags(req, res) {
+  const send = (statusCode, body) => sendPqJson(req, res, statusCode, body, 'api:/wallet/cid/tags');
+  try {
+    const wallet = String(req.wallet || '').trim();
+    if (!wallet) return send(400, { error: 'wallet_required' });
+
+    const cid = String(req.body?.cid || '').trim();
+    if (!cid) return send(400, { error: 'cid_required' });
+    if (!expandCidVariants(cid).length) return send(400, { error: 'cid_invalid' });
+
+    const replace = Array.isArray(req.body?.tags);
+    const add = normalizeTags(replace ? req.body.tags : req.body?.add);
+    const remove = normalizeTags(replace ? [] : req.body?.remove);
+    if (add === null || remove === null) return send(400, { error: 'tags_invalid' });
+    if (!replace && !add.length && !remove.length) return send(400, { error: 'tags_required' });
+    if (add.length > MAX_TAGS_PER_CALL || remove.length > MAX_TAGS_PER_CALL) {
+      return send(400, { error: 'too_many_tags', max: MAX_TAGS_PER_CALL });
+    }
+
+    const owned = await getWalletOwnedCid(wallet, cid);
+    if (!owned) return send(404, { error: 'cid_not_found', cid });
+
+    const tags = await updateWalletCidTags(wallet, owned, { add, remove, replace });
+    return send(200, { ok: true, wallet, cid: owned, tags });
+  } catch (err) {
+    // eslint-disable-next-line no-console
+    console.error('[api:/wallet/cid/tags] error', err);
+    return send(500, { error: 'internal_error' });
+  }
+}
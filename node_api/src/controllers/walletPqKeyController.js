@@ -0,0 +1,86 @@
+import { createHash } from 'node:crypto';
+import { verifyMlDsaSignature, ML_DSA_65_PUBKEY_BYTES } from '../lib/authSig.js';
+import { setWalletPqKey, removeWalletPqKey } from '../lib/walletDb.js';
+import { sendPqJson } from '../lib/pqResponse.js';
+
+// Proof of possession for a new ML-DSA key, bound to the wallet and the registration nonce.
+export function buildPqKeyProofMessage(wallet, nonce) {
+  return `lumen-wallet-pq-key-v1|${wallet}|${nonce}`;
+}
+
+function describePqKey(record) {
+  const pub = Buffer.from(record.pubkey, 'base64');
+  return {
+    alg: record.alg,
+    pubkey_hash: createHash('sha256').update(pub).digest('base64'),
+    created_at: record.createdAt,
+    updated_at: record.updatedAt
+  };
+}
+
+export async function postWalletPqKeyRegister(req, res) {
+  try {
+    const wallet = String(req.wallet || '').trim();
+
+    const send = (statusCode, body) =>
+      sendPqJson(req, res, statusCode, body, 'api:/wallet/pq-key');
+
+    if (!wallet) return send(400, { error: 'wallet_required' });
+
+    // Binding a key to the address is only as strong as the signature that does it.
+    if (req.pqSigAlg !== 'secp256k1') {
+      return send(403, {
+        error: 'pq_key_registration_requires_wallet_signature',
+        message: 'secp256k1_signature_required'
+      });
+    }
+
+    const alg = String(req.body?.alg || 'ml-dsa-65').trim().toLowerCase();
+    if (alg !== 'ml-dsa-65') return send(400, { error: 'alg_unsupported' });
+
+    const pubkey = String(req.body?.pubkey || '').trim();
+    const pubBytes = pubkey ? Buffer.from(pubkey, 'base64') : Buffer.alloc(0);
+    if (pubBytes.length !== ML_DSA_65_PUBKEY_BYTES) {
+      return send(400, { error: 'pubkey_invalid' });
+    }
+
+    const proof = String(req.body?.proof || '').trim();
+    if (!proof) return send(400, { error: 'proof_required' });
+    const proofOk = verifyMlDsaSignature(
+      buildPqKeyProofMessage(wallet, req.pqNonce),
+      proof,
+      pubBytes.toString('base64')
+    );
+    if (!proofOk) return send(400, { error: 'proof_invalid' });
+
+    const record = await setWalletPqKey(wallet, { alg, pubkey: pubBytes.toString('base64') });
+    return send(200, { ok: true, wallet, ...describePqKey(record) });
+  } catch (err) {
+    // eslint-disable-next-line no-console
+    console.error('[api:/wallet/pq-key] error', err);
+    return sendPqJson(req, res, 500, { error: 'internal_error' }, 'api:/wallet/pq-key');
+  }
+}
+
+export async function postWalletPqKeyRemove(req, res) {
+  try {
+    const wallet = String(req.wallet || '').trim();
+
+    const send = (statusCode, body) =>
+      sendPqJson(req, res, statusCode, body, 'api:/wallet/pq-key/remove');
+
+    if (!wallet) return send(400, { error: 'wallet_required' });
+
+    // Either wallet key may drop the ML-DSA key; sessions and access tokens may not.
+    if (!req.pqSigAlg) {
+      return send(403, { error: 'pq_key_removal_requires_wallet_signature' });
+    }
+
+    const removed = await removeWalletPqKey(wallet);
+    return send(200, { ok: true, wallet, removed });
+  } catch (err) {
+    // eslint-disable-next-line no-console
+    console.error('[api:/wallet/pq-key/remove] error', err);
+    return sendPqJson(req, res, 500, { error: 'internal_error' }, 'api:/wallet/pq-key/remove');
+  }
+}
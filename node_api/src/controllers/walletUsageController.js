@@ -110,16 +110,20 @@ export async function getWalletUsage(req, res) {
     const wallet = walletFromReq || walletFromParam;
 
     if (!wallet) {
-      return res.status(400).json({ error: 'wallet_required' });
+      return sendPqJson(req, res, 400, { error: 'wallet_required' }, 'api:/wallet/:wallet/usage');
     }
 
     // Optional safety: ensure caller wallet matches path wallet when present
     if (walletFromParam) {
       const extracted = extractWallet(req);
       if (extracted.ok && extracted.wallet && extracted.wallet !== walletFromParam) {
-        return res
-          .status(400)
-          .json({ error: 'wallet_mismatch', message: 'wallet_mismatch' });
+        return sendPqJson(
+          req,
+          res,
+          400,
+          { error: 'wallet_mismatch', message: 'wallet_mismatch' },
+          'api:/wallet/:wallet/usage'
+        );
       }
     }
 
@@ -185,7 +189,11 @@ export async function getWalletUsage(req, res) {
       console.error('[walletUsage] indexer error', err);
     }
 
-    const quotaBytesUsed = summary.bytesEstimated;
+    // Accounted DAG sizes from the quota engine; the ingest estimate only when the chain is down.
+    const quotaBytesUsed =
+      typeof planState?.plan?.quota_bytes_used === 'number'
+        ? planState.plan.quota_bytes_used
+        : summary.bytesEstimated;
 
     const quotaBytesTotal =
       planState && planState.plan && typeof planState.plan.quota_bytes_total === 'number'
@@ -0,0 +1,127 @@
+import crypto from 'node:crypto';
+import {
+  insertWalletAccessToken,
+  getWalletAccessToken,
+  touchWalletAccessToken
+} from './walletDb.js';
+
+// Delegated credentials: a wallet issues a scoped bearer token (format `lmt_<id>.<secret>`) that a
+// backend job puts in the PQ envelope as `access_token` instead of a wallet signature.
+// Only the SHA-256 of the secret is stored.
+
+// Scope -> routes it unlocks. Routes not listed here (token management, sessions, renames) always
+// require a wallet signature.
+export const ACCESS_TOKEN_SCOPES = {
+  pin: ['/pin', '/unpin', '/ispinned', '/pin/batch', '/unpin/batch', '/pin/status', '/pin/pending'],
+  ingest: ['/ingest/init', '/ingest/ready', '/ingest/status'],
+  'wallet/cids': ['/wallet/cids'],
+  'wallet/usage': ['/wallet/usage'],
+  // Plain bearer auth on the Pinning Service API (see psaController.js), not the PQ envelope.
+  psa: ['/psa/pins']
+};
+
+const DEFAULT_TTL_SEC = 30 * 24 * 60 * 60;
+const MAX_TTL_SEC = (() => {
+  const n = Number(process.env.ACCESS_TOKEN_MAX_TTL_SEC);
+  if (Number.isFinite(n) && n > 0) return Math.floor(n);
+  return 365 * 24 * 60 * 60;
+})();
+const TOKEN_RE = /^lmt_([0-9a-f]{32})\.([A-Za-z0-9_-]{43})$/;
+const LAST_USED_WRITE_INTERVAL_MS = 60 * 1000;
+
+function hashSecret(secret) {
+  return crypto.createHash('sha256').update(String(secret), 'utf8').digest('hex');
+}
+
+export function scopeForPath(pathname) {
+  const p = String(pathname || '');
+  for (const [scope, routes] of Object.entries(ACCESS_TOKEN_SCOPES)) {
+    if (routes.includes(p)) return scope;
+  }
+  return null;
+}
+
+export function normalizeScopes(input) {
+  if (!Array.isArray(input)) return { ok: false, error: 'scopes_required' };
+  const scopes = Array.from(new Set(input.map((s) => String(s || '').trim()).filter(Boolean)));
+  if (scopes.length === 0) return { ok: false, error: 'scopes_required' };
+  const unknown = scopes.filter((s) => !Object.hasOwn(ACCESS_TOKEN_SCOPES, s));
+  if (unknown.length) return { ok: false, error: 'scope_invalid', unknown };
+  return { ok: true, scopes };
+}
+
+export function describeAccessToken(token) {
+  return {
+    token_id: token.tokenId,
+    scopes: token.scopes,
+    label: token.label,
+    max_bytes: token.maxBytes,
+    bytes_used: token.bytesUsed,
+    created_at: token.createdAt,
+    expires_at: token.expiresAt,
+    revoked_at: token.revokedAt,
+    last_used_at: token.lastUsedAt
+  };
+}
+
+export async function issueAccessToken({ wallet, scopes, ttlSec, maxBytes, label }) {
+  const now = Date.now();
+  const requested = Number(ttlSec);
+  const ttl =
+    Number.isFinite(requested) && requested > 0
+      ? Math.min(Math.floor(requested), MAX_TTL_SEC)
+      : Math.min(DEFAULT_TTL_SEC, MAX_TTL_SEC);
+
+  const tokenId = crypto.randomBytes(16).toString('hex');
+  const secret = crypto.randomBytes(32).toString('base64url');
+  const record = {
+    tokenId,
+    wallet,
+    secretHash: hashSecret(secret),
+    scopes,
+    label: label ? String(label).trim().slice(0, 128) || null : null,
+    maxBytes: maxBytes != null ? Math.floor(maxBytes) : null,
+    createdAt: now,
+    expiresAt: now + ttl * 1000
+  };
+  await insertWalletAccessToken(record);
+
+  return {
+    token: `lmt_${tokenId}.${secret}`,
+    record: { ...record, bytesUsed: 0, revokedAt: null, lastUsedAt: null }
+  };
+}
+
+// Resolves a presented token for `wallet`. Errors are deliberately coarse for the client.
+export async function verifyAccessToken(rawToken, { wallet, nowMs = Date.now() } = {}) {
+  const result = await resolveAccessToken(rawToken, { nowMs });
+  if (result.ok && result.token.wallet !== wallet) return { ok: false, error: 'token_invalid' };
+  return result;
+}
+
+// Same checks without an expected wallet: the token itself names the wallet (bearer auth).
+export async function resolveAccessToken(rawToken, { nowMs = Date.now() } = {}) {
+  const m = TOKEN_RE.exec(String(rawToken || '').trim());
+  if (!m) return { ok: false, error: 'token_invalid' };
+
+  const token = await getWalletAccessToken(m[1]);
+  if (!token) return { ok: false, error: 'token_invalid' };
+
+  const presented = Buffer.from(hashSecret(m[2]), 'hex');
+  const stored = Buffer.from(token.secretHash, 'hex');
+  if (presented.length !== stored.length || !crypto.timingSafeEqual(presented, stored)) {
+    return { ok: false, error: 'token_invalid' };
+  }
+  if (token.revokedAt != null) return { ok: false, error: 'token_revoked' };
+  if (token.expiresAt <= nowMs) return { ok: false, error: 'token_expired' };
+
+  if (token.lastUsedAt == null || nowMs - token.lastUsedAt > LAST_USED_WRITE_INTERVAL_MS) {
+    void touchWalletAccessToken(token.tokenId, nowMs).catch(() => null);
+  }
+  return { ok: true, token };
+}
+
+export function accessTokenRemainingBytes(token) {
+  if (!token || token.maxBytes == null) return null;
+  return Math.max(0, token.maxBytes - (token.bytesUsed || 0));
+}
@@ -4,7 +4,7 @@ function escapeRegex(value) {
   return String(value || '').replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
 }
 
-function isWalletSyntaxValid(wallet) {
+export function isWalletSyntaxValid(wallet) {
   const hrp = String(CONFIG.ADDR_HRP || 'lmn').trim() || 'lmn';
   const re = new RegExp(`^${escapeRegex(hrp)}1[0-9a-z]+$`);
   return re.test(String(wallet || '').trim());
@@ -1,5 +1,7 @@
 import { Secp256k1, Secp256k1Signature, Sha256, Ripemd160 } from '@cosmjs/crypto';
 import { toBech32 } from '@cosmjs/encoding';
+import { ml_dsa65 } from '@noble/post-quantum/ml-dsa.js';
+import { claimNonce } from './nonceStore.js';
 
 const REPLAY_WINDOW_SEC = 300; // 5 minutes
 const NONCE_TTL_MS = 10 * 60 * 1000; // 10 minutes
@@ -9,8 +11,6 @@ const NONCE_MAX_ENTRIES = (() => {
   return 20_000;
 })();
 
-const nonces = new Map(); // nonce -> ts
-
 function decodeBytes(value) {
   if (value == null) return null;
   if (value instanceof Uint8Array) return value;
@@ -38,6 +38,45 @@ function sha256Bytes(data) {
   return new Sha256(new TextEncoder().encode(String(data ?? ''))).digest();
 }
 
+// `raw`: the payload string is signed directly. `adr036`: the payload is wrapped in the amino
+// sign doc that Keplr/Leap `signArbitrary` produce.
+export const SIGN_MODES = ['raw', 'adr036'];
+
+function sortedJson(value) {
+  if (Array.isArray(value)) return `[${value.map(sortedJson).join(',')}]`;
+  if (value && typeof value === 'object') {
+    const entries = Object.keys(value)
+      .sort()
+      .map((k) => `${JSON.stringify(k)}:${sortedJson(value[k])}`);
+    return `{${entries.join(',')}}`;
+  }
+  return JSON.stringify(value);
+}
+
+// Amino JSON as serialized by cosmjs `serializeSignDoc` (sorted keys, <>& escaped).
+export function buildAdr036SignDoc(signer, data) {
+  const doc = {
+    chain_id: '',
+    account_number: '0',
+    sequence: '0',
+    fee: { gas: '0', amount: [] },
+    msgs: [
+      {
+        type: 'sign/MsgSignData',
+        value: {
+          signer: String(signer || ''),
+          data: Buffer.from(String(data ?? ''), 'utf8').toString('base64')
+        }
+      }
+    ],
+    memo: ''
+  };
+  return sortedJson(doc)
+    .replace(/&/g, '\\u0026')
+    .replace(/</g, '\\u003c')
+    .replace(/>/g, '\\u003e');
+}
+
 function pubkeyToAddress(pubkeyBytes, prefix) {
   const compressed = pubkeyBytes.length === 33 ? pubkeyBytes : Secp256k1.compressPubkey(pubkeyBytes);
   const sha = new Sha256(compressed).digest();
@@ -81,7 +120,7 @@ function parseSignatureInput(sigInput) {
   return { signature: null, pubkey: null };
 }
 
-async function verifySecp256k1(addr, payload, sigInput) {
+async function verifySecp256k1(addr, payload, sigInput, { signMode = 'raw' } = {}) {
   try {
     const address = String(addr || '').trim();
     if (!address) return false;
@@ -98,7 +137,10 @@ async function verifySecp256k1(addr, payload, sigInput) {
     }
     if (!pubkeyBytes) return false;
 
-    const digest = sha256Bytes(payload ?? '');
+    const digest =
+      signMode === 'adr036'
+        ? sha256Bytes(buildAdr036SignDoc(address, payload ?? ''))
+        : sha256Bytes(payload ?? '');
     let sigObj = null;
     try {
       if (signatureBytes.length === 64) sigObj = Secp256k1Signature.fromFixedLength(signatureBytes);
@@ -130,30 +172,6 @@ async function verifySecp256k1(addr, payload, sigInput) {
   }
 }
 
-function purgeNonces(nowMs) {
-  // Purge from the front (Map preserves insertion order).
-  // eslint-disable-next-line no-constant-condition
-  while (true) {
-    const first = nonces.entries().next().value;
-    if (!first) return;
-    const [nonce, ts] = first;
-    if (nowMs - Number(ts || 0) > NONCE_TTL_MS) {
-      nonces.delete(nonce);
-      continue;
-    }
-    return;
-  }
-}
-
-function enforceNonceCap() {
-  if (!Number.isFinite(NONCE_MAX_ENTRIES) || NONCE_MAX_ENTRIES <= 0) return;
-  while (nonces.size > NONCE_MAX_ENTRIES) {
-    const first = nonces.keys().next().value;
-    if (!first) return;
-    nonces.delete(first);
-  }
-}
-
 export async function verifyRequestSignature(req) {
   const addr = req.header('X-Lumen-Addr')?.trim();
   const sig = req.header('X-Lumen-Sig')?.trim();
@@ -176,28 +194,58 @@ export async function verifyRequestSignature(req) {
     return { ok: false, status: 401, error: 'auth_failed', message: 'timestamp_out_of_window' };
   }
 
-  purgeNonces(now);
-  enforceNonceCap();
-  if (nonces.has(nonce)) {
-    return { ok: false, status: 401, error: 'auth_failed', message: 'nonce_replay' };
-  }
-
   const payload = `${req.method}|${req.path}|${nonce}|${tsRaw}|${req.hash || ''}`;
   const ok = await verifySecp256k1(addr, payload, { signature: sig, pubkey });
   if (!ok) {
     return { ok: false, status: 401, error: 'auth_failed', message: 'invalid_signature' };
   }
 
-  nonces.set(nonce, ts);
-  enforceNonceCap();
+  // Claim only after the signature checks out so unauthenticated callers cannot burn nonces.
+  let nonceFresh = false;
+  try {
+    nonceFresh = await claimNonce('sig', nonce, {
+      ttlMs: NONCE_TTL_MS,
+      maxEntries: NONCE_MAX_ENTRIES
+    });
+  } catch (err) {
+    console.error('[auth] nonce store error', String(err?.message || err));
+    return { ok: false, status: 503, error: 'auth_unavailable', message: 'nonce_store_unavailable' };
+  }
+  if (!nonceFresh) {
+    return { ok: false, status: 401, error: 'auth_failed', message: 'nonce_replay' };
+  }
+
   return { ok: true, wallet: addr };
 }
 
-export async function verifyWalletCanonicalSignature(addr, canonicalPayload, signatureB64, pubkeyB64) {
+export async function verifyWalletCanonicalSignature(
+  addr,
+  canonicalPayload,
+  signatureB64,
+  pubkeyB64,
+  { signMode = 'raw' } = {}
+) {
   const address = String(addr || '').trim();
   if (!address) return false;
   const sig = String(signatureB64 || '').trim();
   const pk = String(pubkeyB64 || '').trim();
   if (!sig || !pk) return false;
-  return verifySecp256k1(address, canonicalPayload, { signature: sig, pubkey: pk });
+  if (!SIGN_MODES.includes(signMode)) return false;
+  return verifySecp256k1(address, canonicalPayload, { signature: sig, pubkey: pk }, { signMode });
+}
+
+// Wallet signature algorithms accepted in PQ envelopes. ML-DSA keys are registered per wallet
+// beforehand (see walletPqKeyController), so the envelope never needs to carry the 1952-byte key.
+export const SIG_ALGS = ['secp256k1', 'ml-dsa-65'];
+export const ML_DSA_65_PUBKEY_BYTES = 1952;
+
+export function verifyMlDsaSignature(message, signatureB64, pubkeyB64) {
+  try {
+    const sig = decodeBytes(signatureB64);
+    const pub = decodeBytes(pubkeyB64);
+    if (!sig || !pub || pub.length !== ML_DSA_65_PUBKEY_BYTES) return false;
+    return ml_dsa65.verify(sig, new TextEncoder().encode(String(message ?? '')), pub);
+  } catch {
+    return false;
+  }
 }
@@ -308,3 +308,42 @@ export async function fetchWalletBalanceByDenom(wallet, denom = 'ulmn', { timeou
   const amount = parseCoinAmountBigInt(res.json?.balance?.amount ?? '0');
   return { ok: true, denom: d, amount };
 }
+
+function extractGateways(obj) {
+  if (!obj) return [];
+  if (Array.isArray(obj.gateways)) return obj.gateways;
+  if (obj.gateway && typeof obj.gateway === 'object') return [obj.gateway];
+  return [];
+}
+
+// Gateways registered by an operator address, with their metadata JSON parsed.
+export async function fetchOperatorGatewaysFromChain(operator, { timeoutMs } = {}) {
+  const addr = String(operator || '').trim();
+  if (!addr) return { ok: false, error: 'unreachable' };
+
+  const res = await fetchJson(
+    `/lumen/gateway/v1/gateways?operator=${encodeURIComponent(addr)}&limit=200`,
+    { timeoutMs: timeoutMs || FETCH_TIMEOUT_MS }
+  );
+
+  if (!res.ok) {
+    logChainError(res.error || 'unreachable', {
+      operator: addr,
+      status: res.status,
+      body: res.body
+    });
+    return { ok: false, error: res.error || 'unreachable' };
+  }
+
+  // Filter client-side as well: older chain versions ignore the operator query parameter.
+  const gateways = extractGateways(res.json)
+    .filter((g) => String(g?.operator || '').trim() === addr)
+    .map((g) => ({
+      id: g.id != null ? String(g.id) : null,
+      operator: addr,
+      endpoint: typeof g.endpoint === 'string' ? g.endpoint : null,
+      metadata: parseMeta(g.metadata)
+    }));
+
+  return { ok: true, gateways };
+}
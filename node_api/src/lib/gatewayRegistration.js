@@ -0,0 +1,204 @@
+import { createHash } from 'node:crypto';
+import { fetchOperatorGatewaysFromChain } from './chainClient.js';
+
+function sha256Base64(...parts) {
+  const hash = createHash('sha256');
+  for (const part of parts) hash.update(Buffer.from(part));
+  return hash.digest('base64');
+}
+
+export function describeLocalKyberKey(key) {
+  return {
+    key_id: key.keyId,
+    pubkey_hash: sha256Base64(key.pubKeyBytes),
+    hybrid_pubkey_hash: key.x25519 ? sha256Base64(key.x25519.pubKeyBytes, key.pubKeyBytes) : null
+  };
+}
+
+function describeOnchainKyber(gateway) {
+  const kyber = gateway?.metadata?.crypto?.kyber;
+  if (!kyber || typeof kyber !== 'object') return null;
+  return {
+    gateway_id: gateway.id,
+    alg: kyber.alg != null ? String(kyber.alg) : null,
+    key_id: kyber.key_id != null ? String(kyber.key_id) : null,
+    pubkey_hash: kyber.pubkey_hash != null ? String(kyber.pubkey_hash) : null,
+    hybrid_pubkey_hash: kyber.hybrid_pubkey_hash != null ? String(kyber.hybrid_pubkey_hash) : null
+  };
+}
+
+function diffKyber(local, onchain) {
+  const mismatches = [];
+  if (onchain.pubkey_hash !== local.pubkey_hash) mismatches.push('pubkey_hash');
+  if (onchain.key_id && onchain.key_id !== local.key_id) mismatches.push('key_id');
+  if (onchain.hybrid_pubkey_hash && onchain.hybrid_pubkey_hash !== local.hybrid_pubkey_hash) {
+    mismatches.push('hybrid_pubkey_hash');
+  }
+  return mismatches;
+}
+
+// Compares the current local Kyber key with the operator's on-chain gateway metadata.
+// status: "match" | "mismatch" | "not_registered" | "no_kyber_metadata" | "unreachable".
+// An operator may run several gateways; any one carrying the local key counts as a match.
+export async function checkKyberRegistration({ operator, keyring }) {
+  const local = describeLocalKyberKey(keyring.current);
+  const checkedAt = Date.now();
+
+  const res = await fetchOperatorGatewaysFromChain(operator);
+  if (!res.ok) {
+    return { status: 'unreachable', error: res.error, operator, local, onchain: null, checkedAt };
+  }
+  if (res.gateways.length === 0) {
+    return { status: 'not_registered', operator, local, onchain: null, checkedAt };
+  }
+
+  const published = res.gateways.map(describeOnchainKyber).filter(Boolean);
+  if (published.length === 0) {
+    return { status: 'no_kyber_metadata', operator, local, onchain: null, checkedAt };
+  }
+
+  const diffs = published.map((onchain) => ({ onchain, mismatches: diffKyber(local, onchain) }));
+  const exact = diffs.find((d) => d.mismatches.length === 0);
+  if (exact) {
+    return { status: 'match', operator, local, onchain: exact.onchain, mismatches: [], checkedAt };
+  }
+
+  const best = diffs[0];
+  // Typical mid-rotation state: the chain still advertises a key that is now retiring locally.
+  const retiring = keyring.retiring.find(
+    (k) => describeLocalKyberKey(k).pubkey_hash === best.onchain.pubkey_hash
+  );
+  return {
+    status: 'mismatch',
+    operator,
+    local,
+    onchain: best.onchain,
+    mismatches: best.mismatches,
+    onchain_matches_retiring_key: retiring ? retiring.keyId : null,
+    checkedAt
+  };
+}
+
+// Startup self-check (server.js, right after initKyberContext).
+// KYBER_CHAIN_CHECK_MODE decides what a mismatch does:
+// - "warn" (default): log and keep serving,
+// - "refuse": exit at startup,
+// - "degraded": keep serving but report /status as degraded.
+// The check is repeated every KYBER_CHAIN_CHECK_INTERVAL_SEC so fixing the on-chain metadata
+// (or the chain becoming reachable) clears the state without a restart.
+const CHECK_MODE = (() => {
+  const raw = String(process.env.KYBER_CHAIN_CHECK_MODE || '').trim().toLowerCase();
+  if (raw === 'refuse' || raw === 'degraded' || raw === 'warn') return raw;
+  return 'warn';
+})();
+const CHECK_INTERVAL_MS = (() => {
+  const n = Number(process.env.KYBER_CHAIN_CHECK_INTERVAL_SEC);
+  if (Number.isFinite(n) && n >= 0) return Math.floor(n) * 1000;
+  return 10 * 60 * 1000;
+})();
+
+export const REGISTRATION_STATUSES = [
+  'disabled',
+  'pending',
+  'match',
+  'mismatch',
+  'not_registered',
+  'no_kyber_metadata',
+  'unreachable'
+];
+
+let registrationState = {
+  status: 'disabled',
+  mode: CHECK_MODE,
+  degraded: false,
+  operator: null,
+  local: null,
+  onchain: null,
+  mismatches: [],
+  checkedAt: null
+};
+let recheckTimer = null;
+
+function applyCheckResult(result) {
+  registrationState = {
+    status: result.status,
+    mode: CHECK_MODE,
+    degraded: CHECK_MODE === 'degraded' && result.status === 'mismatch',
+    operator: result.operator,
+    local: result.local,
+    onchain: result.onchain,
+    mismatches: result.mismatches || [],
+    onchainMatchesRetiringKey: result.onchain_matches_retiring_key || null,
+    checkedAt: result.checkedAt
+  };
+}
+
+const CHECK_RESULT_MESSAGES = {
+  mismatch: 'kyber key does not match on-chain gateway registration',
+  not_registered: 'operator has no gateway registered on chain',
+  no_kyber_metadata: 'on-chain gateway registration has no kyber key metadata',
+  unreachable: 'could not reach chain to verify gateway registration'
+};
+
+function logCheckResult(result, label) {
+  if (result.status === 'match') return;
+  const message = CHECK_RESULT_MESSAGES[result.status] || `gateway registration check: ${result.status}`;
+  const details = {
+    status: result.status,
+    mode: CHECK_MODE,
+    operator: result.operator,
+    localKeyId: result.local?.key_id
+  };
+  if (result.status === 'mismatch') {
+    Object.assign(details, {
+      onchainKeyId: result.onchain?.key_id ?? null,
+      mismatches: result.mismatches || [],
+      onchainMatchesRetiringKey: result.onchain_matches_retiring_key || null
+    });
+  }
+  if (result.status === 'unreachable') details.error = result.error ?? null;
+  // eslint-disable-next-line no-console
+  console.warn(`[${label}] ${message}`, details);
+}
+
+export async function initRegistrationCheck({ operator, keyring }) {
+  const addr = String(operator || '').trim();
+  if (!addr) return registrationState;
+
+  registrationState = { ...registrationState, status: 'pending', operator: addr };
+  const result = await checkKyberRegistration({ operator: addr, keyring });
+  applyCheckResult(result);
+  logCheckResult(result, 'kyber:chain-check');
+
+  // Only a positive mismatch refuses to start; an unreachable chain must not block a restart.
+  if (result.status === 'mismatch' && CHECK_MODE === 'refuse') {
+    // eslint-disable-next-line no-console
+    console.error('FATAL: kyber key does not match on-chain gateway metadata (KYBER_CHAIN_CHECK_MODE=refuse)');
+    process.exit(1);
+  }
+
+  if (CHECK_INTERVAL_MS > 0 && !recheckTimer) {
+    recheckTimer = setInterval(async () => {
+      try {
+        const next = await checkKyberRegistration({ operator: addr, keyring });
+        const changed = next.status !== registrationState.status;
+        applyCheckResult(next);
+        if (changed && next.status === 'match') {
+          // eslint-disable-next-line no-console
+          console.log('[kyber:chain-recheck] kyber key now matches on-chain gateway registration');
+        } else if (changed) {
+          logCheckResult(next, 'kyber:chain-recheck');
+        }
+      } catch {
+        // keep the previous state
+      }
+    }, CHECK_INTERVAL_MS);
+    recheckTimer.unref?.();
+  }
+
+  return registrationState;
+}
+
+export function getRegistrationCheckState() {
+  return registrationState;
+}
@@ -1,10 +1,10 @@
 import { CONFIG } from '../config.js';
 
-async function fetchWithTimeout(url, { method = 'GET', timeoutMs = 1500 } = {}) {
+async function fetchWithTimeout(url, { method = 'GET', timeoutMs = 1500, headers, body } = {}) {
   const controller = new AbortController();
   const id = setTimeout(() => controller.abort(), timeoutMs);
   try {
-    const resp = await fetch(url, { method, signal: controller.signal });
+    const resp = await fetch(url, { method, headers, body, signal: controller.signal });
     clearTimeout(id);
     return resp;
   } catch (err) {
@@ -159,3 +159,54 @@ export async function fetchParents(cid, { timeoutMs } = {}) {
     return { ok: false, error: 'bad_json', parents: [] };
   }
 }
+
+// Pin roots the indexer's last pinSync pass saw in Kubo.
+export async function fetchPresentPins({ timeoutMs = 10_000 } = {}) {
+  const resp = await indexerRequestWithRetry('/pins/present', { timeoutMs });
+  if (!resp || resp.ok === false) {
+    return { ok: false, error: resp?.error || 'unreachable', cids: [] };
+  }
+  if (!resp.ok) {
+    return { ok: false, error: 'bad_status', status: resp.status, cids: [] };
+  }
+  try {
+    const json = await resp.json();
+    if (!json || !Array.isArray(json.cids)) {
+      return { ok: false, error: 'bad_json', cids: [] };
+    }
+    return {
+      ok: true,
+      cids: json.cids.filter((c) => typeof c === 'string'),
+      lastRefreshTs: json.pins_last_refresh_ts ?? null
+    };
+  } catch {
+    return { ok: false, error: 'bad_json', cids: [] };
+  }
+}
+
+// Asks the indexer to re-detect (and re-expand) CIDs: { cids: [...] } or { all: true }.
+export async function requestIndexerReprocess({ cids, all = false } = {}, { timeoutMs = 10_000 } = {}) {
+  const url = new URL('/admin/reprocess', CONFIG.INDEXER_BASE).toString();
+  let resp;
+  try {
+    resp = await fetchWithTimeout(url, {
+      method: 'POST',
+      timeoutMs,
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(all ? { all: true } : { cids: Array.isArray(cids) ? cids : [] })
+    });
+  } catch (err) {
+    return { ok: false, error: err && err.name === 'AbortError' ? 'timeout' : 'unreachable' };
+  }
+
+  let json = null;
+  try {
+    json = await resp.json();
+  } catch {
+    json = null;
+  }
+  if (!resp.ok) {
+    return { ok: false, error: json?.error || 'bad_status', status: resp.status };
+  }
+  return { ok: true, updated: json?.updated ?? 0, requested: json?.requested ?? 0 };
+}
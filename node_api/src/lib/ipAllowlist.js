@@ -0,0 +1,88 @@
+import net from 'node:net';
+import { CONFIG } from '../config.js';
+
+// Addresses that may reach /metrics and the internal admin endpoints without an operator
+// signature (Prometheus, sibling containers). Sources, first non-empty wins:
+//   ADMIN_IP_ALLOWLIST="10.0.0.5,172.18.0.0/16"   or   config.json "admin": { "allowlist": [...] }
+// Without either, /metrics accepts loopback and the private ranges (what it accepted before),
+// while the internal endpoints only accept loopback: plain JSON access to those from the wider
+// network has to be configured explicitly.
+
+const DEFAULT_ALLOWLIST = [
+  '127.0.0.0/8',
+  '::1',
+  '10.0.0.0/8',
+  '172.16.0.0/12',
+  '192.168.0.0/16'
+];
+
+const LOOPBACK_ALLOWLIST = ['127.0.0.0/8', '::1'];
+
+function readConfiguredEntries() {
+  const fromEnv = String(process.env.ADMIN_IP_ALLOWLIST || '').trim();
+  if (fromEnv) {
+    return fromEnv
+      .split(',')
+      .map((s) => s.trim())
+      .filter(Boolean);
+  }
+  const fromConfig = CONFIG.GATEWAY?.admin?.allowlist;
+  if (Array.isArray(fromConfig)) {
+    return fromConfig.map((s) => String(s || '').trim()).filter(Boolean);
+  }
+  return null;
+}
+
+function buildBlockList(entries) {
+  const list = new net.BlockList();
+  for (const entry of entries) {
+    const [addr, prefixRaw] = entry.split('/');
+    const type = net.isIPv6(addr) ? 'ipv6' : net.isIPv4(addr) ? 'ipv4' : null;
+    if (!type) {
+      // eslint-disable-next-line no-console
+      console.warn('[admin] ignoring invalid allowlist entry', entry);
+      continue;
+    }
+    if (prefixRaw === undefined) {
+      list.addAddress(addr, type);
+      continue;
+    }
+    const prefix = Number(prefixRaw);
+    if (!Number.isInteger(prefix) || prefix < 0 || prefix > (type === 'ipv4' ? 32 : 128)) {
+      // eslint-disable-next-line no-console
+      console.warn('[admin] ignoring invalid allowlist entry', entry);
+      continue;
+    }
+    list.addSubnet(addr, prefix, type);
+  }
+  return list;
+}
+
+const CONFIGURED_ENTRIES = readConfiguredEntries();
+const ALLOWLIST_ENTRIES = CONFIGURED_ENTRIES || DEFAULT_ALLOWLIST;
+const ALLOWLIST = buildBlockList(ALLOWLIST_ENTRIES);
+const INTERNAL_ALLOWLIST = buildBlockList(CONFIGURED_ENTRIES || LOOPBACK_ALLOWLIST);
+
+export function getAdminAllowlist() {
+  return ALLOWLIST_ENTRIES.slice();
+}
+
+function checkAddress(list, req) {
+  const raw = String(req?.ip || req?.socket?.remoteAddress || '').trim();
+  if (!raw) return false;
+  // IPv4 clients on a dual-stack socket show up as ::ffff:a.b.c.d
+  const ip = raw.startsWith('::ffff:') && net.isIPv4(raw.slice(7)) ? raw.slice(7) : raw;
+  const type = net.isIPv6(ip) ? 'ipv6' : net.isIPv4(ip) ? 'ipv4' : null;
+  if (!type) return false;
+  return list.check(ip, type);
+}
+
+// GET /metrics.
+export function isAdminAllowlisted(req) {
+  return checkAddress(ALLOWLIST, req);
+}
+
+// Internal admin endpoints (/admin/_internal/*).
+export function isInternalAllowlisted(req) {
+  return checkAddress(INTERNAL_ALLOWLIST, req);
+}
@@ -1,7 +1,9 @@
 import { readFile } from 'node:fs/promises';
+import crypto from 'node:crypto';
 import process from 'node:process';
 
 let kyberContext = null;
+let kyberKeyring = null;
 
 function fatal(msg) {
   // eslint-disable-next-line no-console
@@ -23,32 +25,61 @@ function decodeBase64ToUint8(str, fieldName) {
   }
 }
 
-export async function initKyberContext() {
-  if (kyberContext) return kyberContext;
+function parseDeprecatedAt(value, keyId) {
+  if (value === undefined || value === null || value === '') return null;
+  const ms = typeof value === 'number' ? value : Date.parse(String(value));
+  if (!Number.isFinite(ms) || ms <= 0) {
+    fatal(`invalid kyber key file (bad deprecated_at for key ${keyId})`);
+  }
+  return Math.floor(ms);
+}
 
-  const keyPath = process.env.LUMEN_GATEWAY_KYBER_KEY_PATH;
-  if (!keyPath) {
-    fatal('LUMEN_GATEWAY_KYBER_KEY_PATH is not set');
+// Optional X25519 half for the hybrid "x25519-kyber768" KEM: raw 32-byte keys, base64.
+function parseX25519Pair(entry, keyId) {
+  const pubB64 = entry.x25519_pubkey;
+  const privB64 = entry.x25519_privkey;
+  if (!pubB64 && !privB64) return null;
+  if (!pubB64 || !privB64) {
+    fatal(`invalid kyber key file (key ${keyId} needs both x25519_pubkey and x25519_privkey)`);
   }
 
-  let raw;
-  try {
-    raw = await readFile(keyPath, 'utf8');
-  } catch {
-    fatal(`invalid kyber key file path: ${keyPath}`);
+  const pubBytes = decodeBase64ToUint8(pubB64, 'x25519_pubkey');
+  const privBytes = decodeBase64ToUint8(privB64, 'x25519_privkey');
+  if (pubBytes.length !== 32 || privBytes.length !== 32) {
+    fatal(`invalid kyber key file (x25519 keys of ${keyId} must be 32 bytes)`);
   }
 
-  let parsed;
+  let privateKey;
   try {
-    parsed = JSON.parse(raw);
+    privateKey = crypto.createPrivateKey({
+      key: {
+        kty: 'OKP',
+        crv: 'X25519',
+        d: Buffer.from(privBytes).toString('base64url'),
+        x: Buffer.from(pubBytes).toString('base64url')
+      },
+      format: 'jwk'
+    });
   } catch {
-    fatal('invalid kyber key file (not valid JSON)');
+    fatal(`invalid kyber key file (bad x25519_privkey for key ${keyId})`);
   }
+  const derivedPub = crypto.createPublicKey(privateKey).export({ format: 'jwk' }).x;
+  if (derivedPub !== Buffer.from(pubBytes).toString('base64url')) {
+    fatal(`invalid kyber key file (x25519_pubkey does not match x25519_privkey for key ${keyId})`);
+  }
+
+  return { pubKeyBytes: pubBytes, privateKey };
+}
 
-  const alg = String(parsed.alg || '').trim();
-  const keyId = String(parsed.key_id || '').trim();
-  const pubkeyB64 = parsed.pubkey;
-  const privkeyB64 = parsed.privkey;
+function parseKeyEntry(entry) {
+  if (!entry || typeof entry !== 'object') {
+    fatal('invalid kyber key file (key entry must be an object)');
+  }
+
+  const alg = String(entry.alg || '').trim();
+  const keyId = String(entry.key_id || '').trim();
+  const pubkeyB64 = entry.pubkey;
+  const privkeyB64 = entry.privkey;
 
   if (alg !== 'kyber768') {
     fatal('invalid kyber key file (alg must be "kyber768")');
@@ -63,15 +94,107 @@ export async function initKyberContext() {
     fatal('invalid kyber key file (missing privkey)');
   }
 
-  const pubKeyBytes = decodeBase64ToUint8(pubkeyB64, 'pubkey');
-  const privKeyBytes = decodeBase64ToUint8(privkeyB64, 'privkey');
-
-  kyberContext = {
+  return {
     alg,
     keyId,
-    pubKeyBytes,
-    privKeyBytes
+    pubKeyBytes: decodeBase64ToUint8(pubkeyB64, 'pubkey'),
+    privKeyBytes: decodeBase64ToUint8(privkeyB64, 'privkey'),
+    x25519: parseX25519Pair(entry, keyId),
+    deprecatedAt: parseDeprecatedAt(entry.deprecated_at, keyId)
   };
+}
+
+// Accepts either a single key object ({ alg, key_id, pubkey, privkey, x25519_pubkey?, x25519_privkey? })
+// or a keyring:
+// { current: "<key_id>", keys: [{ alg, key_id, pubkey, privkey, deprecated_at? }, ...] }.
+// Every key other than the current one is "retiring" and stays usable until its deprecated_at.
+function buildKeyring(parsed) {
+  if (!Array.isArray(parsed.keys)) {
+    const key = parseKeyEntry(parsed);
+    return { current: { ...key, deprecatedAt: null }, retiring: [] };
+  }
+
+  if (parsed.keys.length === 0) {
+    fatal('invalid kyber key file (keys is empty)');
+  }
+
+  const byId = new Map();
+  for (const entry of parsed.keys) {
+    const key = parseKeyEntry(entry);
+    if (byId.has(key.keyId)) {
+      fatal(`invalid kyber key file (duplicate key_id ${key.keyId})`);
+    }
+    byId.set(key.keyId, key);
+  }
+
+  const currentId = String(parsed.current || '').trim();
+  let current = null;
+  if (currentId) {
+    current = byId.get(currentId) || null;
+    if (!current) fatal(`invalid kyber key file (current key ${currentId} not found in keys)`);
+  } else {
+    const candidates = Array.from(byId.values()).filter((k) => k.deprecatedAt == null);
+    if (candidates.length !== 1) {
+      fatal('invalid kyber key file (set "current" or leave exactly one key without deprecated_at)');
+    }
+    current = candidates[0];
+  }
+  if (current.deprecatedAt != null) {
+    fatal(`invalid kyber key file (current key ${current.keyId} must not have deprecated_at)`);
+  }
+
+  const retiring = Array.from(byId.values())
+    .filter((k) => k.keyId !== current.keyId)
+    .sort((a, b) => (b.deprecatedAt ?? Infinity) - (a.deprecatedAt ?? Infinity));
+
+  return { current, retiring };
+}
+
+// Reads and validates a key file (single key or keyring). Exits the process on malformed input,
+// so it is also used by the operator CLI in scripts/gen_kyber_key.js.
+export async function loadKyberKeyFile(keyPath) {
+  let raw;
+  try {
+    raw = await readFile(keyPath, 'utf8');
+  } catch {
+    fatal(`invalid kyber key file path: ${keyPath}`);
+  }
+
+  let parsed;
+  try {
+    parsed = JSON.parse(raw);
+  } catch {
+    fatal('invalid kyber key file (not valid JSON)');
+  }
+  if (!parsed || typeof parsed !== 'object') {
+    fatal('invalid kyber key file (not a JSON object)');
+  }
+
+  return buildKeyring(parsed);
+}
+
+export async function initKyberContext() {
+  if (kyberContext) return kyberContext;
+
+  const keyPath = process.env.LUMEN_GATEWAY_KYBER_KEY_PATH;
+  if (!keyPath) {
+    fatal('LUMEN_GATEWAY_KYBER_KEY_PATH is not set');
+  }
+
+  const keyring = await loadKyberKeyFile(keyPath);
+  const now = Date.now();
+  for (const key of keyring.retiring) {
+    if (key.deprecatedAt != null && key.deprecatedAt <= now) {
+      // eslint-disable-next-line no-console
+      console.warn('[kyber:init] retiring key already past deprecated_at; it will be rejected', {
+        keyId: key.keyId,
+        deprecatedAt: new Date(key.deprecatedAt).toISOString()
+      });
+    }
+  }
+
+  kyberKeyring = keyring;
+  kyberContext = keyring.current;
 
   return kyberContext;
 }
@@ -83,3 +206,25 @@ export function getKyberContext() {
   return kyberContext;
 }
 
+export function getKyberKeyring() {
+  if (!kyberKeyring) {
+    throw new Error('kyber_context_not_initialized');
+  }
+  return kyberKeyring;
+}
+
+// Resolves the key a client encapsulated to. An empty key id means the current key.
+export function resolveKyberKey(keyId, nowMs = Date.now()) {
+  const keyring = getKyberKeyring();
+  const id = String(keyId || '').trim();
+  if (!id || id === keyring.current.keyId) {
+    return { ok: true, key: keyring.current };
+  }
+
+  const key = keyring.retiring.find((k) => k.keyId === id);
+  if (!key) return { ok: false, error: 'pq_key_mismatch' };
+  if (key.deprecatedAt != null && key.deprecatedAt <= nowMs) {
+    return { ok: false, error: 'pq_key_retired' };
+  }
+  return { ok: true, key };
+}
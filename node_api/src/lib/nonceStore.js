@@ -0,0 +1,153 @@
+import path from 'node:path';
+import {
+  parseSqliteBusyTimeoutMs,
+  createSqliteStore
+} from './sqliteUtils.js';
+import { debugLog } from './logger.js';
+
+// Replay-nonce store shared by PQ envelopes (scope "pq") and header-signed requests (scope "sig").
+// Backends:
+// - "sqlite" (default): survives restarts; replicas on one host can share it by pointing
+//   NODE_API_NONCE_DB_PATH at the same file on a shared volume.
+// - "memory": per-process Map, the historical behaviour.
+
+const DEFAULT_WALLET_DB_PATH = '/data/node_api/wallets.sqlite';
+const WALLET_DB_PATH =
+  process.env.NODE_API_WALLET_DB_PATH && process.env.NODE_API_WALLET_DB_PATH.trim()
+    ? process.env.NODE_API_WALLET_DB_PATH.trim()
+    : DEFAULT_WALLET_DB_PATH;
+const DB_PATH =
+  process.env.NODE_API_NONCE_DB_PATH && process.env.NODE_API_NONCE_DB_PATH.trim()
+    ? process.env.NODE_API_NONCE_DB_PATH.trim()
+    : path.join(path.dirname(WALLET_DB_PATH), 'nonces.sqlite');
+
+const BACKEND = (() => {
+  const raw = String(process.env.NONCE_STORE_BACKEND || '').trim().toLowerCase();
+  if (raw === 'memory' || raw === 'sqlite') return raw;
+  return 'sqlite';
+})();
+
+const PURGE_INTERVAL_MS = 60 * 1000;
+
+function createMemoryBackend() {
+  const scopes = new Map(); // scope -> Map(nonce -> expiresAt)
+
+  function purge(nonces, nowMs) {
+    // Map preserves insertion order and every entry of a scope shares the same TTL,
+    // so expired entries are clustered at the front.
+    // eslint-disable-next-line no-constant-condition
+    while (true) {
+      const first = nonces.entries().next().value;
+      if (!first) return;
+      const [nonce, expiresAt] = first;
+      if (expiresAt <= nowMs) {
+        nonces.delete(nonce);
+        continue;
+      }
+      return;
+    }
+  }
+
+  function enforceCap(nonces, maxEntries) {
+    if (!Number.isFinite(maxEntries) || maxEntries <= 0) return;
+    while (nonces.size > maxEntries) {
+      const first = nonces.keys().next().value;
+      if (!first) return;
+      nonces.delete(first);
+    }
+  }
+
+  return {
+    async claim(scope, nonce, { ttlMs, maxEntries, nowMs }) {
+      let nonces = scopes.get(scope);
+      if (!nonces) {
+        nonces = new Map();
+        scopes.set(scope, nonces);
+      }
+      purge(nonces, nowMs);
+      enforceCap(nonces, maxEntries);
+      const existing = nonces.get(nonce);
+      if (existing !== undefined && existing > nowMs) return false;
+      nonces.set(nonce, nowMs + ttlMs);
+      enforceCap(nonces, maxEntries);
+      return true;
+    }
+  };
+}
+
+function createSqliteBackend() {
+  const busyTimeoutMs = parseSqliteBusyTimeoutMs('NODE_API_SQLITE_BUSY_TIMEOUT_MS', 5000);
+  const store = createSqliteStore({
+    dbPath: DB_PATH,
+    busyTimeoutMs,
+    logLabel: 'nonceStore',
+    schemaSql: ({ busyTimeoutMs: timeout }) => `
+PRAGMA journal_mode = WAL;
+PRAGMA synchronous = NORMAL;
+PRAGMA busy_timeout = ${timeout};
+
+CREATE TABLE IF NOT EXISTS replay_nonces (
+  scope TEXT NOT NULL,
+  nonce TEXT NOT NULL,
+  expires_at INTEGER NOT NULL,
+  PRIMARY KEY (scope, nonce)
+);
+
+CREATE INDEX IF NOT EXISTS idx_replay_nonces_expires_at
+  ON replay_nonces(expires_at);
+`
+  });
+
+  let lastPurgeAtMs = 0;
+
+  async function purgeExpired(nowMs) {
+    if (nowMs - lastPurgeAtMs < PURGE_INTERVAL_MS) return;
+    lastPurgeAtMs = nowMs;
+    try {
+      await store.dbRun('DELETE FROM replay_nonces WHERE expires_at <= ?', [nowMs]);
+    } catch (err) {
+      try {
+        // eslint-disable-next-line no-console
+        console.warn('[nonceStore] purge failed', String(err?.message || err));
+      } catch {
+        // ignore
+      }
+    }
+  }
+
+  return {
+    async claim(scope, nonce, { ttlMs, nowMs }) {
+      await purgeExpired(nowMs);
+      // Single statement = atomic insert-if-absent across processes sharing the file.
+      // A conflicting row only counts as a replay while it has not expired yet.
+      const result = await store.dbRun(
+        `
+        INSERT INTO replay_nonces (scope, nonce, expires_at)
+        VALUES (?, ?, ?)
+        ON CONFLICT(scope, nonce) DO UPDATE SET
+          expires_at = excluded.expires_at
+        WHERE replay_nonces.expires_at <= ?
+      `,
+        [scope, nonce, nowMs + ttlMs, nowMs]
+      );
+      return !!result && result.changes === 1;
+    }
+  };
+}
+
+debugLog('db', 'nonceStore config', {
+  backend: BACKEND,
+  dbPath: BACKEND === 'sqlite' ? DB_PATH : null
+});
+const backend = BACKEND === 'memory' ? createMemoryBackend() : createSqliteBackend();
+
+// Returns true when the nonce was unused and is now claimed for `ttlMs`, false on replay.
+// Throws if the backend is unavailable; callers must fail closed.
+export async function claimNonce(scope, nonce, { ttlMs, maxEntries } = {}) {
+  const s = String(scope || '').trim();
+  const n = String(nonce || '').trim();
+  if (!s || !n) return false;
+  const ttl =
+    typeof ttlMs === 'number' && Number.isFinite(ttlMs) && ttlMs > 0 ? Math.floor(ttlMs) : 10 * 60 * 1000;
+  return backend.claim(s, n, { ttlMs: ttl, maxEntries, nowMs: Date.now() });
+}
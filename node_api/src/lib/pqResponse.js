@@ -1,6 +1,97 @@
 import crypto from 'node:crypto';
+import { signResponse, wantsSignedResponse } from './responseSigner.js';
 
-export function sendPqJson(req, res, statusCode, body, logLabel = 'pq') {
+const PQ_SEALED = Symbol('pqSealed');
+const PQ_GUARDED = Symbol('pqGuarded');
+const PQ_STREAMING = Symbol('pqStreaming');
+const PQ_REFUSED = Symbol('pqRefused');
+
+function sendSealed(res, fn) {
+  res[PQ_SEALED] = true;
+  try {
+    return fn();
+  } finally {
+    res[PQ_SEALED] = false;
+  }
+}
+
+// Once a request has been decrypted, every body must leave through sendPqJson or startPqStream:
+// a plaintext error such as chain_unreachable still tells an observer something about the
+// wallet. Any other res.send/res.write/res.end (including a piped stream) is a bug, so it is
+// refused and replaced by an encrypted 500, or the connection is dropped once headers are out.
+export function guardPqResponse(req, res) {
+  if (!res || typeof res.send !== 'function' || res[PQ_GUARDED]) return;
+  res[PQ_GUARDED] = true;
+
+  const allowed = () => res[PQ_SEALED] || res[PQ_STREAMING] || !req?.pqAesKey;
+  const refuse = () => {
+    if (res[PQ_REFUSED]) return;
+    res[PQ_REFUSED] = true;
+    try {
+      // eslint-disable-next-line no-console
+      console.error('[pq] refused plaintext response', {
+        method: req.method,
+        path: req.path,
+        status: res.statusCode
+      });
+    } catch {
+      // ignore
+    }
+    if (res.headersSent) {
+      res.destroy();
+      return;
+    }
+    void sendPqJson(req, res, 500, { error: 'internal_error', message: 'pq_plaintext_refused' }, 'pq');
+  };
+
+  const { send, write, end } = res;
+  res.send = function guardedSend(...args) {
+    if (allowed()) return send.apply(this, args);
+    refuse();
+    return res;
+  };
+  res.write = function guardedWrite(...args) {
+    if (allowed()) return write.apply(this, args);
+    refuse();
+    return false;
+  };
+  res.end = function guardedEnd(...args) {
+    if (allowed()) return end.apply(this, args);
+    refuse();
+    return res;
+  };
+}
+
+// Sends a JSON body as the exact bytes that get signed when the client asked for a signature.
+async function sendJsonBytes(req, res, statusCode, wireBody, logLabel) {
+  const json = JSON.stringify(wireBody ?? null);
+
+  if (req?.pqNonce && wantsSignedResponse(req)) {
+    try {
+      const signed = await signResponse({
+        status: statusCode,
+        nonce: req.pqNonce,
+        body: Buffer.from(json, 'utf8')
+      });
+      if (signed) {
+        res.setHeader('X-Lumen-Gateway-Sig', signed.signature);
+        res.setHeader('X-Lumen-Gateway-Sig-Alg', signed.alg);
+        res.setHeader('X-Lumen-Gateway-Sig-KeyId', signed.keyId);
+      }
+    } catch (err) {
+      try {
+        // eslint-disable-next-line no-console
+        console.error(`[${logLabel}] pq response sign error`, err);
+      } catch {
+        // ignore
+      }
+    }
+  }
+
+  return sendSealed(res, () => res.status(statusCode).type('application/json').send(json));
+}
+
+export async function sendPqJson(req, res, statusCode, body, logLabel = 'pq') {
   const code =
     typeof statusCode === 'number' && Number.isFinite(statusCode) && statusCode > 0
       ? Math.floor(statusCode)
@@ -8,6 +99,7 @@ export function sendPqJson(req, res, statusCode, body, logLabel = 'pq') {
 
   const aesKey = req?.pqAesKey;
   if (aesKey && Buffer.isBuffer(aesKey)) {
+    let wireBody;
     try {
       const plaintext = Buffer.from(JSON.stringify(body ?? null), 'utf8');
       const iv = crypto.randomBytes(12);
@@ -15,11 +107,11 @@ export function sendPqJson(req, res, statusCode, body, logLabel = 'pq') {
       const ct = Buffer.concat([cipher.update(plaintext), cipher.final()]);
       const tag = cipher.getAuthTag();
 
-      return res.status(code).json({
+      wireBody = {
         ciphertext: ct.toString('base64'),
         iv: iv.toString('base64'),
         tag: tag.toString('base64')
-      });
+      };
     } catch (err) {
       try {
         // eslint-disable-next-line no-console
@@ -27,12 +119,98 @@ export function sendPqJson(req, res, statusCode, body, logLabel = 'pq') {
       } catch {
         // ignore
       }
-      return res
-        .status(500)
-        .json({ error: 'pq_encrypt_failed', message: 'failed_to_encrypt_response' });
+      return sendSealed(res, () =>
+        res.status(500).json({ error: 'pq_encrypt_failed', message: 'failed_to_encrypt_response' })
+      );
     }
+    return sendJsonBytes(req, res, code, wireBody, logLabel);
   }
 
-  return res.status(code).json(body);
+  return sendJsonBytes(req, res, code, body, logLabel);
+}
+
+// Framed AES-256-GCM stream for responses too large for a single sendPqJson blob.
+// Each frame is `type (1) | seq (u32 BE) | len (u32 BE) | iv (12) | ciphertext (len) | tag (16)`;
+// the 9-byte frame header is authenticated as AAD so frames cannot be reordered or retyped.
+// A stream is always HEAD, zero or more DATA, then END; a missing END means truncation.
+export const PQ_STREAM_FRAME_HEAD = 1;
+export const PQ_STREAM_FRAME_DATA = 2;
+export const PQ_STREAM_FRAME_END = 3;
+export const PQ_STREAM_MAX_FRAME_BYTES = 64 * 1024;
+export const PQ_STREAM_CONTENT_TYPE = 'application/vnd.lumen.pq-stream';
+
+function waitForDrainOrClose(res) {
+  return new Promise((resolve) => {
+    const done = () => {
+      res.off('drain', done);
+      res.off('close', done);
+      resolve();
+    };
+    res.once('drain', done);
+    res.once('close', done);
+  });
 }
 
+export function startPqStream(res, aesKey, { status, headers } = {}) {
+  let seq = 0;
+  let ended = false;
+
+  res[PQ_STREAMING] = true;
+  res.status(200);
+  res.setHeader('Content-Type', PQ_STREAM_CONTENT_TYPE);
+  res.setHeader('Cache-Control', 'no-store');
+  res.setHeader('X-Lumen-PQ-Stream', 'v1');
+
+  function encodeFrame(type, plaintext) {
+    const header = Buffer.alloc(9);
+    header.writeUInt8(type, 0);
+    header.writeUInt32BE(seq, 1);
+    header.writeUInt32BE(plaintext.length, 5);
+    seq += 1;
+
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv('aes-256-gcm', aesKey, iv);
+    cipher.setAAD(header);
+    const ct = Buffer.concat([cipher.update(plaintext), cipher.final()]);
+    return Buffer.concat([header, iv, ct, cipher.getAuthTag()]);
+  }
+
+  // Resolves false once the client has gone away so callers can stop reading upstream.
+  async function push(frame) {
+    if (res.destroyed || res.writableEnded) return false;
+    if (!res.write(frame)) await waitForDrainOrClose(res);
+    return !res.destroyed;
+  }
+
+  async function write(chunk) {
+    if (ended) return false;
+    const buf = Buffer.isBuffer(chunk) ? chunk : Buffer.from(chunk);
+    for (let off = 0; off < buf.length; off += PQ_STREAM_MAX_FRAME_BYTES) {
+      const slice = buf.subarray(off, off + PQ_STREAM_MAX_FRAME_BYTES);
+      // eslint-disable-next-line no-await-in-loop
+      if (!(await push(encodeFrame(PQ_STREAM_FRAME_DATA, slice)))) return false;
+    }
+    return true;
+  }
+
+  async function end(trailer = { ok: true }) {
+    if (ended) return;
+    ended = true;
+    await push(encodeFrame(PQ_STREAM_FRAME_END, Buffer.from(JSON.stringify(trailer ?? null), 'utf8')));
+    if (!res.destroyed) res.end();
+  }
+
+  const head = { status: typeof status === 'number' ? status : 200, headers: headers || {} };
+  res.write(encodeFrame(PQ_STREAM_FRAME_HEAD, Buffer.from(JSON.stringify(head), 'utf8')));
+
+  return { write, end };
+}
+
+export async function sendPqStreamJson(res, aesKey, statusCode, body) {
+  const stream = startPqStream(res, aesKey, {
+    status: statusCode,
+    headers: { 'content-type': 'application/json; charset=utf-8' }
+  });
+  await stream.write(Buffer.from(JSON.stringify(body ?? null), 'utf8'));
+  await stream.end({ ok: true });
+}
@@ -0,0 +1,129 @@
+import crypto from 'node:crypto';
+
+const DEFAULT_TTL_SEC = (() => {
+  const n = Number(process.env.PQ_SESSION_TTL_SEC);
+  if (Number.isFinite(n) && n > 0) return Math.floor(n);
+  return 15 * 60;
+})();
+const MAX_TTL_SEC = (() => {
+  const n = Number(process.env.PQ_SESSION_MAX_TTL_SEC);
+  if (Number.isFinite(n) && n > 0) return Math.floor(n);
+  return 60 * 60;
+})();
+const MAX_ENTRIES = (() => {
+  const n = Number(process.env.PQ_SESSION_MAX_ENTRIES);
+  if (Number.isFinite(n) && n >= 0) return Math.floor(n);
+  return 20_000;
+})();
+const MAX_PER_WALLET = 16;
+// Requests may arrive out of order (parallel search-as-you-type calls), so accept any unseen
+// sequence number within this window below the highest one seen so far.
+const SEQ_WINDOW = 64;
+
+const sessions = new Map(); // id -> session
+
+export function deriveSessionKey(aesKey, sessionId) {
+  return Buffer.from(
+    crypto.hkdfSync(
+      'sha256',
+      Buffer.from(String(sessionId), 'utf8'),
+      Buffer.from(aesKey),
+      Buffer.from('lumen-pq-session-v1'),
+      32
+    )
+  );
+}
+
+function purgeSessions(nowMs) {
+  for (const [id, session] of sessions.entries()) {
+    if (session.expiresAt <= nowMs) sessions.delete(id);
+  }
+}
+
+function enforceCaps(wallet) {
+  const owned = Array.from(sessions.values()).filter((s) => s.wallet === wallet);
+  // Map preserves insertion order: the first entries are the oldest sessions.
+  for (let i = 0; i <= owned.length - MAX_PER_WALLET; i += 1) {
+    sessions.delete(owned[i].id);
+  }
+  if (!Number.isFinite(MAX_ENTRIES) || MAX_ENTRIES <= 0) return;
+  while (sessions.size >= MAX_ENTRIES) {
+    const first = sessions.keys().next().value;
+    if (!first) return;
+    sessions.delete(first);
+  }
+}
+
+export function createPqSession({ wallet, aesKey, ttlSec }) {
+  const now = Date.now();
+  purgeSessions(now);
+  enforceCaps(wallet);
+
+  const requested = Number(ttlSec);
+  const ttl =
+    Number.isFinite(requested) && requested > 0
+      ? Math.min(Math.floor(requested), MAX_TTL_SEC)
+      : Math.min(DEFAULT_TTL_SEC, MAX_TTL_SEC);
+
+  const id = crypto.randomBytes(16).toString('hex');
+  const session = {
+    id,
+    wallet,
+    key: deriveSessionKey(aesKey, id),
+    createdAt: now,
+    expiresAt: now + ttl * 1000,
+    maxSeq: -1,
+    seenSeqs: new Set()
+  };
+  sessions.set(id, session);
+  return session;
+}
+
+export function getPqSession(sessionId) {
+  const id = String(sessionId || '').trim();
+  if (!id) return null;
+  const session = sessions.get(id);
+  if (!session) return null;
+  if (session.expiresAt <= Date.now()) {
+    sessions.delete(id);
+    return null;
+  }
+  return session;
+}
+
+export function acceptSessionSeq(session, seq) {
+  if (!Number.isSafeInteger(seq) || seq < 0) return false;
+  if (seq <= session.maxSeq - SEQ_WINDOW) return false;
+  if (session.seenSeqs.has(seq)) return false;
+
+  session.seenSeqs.add(seq);
+  if (seq > session.maxSeq) {
+    session.maxSeq = seq;
+    for (const s of session.seenSeqs) {
+      if (s <= session.maxSeq - SEQ_WINDOW) session.seenSeqs.delete(s);
+    }
+  }
+  return true;
+}
+
+export function revokePqSession(sessionId, wallet) {
+  const session = sessions.get(String(sessionId || '').trim());
+  if (!session || session.wallet !== wallet) return false;
+  sessions.delete(session.id);
+  return true;
+}
+
+export function revokeWalletPqSessions(wallet) {
+  let revoked = 0;
+  for (const [id, session] of sessions.entries()) {
+    if (session.wallet !== wallet) continue;
+    sessions.delete(id);
+    revoked += 1;
+  }
+  return revoked;
+}
+
+export function getPqSessionStats() {
+  purgeSessions(Date.now());
+  return { active: sessions.size };
+}
@@ -0,0 +1,127 @@
+import { CONFIG } from '../config.js';
+import { recordRateLimited } from '../services/rateLimitMetrics.js';
+
+// Token buckets keyed by client IP (checked before PQ decryption, so floods never reach ML-KEM)
+// and by wallet (checked after decryption, limits depend on the wallet's cached plan id).
+//
+// config.json:
+//   "rateLimits": {
+//     "enabled": true,
+//     "ip":     { "default": { "ratePerSec": 20, "burst": 40 }, "routes": { "/pq/search": { ... } } },
+//     "wallet": { "default": { ... }, "routes": { ... },
+//                 "plans": { "<plan id>": { "default": { ... }, "routes": { ... } } } }
+//   }
+// A limit of `null` disables limiting for that route.
+
+const DEFAULT_LIMITS = {
+  ip: { ratePerSec: 20, burst: 40 },
+  wallet: { ratePerSec: 10, burst: 30 }
+};
+
+const MAX_BUCKETS = 100_000;
+const SWEEP_INTERVAL_MS = 60 * 1000;
+
+const RATE_CONFIG = CONFIG.GATEWAY?.rateLimits || {};
+const ENABLED = RATE_CONFIG.enabled !== false;
+
+const buckets = {
+  ip: new Map(),
+  wallet: new Map()
+};
+let lastSweepAt = 0;
+
+function normalizeLimit(raw) {
+  if (raw === null) return null;
+  if (!raw || typeof raw !== 'object') return undefined;
+  const rate = Number(raw.ratePerSec);
+  if (!Number.isFinite(rate) || rate <= 0) return null;
+  const burst = Number(raw.burst);
+  return {
+    ratePerSec: rate,
+    burst: Number.isFinite(burst) && burst >= 1 ? burst : Math.max(1, rate)
+  };
+}
+
+function pickLimit(section, route) {
+  if (!section || typeof section !== 'object') return undefined;
+  const routes = section.routes && typeof section.routes === 'object' ? section.routes : {};
+  if (Object.hasOwn(routes, route)) {
+    const limit = normalizeLimit(routes[route]);
+    if (limit !== undefined) return { limit, route };
+  }
+  if (Object.hasOwn(section, 'default')) {
+    const limit = normalizeLimit(section.default);
+    if (limit !== undefined) return { limit, route: 'default' };
+  }
+  return undefined;
+}
+
+// Resolution order: plan route -> plan default -> route -> default -> built-in default.
+export function resolveRateLimit(scope, route, planId = null) {
+  const section = RATE_CONFIG[scope];
+  if (scope === 'wallet' && planId) {
+    const plan = section?.plans?.[planId];
+    const fromPlan = pickLimit(plan, route);
+    if (fromPlan) return fromPlan;
+  }
+  const fromSection = pickLimit(section, route);
+  if (fromSection) return fromSection;
+  return { limit: DEFAULT_LIMITS[scope], route: 'default' };
+}
+
+function sweep(nowMs) {
+  if (nowMs - lastSweepAt < SWEEP_INTERVAL_MS) return;
+  lastSweepAt = nowMs;
+  for (const map of Object.values(buckets)) {
+    for (const [key, b] of map) {
+      // A bucket that would be full again carries no state worth keeping.
+      if (b.tokens + ((nowMs - b.updatedAt) / 1000) * b.ratePerSec >= b.burst) map.delete(key);
+    }
+  }
+}
+
+function take(map, key, limit, nowMs) {
+  let b = map.get(key);
+  if (!b) {
+    if (map.size >= MAX_BUCKETS) {
+      const oldest = map.keys().next().value;
+      if (oldest !== undefined) map.delete(oldest);
+    }
+    b = { tokens: limit.burst, updatedAt: nowMs, ratePerSec: limit.ratePerSec, burst: limit.burst };
+    map.set(key, b);
+  }
+  b.ratePerSec = limit.ratePerSec;
+  b.burst = limit.burst;
+  b.tokens = Math.min(limit.burst, b.tokens + ((nowMs - b.updatedAt) / 1000) * limit.ratePerSec);
+  b.updatedAt = nowMs;
+  if (b.tokens >= 1) {
+    b.tokens -= 1;
+    return { ok: true };
+  }
+  return { ok: false, retryAfterSec: Math.max(1, Math.ceil((1 - b.tokens) / limit.ratePerSec)) };
+}
+
+// Returns { ok: true } or { ok: false, retryAfterSec, route } and counts the rejection.
+export function consumeRateLimit(scope, key, route, { planId = null, nowMs = Date.now() } = {}) {
+  if (!ENABLED || !key) return { ok: true };
+  const { limit, route: matched } = resolveRateLimit(scope, route, planId);
+  if (!limit) return { ok: true };
+  sweep(nowMs);
+  // Separate buckets per matched route so a tight /pq/search limit does not drain /pin.
+  const result = take(buckets[scope], `${key}|${matched}|${planId || ''}`, limit, nowMs);
+  if (!result.ok) recordRateLimited({ scope, route: matched });
+  return { ...result, route: matched };
+}
+
+// Requests without a PQ envelope are only limited by IP when their route is listed explicitly.
+export function hasExplicitIpLimit(route) {
+  const routes = RATE_CONFIG.ip?.routes;
+  return !!routes && typeof routes === 'object' && Object.hasOwn(routes, route);
+}
+
+export function getRateLimiterStats() {
+  return {
+    enabled: ENABLED,
+    buckets: { ip: buckets.ip.size, wallet: buckets.wallet.size }
+  };
+}
@@ -0,0 +1,133 @@
+import { readFile } from 'node:fs/promises';
+import { createHash } from 'node:crypto';
+import process from 'node:process';
+import { Secp256k1, Sha256 } from '@cosmjs/crypto';
+import { ml_dsa65 } from '@noble/post-quantum/ml-dsa.js';
+
+// Optional operator signing key used to sign PQ responses on request.
+// Key file (LUMEN_GATEWAY_SIGNING_KEY_PATH): { alg: "secp256k1" | "ml-dsa-65", key_id, pubkey, privkey }.
+
+const SUPPORTED_ALGS = new Set(['secp256k1', 'ml-dsa-65']);
+
+let signer = null;
+
+function fatal(msg) {
+  // eslint-disable-next-line no-console
+  console.error(`FATAL: ${msg}`);
+  process.exit(1);
+}
+
+function decodeBase64ToUint8(str, fieldName) {
+  const clean = String(str || '').trim();
+  if (!clean) fatal(`invalid signing key file (missing ${fieldName})`);
+  const buf = Buffer.from(clean, 'base64');
+  if (!buf.length) fatal(`invalid signing key file (bad base64 in ${fieldName})`);
+  return new Uint8Array(buf);
+}
+
+async function checkKeyPair(alg, pubKeyBytes, privKeyBytes) {
+  if (alg === 'secp256k1') {
+    if (privKeyBytes.length !== 32) return false;
+    const kp = await Secp256k1.makeKeypair(privKeyBytes);
+    const compressed = Secp256k1.compressPubkey(kp.pubkey);
+    return Buffer.from(compressed).equals(Buffer.from(pubKeyBytes));
+  }
+  const derived = ml_dsa65.getPublicKey(privKeyBytes);
+  return Buffer.from(derived).equals(Buffer.from(pubKeyBytes));
+}
+
+export async function initResponseSigner() {
+  if (signer) return signer;
+
+  const keyPath = String(process.env.LUMEN_GATEWAY_SIGNING_KEY_PATH || '').trim();
+  if (!keyPath) return null;
+
+  let raw;
+  try {
+    raw = await readFile(keyPath, 'utf8');
+  } catch {
+    fatal(`invalid signing key file path: ${keyPath}`);
+  }
+
+  let parsed;
+  try {
+    parsed = JSON.parse(raw);
+  } catch {
+    fatal('invalid signing key file (not valid JSON)');
+  }
+  if (!parsed || typeof parsed !== 'object') {
+    fatal('invalid signing key file (not a JSON object)');
+  }
+
+  const alg = String(parsed.alg || '').trim().toLowerCase();
+  const keyId = String(parsed.key_id || '').trim();
+  if (!SUPPORTED_ALGS.has(alg)) {
+    fatal('invalid signing key file (alg must be "secp256k1" or "ml-dsa-65")');
+  }
+  if (!keyId) {
+    fatal('invalid signing key file (missing key_id)');
+  }
+
+  const pubKeyBytes = decodeBase64ToUint8(parsed.pubkey, 'pubkey');
+  const privKeyBytes = decodeBase64ToUint8(parsed.privkey, 'privkey');
+
+  let matches = false;
+  try {
+    matches = await checkKeyPair(alg, pubKeyBytes, privKeyBytes);
+  } catch {
+    matches = false;
+  }
+  if (!matches) {
+    fatal('invalid signing key file (pubkey does not match privkey)');
+  }
+
+  signer = { alg, keyId, pubKeyBytes, privKeyBytes };
+  return signer;
+}
+
+export function getResponseSigner() {
+  return signer;
+}
+
+export function describeResponseSigner() {
+  if (!signer) return null;
+  return {
+    alg: signer.alg,
+    key_id: signer.keyId,
+    pub: Buffer.from(signer.pubKeyBytes).toString('base64'),
+    pubkey_hash: createHash('sha256').update(Buffer.from(signer.pubKeyBytes)).digest('base64')
+  };
+}
+
+// Clients opt in per request; only authenticated PQ requests carry a nonce to bind to.
+export function wantsSignedResponse(req) {
+  const raw = String(req?.header?.('X-Lumen-Sign-Response') || '').trim().toLowerCase();
+  return raw === 'v1' || raw === '1' || raw === 'true';
+}
+
+export function buildResponseSigningPayload({ status, nonce, body }) {
+  const bodyHashHex = createHash('sha256').update(body).digest('hex');
+  return `lumen-gw-resp-v1|${status}|${nonce}|${bodyHashHex}`;
+}
+
+// Signs `lumen-gw-resp-v1|<status>|<request nonce>|<sha256 hex of the response body bytes>`.
+// secp256k1 signs the SHA-256 digest (64-byte r||s); ML-DSA-65 signs the message itself.
+export async function signResponse({ status, nonce, body }) {
+  if (!signer) return null;
+
+  const message = new TextEncoder().encode(buildResponseSigningPayload({ status, nonce, body }));
+  let sigBytes;
+  if (signer.alg === 'secp256k1') {
+    const digest = new Sha256(message).digest();
+    const sig = await Secp256k1.createSignature(digest, signer.privKeyBytes);
+    sigBytes = sig.toFixedLength().slice(0, 64);
+  } else {
+    sigBytes = ml_dsa65.sign(message, signer.privKeyBytes);
+  }
+
+  return {
+    alg: signer.alg,
+    keyId: signer.keyId,
+    signature: Buffer.from(sigBytes).toString('base64')
+  };
+}
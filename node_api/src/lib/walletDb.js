@@ -76,6 +76,166 @@ CREATE INDEX IF NOT EXISTS idx_wallet_cid_metadata_wallet
   ON wallet_cid_metadata(wallet);
 CREATE INDEX IF NOT EXISTS idx_wallet_cid_metadata_cid
   ON wallet_cid_metadata(cid);
+
+CREATE TABLE IF NOT EXISTS wallet_collections (
+  collection_id TEXT PRIMARY KEY,
+  wallet TEXT NOT NULL,
+  name TEXT NOT NULL,
+  created_at INTEGER NOT NULL,
+  updated_at INTEGER NOT NULL,
+  UNIQUE (wallet, name)
+);
+
+CREATE TABLE IF NOT EXISTS wallet_collection_cids (
+  collection_id TEXT NOT NULL REFERENCES wallet_collections(collection_id) ON DELETE CASCADE,
+  wallet TEXT NOT NULL,
+  cid TEXT NOT NULL,
+  added_at INTEGER NOT NULL,
+  PRIMARY KEY (collection_id, cid)
+);
+
+CREATE INDEX IF NOT EXISTS idx_wallet_collection_cids_wallet_cid
+  ON wallet_collection_cids(wallet, cid);
+
+CREATE TABLE IF NOT EXISTS wallet_cid_tags (
+  wallet TEXT NOT NULL,
+  cid TEXT NOT NULL,
+  tag TEXT NOT NULL,
+  created_at INTEGER NOT NULL,
+  PRIMARY KEY (wallet, cid, tag)
+);
+
+CREATE INDEX IF NOT EXISTS idx_wallet_cid_tags_wallet_tag
+  ON wallet_cid_tags(wallet, tag);
+
+CREATE TABLE IF NOT EXISTS wallet_access_tokens (
+  token_id TEXT PRIMARY KEY,
+  wallet TEXT NOT NULL,
+  secret_hash TEXT NOT NULL,
+  scopes TEXT NOT NULL,
+  label TEXT,
+  max_bytes INTEGER,
+  bytes_used INTEGER NOT NULL DEFAULT 0,
+  created_at INTEGER NOT NULL,
+  expires_at INTEGER NOT NULL,
+  revoked_at INTEGER,
+  last_used_at INTEGER
+);
+
+CREATE INDEX IF NOT EXISTS idx_wallet_access_tokens_wallet
+  ON wallet_access_tokens(wallet);
+
+CREATE TABLE IF NOT EXISTS wallet_pq_keys (
+  wallet TEXT PRIMARY KEY,
+  alg TEXT NOT NULL,
+  pubkey TEXT NOT NULL,
+  created_at INTEGER NOT NULL,
+  updated_at INTEGER NOT NULL
+);
+
+CREATE TABLE IF NOT EXISTS wallet_suspensions (
+  wallet TEXT PRIMARY KEY,
+  reason TEXT,
+  suspended_at INTEGER NOT NULL
+);
+
+CREATE TABLE IF NOT EXISTS wallet_pin_jobs (
+  job_id TEXT PRIMARY KEY,
+  wallet TEXT NOT NULL,
+  cid TEXT NOT NULL,
+  state TEXT NOT NULL,
+  blocks_fetched INTEGER NOT NULL DEFAULT 0,
+  error TEXT,
+  created_at INTEGER NOT NULL,
+  updated_at INTEGER NOT NULL,
+  finished_at INTEGER
+);
+
+CREATE INDEX IF NOT EXISTS idx_wallet_pin_jobs_wallet
+  ON wallet_pin_jobs(wallet, created_at);
+CREATE INDEX IF NOT EXISTS idx_wallet_pin_jobs_state
+  ON wallet_pin_jobs(state);
+
+CREATE TABLE IF NOT EXISTS wallet_ingest_jobs (
+  job_id TEXT PRIMARY KEY,
+  wallet TEXT NOT NULL,
+  plan_id TEXT,
+  display_name TEXT,
+  kind TEXT NOT NULL DEFAULT 'car',
+  options TEXT,
+  tmp_file TEXT NOT NULL,
+  content_type TEXT,
+  bytes INTEGER NOT NULL DEFAULT 0,
+  state TEXT NOT NULL,
+  attempts INTEGER NOT NULL DEFAULT 0,
+  error TEXT,
+  roots TEXT,
+  next_attempt_at INTEGER NOT NULL,
+  created_at INTEGER NOT NULL,
+  updated_at INTEGER NOT NULL,
+  finished_at INTEGER
+);
+
+CREATE INDEX IF NOT EXISTS idx_wallet_ingest_jobs_wallet
+  ON wallet_ingest_jobs(wallet, created_at);
+CREATE INDEX IF NOT EXISTS idx_wallet_ingest_jobs_state
+  ON wallet_ingest_jobs(state);
+
+CREATE TABLE IF NOT EXISTS wallet_psa_pins (
+  request_id TEXT PRIMARY KEY,
+  wallet TEXT NOT NULL,
+  cid TEXT NOT NULL,
+  name TEXT,
+  origins TEXT,
+  meta TEXT,
+  job_id TEXT,
+  created_at INTEGER NOT NULL
+);
+
+CREATE INDEX IF NOT EXISTS idx_wallet_psa_pins_wallet
+  ON wallet_psa_pins(wallet, created_at);
+CREATE INDEX IF NOT EXISTS idx_wallet_psa_pins_cid
+  ON wallet_psa_pins(wallet, cid);
+
+CREATE TABLE IF NOT EXISTS wallet_expiry_notices (
+  wallet TEXT NOT NULL,
+  plan_expires_at INTEGER NOT NULL,
+  notice TEXT NOT NULL,
+  sent_at INTEGER NOT NULL,
+  PRIMARY KEY (wallet, plan_expires_at, notice)
+);
+
+CREATE TABLE IF NOT EXISTS ingest_uploads (
+  upload_id TEXT PRIMARY KEY,
+  wallet TEXT NOT NULL,
+  plan_id TEXT,
+  display_name TEXT,
+  access_token_id TEXT,
+  access_token_remaining INTEGER,
+  length INTEGER NOT NULL,
+  sha256 TEXT,
+  created_at INTEGER NOT NULL,
+  updated_at INTEGER NOT NULL,
+  expires_at INTEGER NOT NULL
+);
+
+CREATE INDEX IF NOT EXISTS idx_ingest_uploads_expires
+  ON ingest_uploads(expires_at);
+
+CREATE TABLE IF NOT EXISTS pin_drift_flags (
+  cid TEXT NOT NULL,
+  kind TEXT NOT NULL,
+  first_seen_at INTEGER NOT NULL,
+  last_seen_at INTEGER NOT NULL,
+  PRIMARY KEY (cid, kind)
+);
+
+CREATE TABLE IF NOT EXISTS cid_dag_sizes (
+  cid TEXT PRIMARY KEY,
+  size_bytes INTEGER NOT NULL,
+  blocks INTEGER,
+  measured_at INTEGER NOT NULL
+);
 `
 });
 
@@ -326,7 +486,10 @@ export async function hasWalletRoot(wallet, rootCid) {
   return !!row;
 }
 
-export async function getWalletPinnedCidsPage(wallet, { limit, offset } = {}) {
+export async function getWalletPinnedCidsPage(
+  wallet,
+  { limit, offset, collectionId = null, tag = null } = {}
+) {
   const w = String(wallet || '').trim();
   if (!w) return [];
 
@@ -334,6 +497,19 @@ export async function getWalletPinnedCidsPage(wallet, { limit, offset } = {}) {
     Number.isFinite(limit) && limit > 0 ? Math.min(Number(limit), 1000) : 201;
   const safeOffset = Number.isFinite(offset) && offset >= 0 ? Number(offset) : 0;
 
+  const filters = [];
+  const filterParams = [];
+  if (collectionId) {
+    filters.push(
+      'AND t.cid IN (SELECT cid FROM wallet_collection_cids WHERE wallet = ? AND collection_id = ?)'
+    );
+    filterParams.push(w, collectionId);
+  }
+  if (tag) {
+    filters.push('AND t.cid IN (SELECT cid FROM wallet_cid_tags WHERE wallet = ? AND tag = ?)');
+    filterParams.push(w, tag);
+  }
+
   return dbAll(
     `
     SELECT t.cid, t.created_at, m.display_name
@@ -348,10 +524,12 @@ export async function getWalletPinnedCidsPage(wallet, { limit, offset } = {}) {
     ) AS t
     LEFT JOIN wallet_cid_metadata m
       ON m.wallet = ? AND m.cid = t.cid
+    WHERE 1 = 1
+      ${filters.join('\n      ')}
     ORDER BY t.created_at DESC, t.cid ASC
     LIMIT ? OFFSET ?
   `,
-    [w, w, w, safeLimit, safeOffset]
+    [w, w, w, ...filterParams, safeLimit, safeOffset]
   );
 }
 
@@ -384,6 +562,23 @@ export async function addWalletPin(wallet, cid) {
   );
 }
 
+// Batch variant of removeWalletPin + removeWalletRoot (and the CID's metadata): one transaction.
+export async function removeWalletCidRefsBatch(wallet, cids) {
+  const w = String(wallet || '').trim();
+  const list = Array.isArray(cids) ? cids.map((c) => String(c || '').trim()).filter(Boolean) : [];
+  if (!w || !list.length) return;
+  await runInTransaction(async () => {
+    for (const c of list) {
+      await dbRun('DELETE FROM wallet_pins WHERE wallet = ? AND cid = ?', [w, c]);
+      await dbRun('DELETE FROM wallet_roots WHERE wallet = ? AND root_cid = ?', [w, c]);
+      await dbRun('DELETE FROM wallet_cid_metadata WHERE wallet = ? AND cid = ?', [w, c]);
+      await dbRun('DELETE FROM wallet_cid_tags WHERE wallet = ? AND cid = ?', [w, c]);
+      await dbRun('DELETE FROM wallet_collection_cids WHERE wallet = ? AND cid = ?', [w, c]);
+      await dbRun('DELETE FROM wallet_psa_pins WHERE wallet = ? AND cid = ?', [w, c]);
+    }
+  });
+}
+
 export async function removeWalletPin(wallet, cid) {
   const w = String(wallet || '').trim();
   const c = String(cid || '').trim();
@@ -413,6 +608,32 @@ export async function hasWalletPin(wallet, cid) {
   return !!row;
 }
 
+// The CID as spelled in the wallet's pin row (else its active root row), matching v0/v1
+// variants; null when the wallet holds neither. Tags and memberships are keyed by this spelling.
+export async function getWalletOwnedCid(wallet, cid) {
+  const w = String(wallet || '').trim();
+  const variants = expandCidVariants(cid);
+  if (!w || !variants.length) return null;
+  const placeholders = variants.map(() => '?').join(', ');
+  const row = await dbGet(
+    `
+    SELECT cid FROM (
+      SELECT cid, 0 AS rank FROM wallet_pins
+      WHERE wallet = ? AND cid IN (${placeholders})
+
+      UNION ALL
+
+      SELECT root_cid AS cid, 1 AS rank FROM wallet_roots
+      WHERE wallet = ? AND status = 'active' AND root_cid IN (${placeholders})
+    )
+    ORDER BY rank ASC
+    LIMIT 1
+  `,
+    [w, ...variants, w, ...variants]
+  );
+  return row ? String(row.cid) : null;
+}
+
 export async function countWalletPinsForCid(cid) {
   const c = String(cid || '').trim();
   if (!c) return 0;
@@ -527,3 +748,1167 @@ export async function setWalletCidDisplayName(wallet, cid, displayName) {
 
   return normalized;
 }
+
+function mapAccessTokenRow(row) {
+  if (!row) return null;
+  let scopes = [];
+  try {
+    const parsed = JSON.parse(row.scopes);
+    scopes = Array.isArray(parsed) ? parsed.map(String) : [];
+  } catch {
+    scopes = [];
+  }
+  return {
+    tokenId: row.token_id,
+    wallet: row.wallet,
+    secretHash: row.secret_hash,
+    scopes,
+    label: row.label ?? null,
+    maxBytes: row.max_bytes ?? null,
+    bytesUsed: row.bytes_used ?? 0,
+    createdAt: row.created_at,
+    expiresAt: row.expires_at,
+    revokedAt: row.revoked_at ?? null,
+    lastUsedAt: row.last_used_at ?? null
+  };
+}
+
+export async function insertWalletAccessToken({
+  tokenId,
+  wallet,
+  secretHash,
+  scopes,
+  label,
+  maxBytes,
+  createdAt,
+  expiresAt
+}) {
+  await dbRun(
+    `
+    INSERT INTO wallet_access_tokens (
+      token_id, wallet, secret_hash, scopes, label, max_bytes, bytes_used, created_at, expires_at
+    )
+    VALUES (?, ?, ?, ?, ?, ?, 0, ?, ?)
+  `,
+    [
+      tokenId,
+      wallet,
+      secretHash,
+      JSON.stringify(scopes || []),
+      label || null,
+      maxBytes != null ? maxBytes : null,
+      createdAt,
+      expiresAt
+    ]
+  );
+}
+
+export async function getWalletAccessToken(tokenId) {
+  const id = String(tokenId || '').trim();
+  if (!id) return null;
+  const row = await dbGet(
+    `
+    SELECT *
+    FROM wallet_access_tokens
+    WHERE token_id = ?
+  `,
+    [id]
+  );
+  return mapAccessTokenRow(row);
+}
+
+export async function listWalletAccessTokens(wallet) {
+  const w = String(wallet || '').trim();
+  if (!w) return [];
+  const rows = await dbAll(
+    `
+    SELECT *
+    FROM wallet_access_tokens
+    WHERE wallet = ?
+    ORDER BY created_at DESC
+  `,
+    [w]
+  );
+  return rows.map(mapAccessTokenRow);
+}
+
+export async function revokeWalletAccessToken(wallet, tokenId, revokedAtMs = Date.now()) {
+  const result = await dbRun(
+    `
+    UPDATE wallet_access_tokens
+    SET revoked_at = ?
+    WHERE wallet = ? AND token_id = ? AND revoked_at IS NULL
+  `,
+    [revokedAtMs, String(wallet || '').trim(), String(tokenId || '').trim()]
+  );
+  return !!result && result.changes === 1;
+}
+
+export async function touchWalletAccessToken(tokenId, usedAtMs = Date.now()) {
+  await dbRun(
+    `
+    UPDATE wallet_access_tokens
+    SET last_used_at = ?
+    WHERE token_id = ?
+  `,
+    [usedAtMs, String(tokenId || '').trim()]
+  );
+}
+
+// Atomically adds `bytes` to a token's usage; false when that would exceed max_bytes.
+export async function chargeWalletAccessTokenBytes(tokenId, bytes) {
+  const n = Math.max(0, Math.floor(Number(bytes) || 0));
+  const result = await dbRun(
+    `
+    UPDATE wallet_access_tokens
+    SET bytes_used = bytes_used + ?
+    WHERE token_id = ?
+      AND (max_bytes IS NULL OR bytes_used + ? <= max_bytes)
+  `,
+    [n, String(tokenId || '').trim(), n]
+  );
+  return !!result && result.changes === 1;
+}
+
+function mapPqKeyRow(row) {
+  if (!row) return null;
+  return {
+    wallet: row.wallet,
+    alg: row.alg,
+    pubkey: row.pubkey,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at
+  };
+}
+
+export async function getWalletPqKey(wallet) {
+  const w = String(wallet || '').trim();
+  if (!w) return null;
+  const row = await dbGet(
+    `
+    SELECT wallet, alg, pubkey, created_at, updated_at
+    FROM wallet_pq_keys
+    WHERE wallet = ?
+  `,
+    [w]
+  );
+  return mapPqKeyRow(row);
+}
+
+export async function setWalletPqKey(wallet, { alg, pubkey }) {
+  const now = Date.now();
+  await dbRun(
+    `
+    INSERT INTO wallet_pq_keys (wallet, alg, pubkey, created_at, updated_at)
+    VALUES (?, ?, ?, ?, ?)
+    ON CONFLICT(wallet) DO UPDATE SET
+      alg = excluded.alg,
+      pubkey = excluded.pubkey,
+      updated_at = excluded.updated_at
+  `,
+    [String(wallet || '').trim(), alg, pubkey, now, now]
+  );
+  return getWalletPqKey(wallet);
+}
+
+export async function removeWalletPqKey(wallet) {
+  const result = await dbRun(
+    `
+    DELETE FROM wallet_pq_keys
+    WHERE wallet = ?
+  `,
+    [String(wallet || '').trim()]
+  );
+  return !!result && result.changes === 1;
+}
+
+export async function getWalletSuspension(wallet) {
+  const w = String(wallet || '').trim();
+  if (!w) return null;
+  const row = await dbGet(
+    `
+    SELECT wallet, reason, suspended_at
+    FROM wallet_suspensions
+    WHERE wallet = ?
+  `,
+    [w]
+  );
+  if (!row) return null;
+  return { wallet: row.wallet, reason: row.reason ?? null, suspendedAt: row.suspended_at };
+}
+
+export async function setWalletSuspension(wallet, { reason = null, suspendedAt = Date.now() } = {}) {
+  await dbRun(
+    `
+    INSERT INTO wallet_suspensions (wallet, reason, suspended_at)
+    VALUES (?, ?, ?)
+    ON CONFLICT(wallet) DO UPDATE SET
+      reason = excluded.reason,
+      suspended_at = excluded.suspended_at
+  `,
+    [String(wallet || '').trim(), reason, suspendedAt]
+  );
+}
+
+export async function clearWalletSuspension(wallet) {
+  const result = await dbRun(
+    `
+    DELETE FROM wallet_suspensions
+    WHERE wallet = ?
+  `,
+    [String(wallet || '').trim()]
+  );
+  return !!result && result.changes === 1;
+}
+
+// Operator view: every wallet known from plans, roots or pins, with cached plan and usage.
+export async function listWalletsOverview({ limit = 100, offset = 0 } = {}) {
+  const lim = Math.max(1, Math.min(1000, Math.floor(Number(limit) || 100)));
+  const off = Math.max(0, Math.floor(Number(offset) || 0));
+
+  const totalRow = await dbGet(
+    `
+    SELECT COUNT(*) AS n FROM (
+      SELECT wallet FROM wallets
+      UNION SELECT wallet FROM wallet_roots
+      UNION SELECT wallet FROM wallet_pins
+    )
+  `
+  );
+
+  const rows = await dbAll(
+    `
+    SELECT
+      ids.wallet AS wallet,
+      w.plan_id AS plan_id,
+      w.plan_expires_at AS plan_expires_at,
+      w.last_chain_check_at AS last_chain_check_at,
+      s.suspended_at AS suspended_at,
+      s.reason AS suspended_reason,
+      (SELECT COUNT(*) FROM wallet_roots r
+        WHERE r.wallet = ids.wallet AND r.status = 'active') AS roots_active,
+      (SELECT COALESCE(SUM(r.bytes_estimated), 0) FROM wallet_roots r
+        WHERE r.wallet = ids.wallet AND r.status = 'active') AS bytes_estimated,
+      (SELECT COUNT(*) FROM wallet_pins p WHERE p.wallet = ids.wallet) AS pins
+    FROM (
+      SELECT wallet FROM wallets
+      UNION SELECT wallet FROM wallet_roots
+      UNION SELECT wallet FROM wallet_pins
+    ) ids
+    LEFT JOIN wallets w ON w.wallet = ids.wallet
+    LEFT JOIN wallet_suspensions s ON s.wallet = ids.wallet
+    ORDER BY ids.wallet ASC
+    LIMIT ? OFFSET ?
+  `,
+    [lim, off]
+  );
+
+  return { total: totalRow?.n ?? 0, limit: lim, offset: off, wallets: rows };
+}
+
+export async function listWalletRoots(wallet, { includeRemoved = false, limit = 500, offset = 0 } = {}) {
+  const w = String(wallet || '').trim();
+  if (!w) return [];
+  const lim = Math.max(1, Math.min(5000, Math.floor(Number(limit) || 500)));
+  const off = Math.max(0, Math.floor(Number(offset) || 0));
+  return dbAll(
+    `
+    SELECT r.root_cid, r.created_at, r.bytes_estimated, r.status, m.display_name
+    FROM wallet_roots r
+    LEFT JOIN wallet_cid_metadata m ON m.wallet = r.wallet AND m.cid = r.root_cid
+    WHERE r.wallet = ?
+      ${includeRemoved ? '' : "AND r.status = 'active'"}
+    ORDER BY r.created_at DESC, r.root_cid ASC
+    LIMIT ? OFFSET ?
+  `,
+    [w, lim, off]
+  );
+}
+
+// Drops every wallet reference (pins, roots, names) to a CID in one transaction.
+// Returns the wallets that lost a reference.
+export async function removeAllCidReferences(cid) {
+  const variants = expandCidVariants(cid);
+  if (!variants.length) return [];
+  const placeholders = variants.map(() => '?').join(', ');
+
+  return runInTransaction(async () => {
+    const rows = await dbAll(
+      `
+      SELECT wallet FROM wallet_pins WHERE cid IN (${placeholders})
+      UNION
+      SELECT wallet FROM wallet_roots WHERE root_cid IN (${placeholders})
+    `,
+      [...variants, ...variants]
+    );
+    await dbRun(`DELETE FROM wallet_pins WHERE cid IN (${placeholders})`, variants);
+    await dbRun(`DELETE FROM wallet_roots WHERE root_cid IN (${placeholders})`, variants);
+    await dbRun(`DELETE FROM wallet_cid_metadata WHERE cid IN (${placeholders})`, variants);
+    await dbRun(`DELETE FROM wallet_cid_tags WHERE cid IN (${placeholders})`, variants);
+    await dbRun(`DELETE FROM wallet_collection_cids WHERE cid IN (${placeholders})`, variants);
+    await dbRun(`DELETE FROM wallet_psa_pins WHERE cid IN (${placeholders})`, variants);
+    return rows.map((r) => String(r.wallet || '').trim()).filter(Boolean);
+  });
+}
+
+// Pin jobs: states queued -> fetching -> pinned | failed.
+export const PIN_JOB_ACTIVE_STATES = ['queued', 'fetching'];
+
+function mapPinJobRow(row) {
+  if (!row) return null;
+  return {
+    jobId: row.job_id,
+    wallet: row.wallet,
+    cid: row.cid,
+    state: row.state,
+    blocksFetched: row.blocks_fetched ?? 0,
+    error: row.error ?? null,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at,
+    finishedAt: row.finished_at ?? null
+  };
+}
+
+export async function insertWalletPinJob({ jobId, wallet, cid, createdAt = Date.now() }) {
+  await dbRun(
+    `
+    INSERT INTO wallet_pin_jobs (job_id, wallet, cid, state, blocks_fetched, created_at, updated_at)
+    VALUES (?, ?, ?, 'queued', 0, ?, ?)
+  `,
+    [jobId, wallet, cid, createdAt, createdAt]
+  );
+}
+
+export async function updateWalletPinJob(jobId, { state, blocksFetched, error } = {}) {
+  const now = Date.now();
+  const finished = state === 'pinned' || state === 'failed';
+  await dbRun(
+    `
+    UPDATE wallet_pin_jobs
+    SET
+      state = COALESCE(?, state),
+      blocks_fetched = COALESCE(?, blocks_fetched),
+      error = CASE WHEN ? IS NOT NULL THEN ? ELSE error END,
+      updated_at = ?,
+      finished_at = CASE WHEN ? THEN ? ELSE finished_at END
+    WHERE job_id = ?
+  `,
+    [
+      state || null,
+      Number.isFinite(blocksFetched) ? Math.floor(blocksFetched) : null,
+      error ?? null,
+      error ?? null,
+      now,
+      finished ? 1 : 0,
+      now,
+      String(jobId || '').trim()
+    ]
+  );
+}
+
+export async function getWalletPinJob(wallet, jobId) {
+  const row = await dbGet(
+    `
+    SELECT *
+    FROM wallet_pin_jobs
+    WHERE wallet = ? AND job_id = ?
+  `,
+    [String(wallet || '').trim(), String(jobId || '').trim()]
+  );
+  return mapPinJobRow(row);
+}
+
+// Latest job for this wallet/CID, whatever its state.
+export async function getLatestWalletPinJobForCid(wallet, cid) {
+  const row = await dbGet(
+    `
+    SELECT *
+    FROM wallet_pin_jobs
+    WHERE wallet = ? AND cid = ?
+    ORDER BY created_at DESC
+    LIMIT 1
+  `,
+    [String(wallet || '').trim(), String(cid || '').trim()]
+  );
+  return mapPinJobRow(row);
+}
+
+export async function listWalletPinJobs(wallet, { states = PIN_JOB_ACTIVE_STATES, limit = 500 } = {}) {
+  const w = String(wallet || '').trim();
+  if (!w || !states.length) return [];
+  const lim = Math.max(1, Math.min(5000, Math.floor(Number(limit) || 500)));
+  const placeholders = states.map(() => '?').join(', ');
+  const rows = await dbAll(
+    `
+    SELECT *
+    FROM wallet_pin_jobs
+    WHERE wallet = ? AND state IN (${placeholders})
+    ORDER BY created_at ASC
+    LIMIT ?
+  `,
+    [w, ...states, lim]
+  );
+  return rows.map(mapPinJobRow);
+}
+
+// Jobs interrupted by a restart, oldest first.
+export async function listUnfinishedPinJobs() {
+  const placeholders = PIN_JOB_ACTIVE_STATES.map(() => '?').join(', ');
+  const rows = await dbAll(
+    `
+    SELECT *
+    FROM wallet_pin_jobs
+    WHERE state IN (${placeholders})
+    ORDER BY created_at ASC
+  `,
+    PIN_JOB_ACTIVE_STATES
+  );
+  return rows.map(mapPinJobRow);
+}
+
+export async function pruneFinishedPinJobs(olderThanMs) {
+  const result = await dbRun(
+    `
+    DELETE FROM wallet_pin_jobs
+    WHERE finished_at IS NOT NULL AND finished_at < ?
+  `,
+    [olderThanMs]
+  );
+  return result?.changes ?? 0;
+}
+
+// Ingest jobs: a spooled CAR (`car`, Kubo dag/import) or raw file / directory upload (`add`,
+// Kubo add with `options`). States queued -> importing -> imported | failed.
+// A failed attempt that will be retried goes back to queued with a later next_attempt_at.
+export const INGEST_JOB_ACTIVE_STATES = ['queued', 'importing'];
+
+function mapIngestJobRow(row) {
+  if (!row) return null;
+  let roots = [];
+  let options = null;
+  try {
+    roots = row.roots ? JSON.parse(row.roots) : [];
+  } catch {
+    roots = [];
+  }
+  try {
+    options = row.options ? JSON.parse(row.options) : null;
+  } catch {
+    options = null;
+  }
+  return {
+    jobId: row.job_id,
+    wallet: row.wallet,
+    planId: row.plan_id ?? null,
+    displayName: row.display_name ?? null,
+    kind: row.kind || 'car',
+    options,
+    tmpFile: row.tmp_file,
+    contentType: row.content_type ?? null,
+    bytes: row.bytes ?? 0,
+    state: row.state,
+    attempts: row.attempts ?? 0,
+    error: row.error ?? null,
+    roots,
+    nextAttemptAt: row.next_attempt_at,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at,
+    finishedAt: row.finished_at ?? null
+  };
+}
+
+export async function insertWalletIngestJob({
+  jobId,
+  wallet,
+  planId = null,
+  displayName = null,
+  kind = 'car',
+  options = null,
+  tmpFile,
+  contentType = null,
+  bytes = 0,
+  nextAttemptAt,
+  createdAt = Date.now()
+}) {
+  await dbRun(
+    `
+    INSERT INTO wallet_ingest_jobs (
+      job_id, wallet, plan_id, display_name, kind, options, tmp_file, content_type, bytes,
+      state, attempts, next_attempt_at, created_at, updated_at
+    )
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, 'queued', 0, ?, ?, ?)
+  `,
+    [
+      jobId,
+      wallet,
+      planId,
+      displayName,
+      kind,
+      options ? JSON.stringify(options) : null,
+      tmpFile,
+      contentType,
+      bytes,
+      nextAttemptAt ?? createdAt,
+      createdAt,
+      createdAt
+    ]
+  );
+}
+
+// Fields left undefined keep their value; `error: null` clears the last error.
+export async function updateWalletIngestJob(jobId, { state, attempts, error, roots, nextAttemptAt } = {}) {
+  const now = Date.now();
+  const sets = ['updated_at = ?'];
+  const params = [now];
+  if (state !== undefined) {
+    sets.push('state = ?');
+    params.push(state);
+    if (state === 'imported' || state === 'failed') {
+      sets.push('finished_at = ?');
+      params.push(now);
+    }
+  }
+  if (attempts !== undefined) {
+    sets.push('attempts = ?');
+    params.push(attempts);
+  }
+  if (error !== undefined) {
+    sets.push('error = ?');
+    params.push(error);
+  }
+  if (roots !== undefined) {
+    sets.push('roots = ?');
+    params.push(JSON.stringify(roots || []));
+  }
+  if (nextAttemptAt !== undefined) {
+    sets.push('next_attempt_at = ?');
+    params.push(nextAttemptAt);
+  }
+  params.push(String(jobId || '').trim());
+  await dbRun(`UPDATE wallet_ingest_jobs SET ${sets.join(', ')} WHERE job_id = ?`, params);
+}
+
+export async function getWalletIngestJob(wallet, jobId) {
+  const row = await dbGet(
+    `
+    SELECT *
+    FROM wallet_ingest_jobs
+    WHERE wallet = ? AND job_id = ?
+  `,
+    [String(wallet || '').trim(), String(jobId || '').trim()]
+  );
+  return mapIngestJobRow(row);
+}
+
+// Most recent first.
+export async function listWalletIngestJobs(wallet, { limit = 20 } = {}) {
+  const w = String(wallet || '').trim();
+  if (!w) return [];
+  const lim = Math.max(1, Math.min(100, Math.floor(Number(limit) || 20)));
+  const rows = await dbAll(
+    `
+    SELECT *
+    FROM wallet_ingest_jobs
+    WHERE wallet = ?
+    ORDER BY created_at DESC
+    LIMIT ?
+  `,
+    [w, lim]
+  );
+  return rows.map(mapIngestJobRow);
+}
+
+// Jobs interrupted by a restart or waiting for a retry, oldest first.
+export async function listUnfinishedIngestJobs() {
+  const placeholders = INGEST_JOB_ACTIVE_STATES.map(() => '?').join(', ');
+  const rows = await dbAll(
+    `
+    SELECT *
+    FROM wallet_ingest_jobs
+    WHERE state IN (${placeholders})
+    ORDER BY created_at ASC
+  `,
+    INGEST_JOB_ACTIVE_STATES
+  );
+  return rows.map(mapIngestJobRow);
+}
+
+// True while another pin job for `cid` is queued or fetching: it may still record the CID for
+// its wallet once fetched.
+export async function hasActiveJobForCid(cid, { exceptJobId = null } = {}) {
+  const c = String(cid || '').trim();
+  if (!c) return false;
+  const variants = expandCidVariants(c);
+  const cidPlaceholders = variants.map(() => '?').join(', ');
+  const statePlaceholders = PIN_JOB_ACTIVE_STATES.map(() => '?').join(', ');
+  const row = await dbGet(
+    `
+    SELECT 1 AS found FROM wallet_pin_jobs
+    WHERE cid IN (${cidPlaceholders}) AND state IN (${statePlaceholders}) AND job_id != ?
+    LIMIT 1
+  `,
+    [...variants, ...PIN_JOB_ACTIVE_STATES, String(exceptJobId || '')]
+  );
+  return Boolean(row);
+}
+
+export async function pruneFinishedIngestJobs(olderThanMs) {
+  const result = await dbRun(
+    `
+    DELETE FROM wallet_ingest_jobs
+    WHERE finished_at IS NOT NULL AND finished_at < ?
+  `,
+    [olderThanMs]
+  );
+  return result?.changes ?? 0;
+}
+
+// DAG sizes measured with Kubo dag/stat, shared by every wallet that references the CID.
+export async function setCidDagSize(cid, { sizeBytes, blocks = null, measuredAt = Date.now() }) {
+  const c = String(cid || '').trim();
+  if (!c || !Number.isFinite(sizeBytes) || sizeBytes < 0) return;
+  await dbRun(
+    `
+    INSERT INTO cid_dag_sizes (cid, size_bytes, blocks, measured_at)
+    VALUES (?, ?, ?, ?)
+    ON CONFLICT(cid) DO UPDATE SET
+      size_bytes = excluded.size_bytes,
+      blocks = excluded.blocks,
+      measured_at = excluded.measured_at
+  `,
+    [c, Math.floor(sizeBytes), Number.isFinite(blocks) ? Math.floor(blocks) : null, measuredAt]
+  );
+}
+
+export async function getCidDagSize(cid) {
+  const c = String(cid || '').trim();
+  if (!c) return null;
+  const row = await dbGet('SELECT size_bytes FROM cid_dag_sizes WHERE cid = ?', [c]);
+  return row ? row.size_bytes : null;
+}
+
+// Bytes charged to a wallet: the DAG size of each distinct active root / pinned CID. Roots that
+// were never measured fall back to their ingest estimate, unmeasured pins count as 0.
+export async function getWalletAccountedBytes(wallet) {
+  const w = String(wallet || '').trim();
+  if (!w) return 0;
+  const row = await dbGet(
+    `
+    SELECT COALESCE(SUM(COALESCE(s.size_bytes, refs.fallback, 0)), 0) AS bytes
+    FROM (
+      SELECT cid, MAX(fallback) AS fallback
+      FROM (
+        SELECT root_cid AS cid, bytes_estimated AS fallback
+        FROM wallet_roots
+        WHERE wallet = ? AND status = 'active'
+        UNION ALL
+        SELECT cid, NULL AS fallback
+        FROM wallet_pins
+        WHERE wallet = ?
+      )
+      GROUP BY cid
+    ) refs
+    LEFT JOIN cid_dag_sizes s ON s.cid = refs.cid
+  `,
+    [w, w]
+  );
+  return row?.bytes ?? 0;
+}
+
+// Wallets whose cached plan expires before `beforeMs` and that still reference content.
+export async function listWalletsWithPlanExpiringBefore(beforeMs) {
+  return dbAll(
+    `
+    SELECT w.wallet, w.plan_id, w.plan_expires_at, w.last_chain_check_at
+    FROM wallets w
+    WHERE w.plan_expires_at IS NOT NULL
+      AND w.plan_expires_at <= ?
+      AND (
+        EXISTS (SELECT 1 FROM wallet_roots r WHERE r.wallet = w.wallet AND r.status = 'active')
+        OR EXISTS (SELECT 1 FROM wallet_pins p WHERE p.wallet = w.wallet)
+      )
+    ORDER BY w.plan_expires_at ASC
+  `,
+    [beforeMs]
+  );
+}
+
+// Every distinct CID the wallet pins or owns as an active root.
+export async function listWalletCidRefs(wallet) {
+  const w = String(wallet || '').trim();
+  if (!w) return [];
+  const rows = await dbAll(
+    `
+    SELECT cid FROM (
+      SELECT root_cid AS cid FROM wallet_roots WHERE wallet = ? AND status = 'active'
+      UNION
+      SELECT cid FROM wallet_pins WHERE wallet = ?
+    )
+    ORDER BY cid ASC
+  `,
+    [w, w]
+  );
+  return rows.map((r) => String(r.cid || '').trim()).filter(Boolean);
+}
+
+export async function hasExpiryNotice(wallet, planExpiresAt, notice) {
+  const row = await dbGet(
+    `
+    SELECT 1 AS ok
+    FROM wallet_expiry_notices
+    WHERE wallet = ? AND plan_expires_at = ? AND notice = ?
+  `,
+    [wallet, planExpiresAt, notice]
+  );
+  return !!row;
+}
+
+export async function recordExpiryNotice(wallet, planExpiresAt, notice, sentAt = Date.now()) {
+  await dbRun(
+    `
+    INSERT INTO wallet_expiry_notices (wallet, plan_expires_at, notice, sent_at)
+    VALUES (?, ?, ?, ?)
+    ON CONFLICT(wallet, plan_expires_at, notice) DO NOTHING
+  `,
+    [wallet, planExpiresAt, notice, sentAt]
+  );
+}
+
+// Collections (named folders, many-to-many with CIDs) and free-form tags on wallet CIDs.
+
+function mapCollectionRow(row) {
+  if (!row) return null;
+  return {
+    collectionId: row.collection_id,
+    wallet: row.wallet,
+    name: row.name,
+    cidCount: row.cid_count ?? 0,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at
+  };
+}
+
+export async function listWalletCollections(wallet) {
+  const rows = await dbAll(
+    `
+    SELECT c.*, (SELECT COUNT(*) FROM wallet_collection_cids m
+                 WHERE m.collection_id = c.collection_id) AS cid_count
+    FROM wallet_collections c
+    WHERE c.wallet = ?
+    ORDER BY c.name ASC
+  `,
+    [String(wallet || '').trim()]
+  );
+  return rows.map(mapCollectionRow);
+}
+
+export async function getWalletCollection(wallet, collectionId) {
+  const row = await dbGet(
+    `
+    SELECT c.*, (SELECT COUNT(*) FROM wallet_collection_cids m
+                 WHERE m.collection_id = c.collection_id) AS cid_count
+    FROM wallet_collections c
+    WHERE c.wallet = ? AND c.collection_id = ?
+  `,
+    [String(wallet || '').trim(), String(collectionId || '').trim()]
+  );
+  return mapCollectionRow(row);
+}
+
+export async function getWalletCollectionByName(wallet, name) {
+  const row = await dbGet(
+    'SELECT * FROM wallet_collections WHERE wallet = ? AND name = ?',
+    [String(wallet || '').trim(), name]
+  );
+  return mapCollectionRow(row);
+}
+
+export async function insertWalletCollection({ collectionId, wallet, name, createdAt = Date.now() }) {
+  await dbRun(
+    `
+    INSERT INTO wallet_collections (collection_id, wallet, name, created_at, updated_at)
+    VALUES (?, ?, ?, ?, ?)
+  `,
+    [collectionId, wallet, name, createdAt, createdAt]
+  );
+}
+
+export async function renameWalletCollection(wallet, collectionId, name) {
+  const result = await dbRun(
+    `
+    UPDATE wallet_collections
+    SET name = ?, updated_at = ?
+    WHERE wallet = ? AND collection_id = ?
+  `,
+    [name, Date.now(), String(wallet || '').trim(), String(collectionId || '').trim()]
+  );
+  return !!result && result.changes === 1;
+}
+
+// Deleting a collection only drops the membership; the CIDs stay pinned.
+export async function deleteWalletCollection(wallet, collectionId) {
+  const w = String(wallet || '').trim();
+  const id = String(collectionId || '').trim();
+  return runInTransaction(async () => {
+    await dbRun('DELETE FROM wallet_collection_cids WHERE wallet = ? AND collection_id = ?', [w, id]);
+    const result = await dbRun(
+      'DELETE FROM wallet_collections WHERE wallet = ? AND collection_id = ?',
+      [w, id]
+    );
+    return !!result && result.changes === 1;
+  });
+}
+
+// Removes `cids` from `fromId` and adds them to `toId` (either may be null) in one transaction.
+export async function moveWalletCollectionCids(wallet, cids, { fromId = null, toId = null } = {}) {
+  const w = String(wallet || '').trim();
+  const now = Date.now();
+  await runInTransaction(async () => {
+    for (const c of cids) {
+      if (fromId) {
+        await dbRun(
+          'DELETE FROM wallet_collection_cids WHERE wallet = ? AND collection_id = ? AND cid = ?',
+          [w, fromId, c]
+        );
+      }
+      if (toId) {
+        await dbRun(
+          `
+          INSERT INTO wallet_collection_cids (collection_id, wallet, cid, added_at)
+          VALUES (?, ?, ?, ?)
+          ON CONFLICT(collection_id, cid) DO NOTHING
+        `,
+          [toId, w, c, now]
+        );
+      }
+    }
+    if (fromId) {
+      await dbRun('UPDATE wallet_collections SET updated_at = ? WHERE collection_id = ?', [now, fromId]);
+    }
+    if (toId) {
+      await dbRun('UPDATE wallet_collections SET updated_at = ? WHERE collection_id = ?', [now, toId]);
+    }
+  });
+}
+
+export async function updateWalletCidTags(wallet, cid, { add = [], remove = [], replace = false } = {}) {
+  const w = String(wallet || '').trim();
+  const c = String(cid || '').trim();
+  const now = Date.now();
+  await runInTransaction(async () => {
+    if (replace) {
+      await dbRun('DELETE FROM wallet_cid_tags WHERE wallet = ? AND cid = ?', [w, c]);
+    }
+    for (const tag of remove) {
+      await dbRun('DELETE FROM wallet_cid_tags WHERE wallet = ? AND cid = ? AND tag = ?', [w, c, tag]);
+    }
+    for (const tag of add) {
+      await dbRun(
+        `
+        INSERT INTO wallet_cid_tags (wallet, cid, tag, created_at)
+        VALUES (?, ?, ?, ?)
+        ON CONFLICT(wallet, cid, tag) DO NOTHING
+      `,
+        [w, c, tag, now]
+      );
+    }
+  });
+  return getWalletCidTags(w, c);
+}
+
+export async function getWalletCidTags(wallet, cid) {
+  const rows = await dbAll(
+    'SELECT tag FROM wallet_cid_tags WHERE wallet = ? AND cid = ? ORDER BY tag ASC',
+    [String(wallet || '').trim(), String(cid || '').trim()]
+  );
+  return rows.map((r) => r.tag);
+}
+
+export async function clearWalletCidOrganisation(wallet, cid) {
+  const w = String(wallet || '').trim();
+  const c = String(cid || '').trim();
+  await dbRun('DELETE FROM wallet_cid_tags WHERE wallet = ? AND cid = ?', [w, c]);
+  await dbRun('DELETE FROM wallet_collection_cids WHERE wallet = ? AND cid = ?', [w, c]);
+  await dbRun('DELETE FROM wallet_psa_pins WHERE wallet = ? AND cid = ?', [w, c]);
+}
+
+// Tags and collection ids for a page of CIDs: Map cid -> { tags: [], collections: [] }.
+export async function getWalletCidOrganisation(wallet, cids) {
+  const w = String(wallet || '').trim();
+  const out = new Map();
+  const list = Array.from(new Set((cids || []).map((c) => String(c || '').trim()).filter(Boolean)));
+  for (const c of list) out.set(c, { tags: [], collections: [] });
+  if (!w || !list.length) return out;
+
+  const placeholders = list.map(() => '?').join(', ');
+  const tagRows = await dbAll(
+    `
+    SELECT cid, tag FROM wallet_cid_tags
+    WHERE wallet = ? AND cid IN (${placeholders})
+    ORDER BY tag ASC
+  `,
+    [w, ...list]
+  );
+  for (const r of tagRows) out.get(r.cid)?.tags.push(r.tag);
+
+  const memberRows = await dbAll(
+    `
+    SELECT cid, collection_id FROM wallet_collection_cids
+    WHERE wallet = ? AND cid IN (${placeholders})
+    ORDER BY collection_id ASC
+  `,
+    [w, ...list]
+  );
+  for (const r of memberRows) out.get(r.cid)?.collections.push(r.collection_id);
+  return out;
+}
+
+// Pinning Service API requests. A request points at the pin job that fetches its CID; the
+// status is derived from that job, or from the wallet's references once the job is pruned.
+
+function parseJsonColumn(text, fallback) {
+  if (text == null) return fallback;
+  try {
+    return JSON.parse(text) ?? fallback;
+  } catch {
+    return fallback;
+  }
+}
+
+function mapPsaPinRow(row) {
+  if (!row) return null;
+  return {
+    requestId: row.request_id,
+    wallet: row.wallet,
+    cid: row.cid,
+    name: row.name ?? null,
+    origins: parseJsonColumn(row.origins, []),
+    meta: parseJsonColumn(row.meta, {}),
+    jobId: row.job_id ?? null,
+    jobState: row.job_state ?? null,
+    jobError: row.job_error ?? null,
+    hasRef: row.has_ref === 1,
+    createdAt: row.created_at
+  };
+}
+
+const PSA_PIN_SELECT = `
+    SELECT p.*, j.state AS job_state, j.error AS job_error,
+      CASE WHEN EXISTS (SELECT 1 FROM wallet_pins wp WHERE wp.wallet = p.wallet AND wp.cid = p.cid)
+             OR EXISTS (SELECT 1 FROM wallet_roots wr
+                        WHERE wr.wallet = p.wallet AND wr.root_cid = p.cid AND wr.status = 'active')
+           THEN 1 ELSE 0 END AS has_ref
+    FROM wallet_psa_pins p
+    LEFT JOIN wallet_pin_jobs j ON j.job_id = p.job_id
+`;
+
+export async function insertWalletPsaPin({
+  requestId,
+  wallet,
+  cid,
+  name = null,
+  origins = [],
+  meta = {},
+  jobId = null,
+  createdAt = Date.now()
+}) {
+  await dbRun(
+    `
+    INSERT INTO wallet_psa_pins (request_id, wallet, cid, name, origins, meta, job_id, created_at)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+  `,
+    [requestId, wallet, cid, name, JSON.stringify(origins), JSON.stringify(meta), jobId, createdAt]
+  );
+}
+
+export async function getWalletPsaPin(wallet, requestId) {
+  const row = await dbGet(`${PSA_PIN_SELECT} WHERE p.wallet = ? AND p.request_id = ?`, [
+    String(wallet || '').trim(),
+    String(requestId || '').trim()
+  ]);
+  return mapPsaPinRow(row);
+}
+
+export async function listWalletPsaPins(wallet) {
+  const rows = await dbAll(`${PSA_PIN_SELECT} WHERE p.wallet = ? ORDER BY p.created_at DESC`, [
+    String(wallet || '').trim()
+  ]);
+  return rows.map(mapPsaPinRow);
+}
+
+export async function deleteWalletPsaPin(wallet, requestId) {
+  const result = await dbRun('DELETE FROM wallet_psa_pins WHERE wallet = ? AND request_id = ?', [
+    String(wallet || '').trim(),
+    String(requestId || '').trim()
+  ]);
+  return (result?.changes ?? 0) > 0;
+}
+
+export async function countWalletPsaPinsForCid(wallet, cid) {
+  const row = await dbGet('SELECT COUNT(*) AS n FROM wallet_psa_pins WHERE wallet = ? AND cid = ?', [
+    String(wallet || '').trim(),
+    String(cid || '').trim()
+  ]);
+  return row?.n ?? 0;
+}
+
+// The wallet's pins and active roots with their display names; one CID when `cid` is given.
+export async function listWalletCidRefRows(wallet, { cid = null } = {}) {
+  const w = String(wallet || '').trim();
+  if (!w) return [];
+  const c = cid != null ? String(cid).trim() : null;
+  return dbAll(
+    `
+    SELECT t.cid, MIN(t.created_at) AS created_at, m.display_name
+    FROM (
+      SELECT root_cid AS cid, created_at FROM wallet_roots WHERE wallet = ? AND status = 'active'
+      UNION ALL
+      SELECT cid, created_at FROM wallet_pins WHERE wallet = ?
+    ) AS t
+    LEFT JOIN wallet_cid_metadata m
+      ON m.wallet = ? AND m.cid = t.cid
+    WHERE ? IS NULL OR t.cid = ?
+    GROUP BY t.cid
+    ORDER BY created_at DESC, t.cid ASC
+  `,
+    [w, w, w, c, c]
+  );
+}
+
+// Every wallet reference (pins and active roots) with its kind, for the pin-drift reconciler.
+export async function listAllWalletCidRefs() {
+  return dbAll(
+    `
+    SELECT cid, wallet, 'pin' AS kind, created_at FROM wallet_pins
+    UNION ALL
+    SELECT root_cid AS cid, wallet, 'root' AS kind, created_at FROM wallet_roots
+    WHERE status = 'active'
+  `
+  );
+}
+
+// Drift findings per kind (missing_pin, missing_root, orphan). Each pass replaces the set of a
+// kind; first_seen_at survives while the CID keeps showing up.
+export async function syncPinDriftFlags(findingsByKind, seenAt = Date.now()) {
+  await runInTransaction(async () => {
+    for (const [kind, cids] of Object.entries(findingsByKind)) {
+      for (const cid of cids) {
+        await dbRun(
+          `
+          INSERT INTO pin_drift_flags (cid, kind, first_seen_at, last_seen_at)
+          VALUES (?, ?, ?, ?)
+          ON CONFLICT(cid, kind) DO UPDATE SET last_seen_at = excluded.last_seen_at
+        `,
+          [cid, kind, seenAt, seenAt]
+        );
+      }
+      await dbRun('DELETE FROM pin_drift_flags WHERE kind = ? AND last_seen_at < ?', [kind, seenAt]);
+    }
+  });
+}
+
+export async function listPinDriftFlags() {
+  const rows = await dbAll(
+    'SELECT cid, kind, first_seen_at, last_seen_at FROM pin_drift_flags ORDER BY first_seen_at ASC'
+  );
+  return rows.map((r) => ({
+    cid: r.cid,
+    kind: r.kind,
+    firstSeenAt: r.first_seen_at,
+    lastSeenAt: r.last_seen_at
+  }));
+}
+
+// Resumable /ingest/upload sessions. The received bytes live in INGEST_TMP_DIR; the file size
+// is the upload offset, so only the session itself is stored here.
+
+function mapIngestUploadRow(row) {
+  if (!row) return null;
+  return {
+    uploadId: row.upload_id,
+    wallet: row.wallet,
+    planId: row.plan_id ?? null,
+    displayName: row.display_name ?? null,
+    accessTokenId: row.access_token_id ?? null,
+    accessTokenRemaining: row.access_token_remaining ?? null,
+    length: row.length,
+    sha256: row.sha256 ?? null,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at,
+    expiresAt: row.expires_at
+  };
+}
+
+export async function insertIngestUploadSession({
+  uploadId,
+  wallet,
+  planId = null,
+  displayName = null,
+  accessTokenId = null,
+  accessTokenRemaining = null,
+  length,
+  sha256 = null,
+  createdAt = Date.now(),
+  expiresAt
+}) {
+  await dbRun(
+    `
+    INSERT INTO ingest_uploads (
+      upload_id, wallet, plan_id, display_name, access_token_id, access_token_remaining,
+      length, sha256, created_at, updated_at, expires_at
+    )
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+  `,
+    [
+      uploadId,
+      wallet,
+      planId,
+      displayName,
+      accessTokenId,
+      accessTokenRemaining,
+      length,
+      sha256,
+      createdAt,
+      createdAt,
+      expiresAt
+    ]
+  );
+}
+
+export async function getIngestUploadSession(uploadId, nowMs = Date.now()) {
+  const row = await dbGet('SELECT * FROM ingest_uploads WHERE upload_id = ? AND expires_at > ?', [
+    String(uploadId || '').trim(),
+    nowMs
+  ]);
+  return mapIngestUploadRow(row);
+}
+
+export async function touchIngestUploadSession(uploadId, expiresAt, nowMs = Date.now()) {
+  await dbRun('UPDATE ingest_uploads SET updated_at = ?, expires_at = ? WHERE upload_id = ?', [
+    nowMs,
+    expiresAt,
+    String(uploadId || '').trim()
+  ]);
+}
+
+export async function deleteIngestUploadSession(uploadId) {
+  const result = await dbRun('DELETE FROM ingest_uploads WHERE upload_id = ?', [
+    String(uploadId || '').trim()
+  ]);
+  return (result?.changes ?? 0) > 0;
+}
+
+// Removes expired sessions, except those in `skip`, and returns their ids so the caller can
+// delete the files.
+export async function takeExpiredIngestUploadSessions(nowMs = Date.now(), { skip = [] } = {}) {
+  const keep = new Set(skip);
+  return runInTransaction(async () => {
+    const rows = await dbAll('SELECT upload_id FROM ingest_uploads WHERE expires_at <= ?', [nowMs]);
+    const ids = rows.map((r) => r.upload_id).filter((id) => !keep.has(id));
+    for (const id of ids) {
+      // eslint-disable-next-line no-await-in-loop
+      await dbRun('DELETE FROM ingest_uploads WHERE upload_id = ?', [id]);
+    }
+    return ids;
+  });
+}
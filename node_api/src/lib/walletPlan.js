@@ -1,4 +1,9 @@
-import { upsertWalletRecord, getWalletRow, updateWalletPlanFromChain } from './walletDb.js';
+import {
+  upsertWalletRecord,
+  getWalletRow,
+  updateWalletPlanFromChain,
+  getWalletAccountedBytes
+} from './walletDb.js';
 import { fetchWalletPlanFromChain } from './chainClient.js';
 
 export async function ensureWalletPlanOk(wallet, _planId) {
@@ -46,6 +51,14 @@ export async function ensureWalletPlanOk(wallet, _planId) {
     quotaBytesTotal = chainResult.quota_bytes_total;
   }
 
+  // A chain answer without an expiry (typically no contract left for the wallet) is not a
+  // renewal: keep the cached expiry so the plan-expiry reconciler still sees the plan as ended
+  // at that time instead of losing track of the wallet.
+  if (expiresAt == null) {
+    const previous = await getWalletRow(normalizedWallet);
+    if (Number.isFinite(previous?.plan_expires_at)) expiresAt = previous.plan_expires_at;
+  }
+
   // Ensure the wallet row exists and store the authoritative plan id,
   // coming from chain (client-provided planId is ignored for persistence).
   await upsertWalletRecord({ wallet: normalizedWallet, planId: finalPlanId });
@@ -70,6 +83,9 @@ export async function ensureWalletPlanOk(wallet, _planId) {
   }
 
   const row = await getWalletRow(normalizedWallet);
+  const quotaBytesUsed = await getWalletAccountedBytes(normalizedWallet);
+  const quotaBytesRemaining =
+    quotaBytesTotal != null ? Math.max(0, Math.floor(quotaBytesTotal - quotaBytesUsed)) : null;
 
   return {
     ok: true,
@@ -78,8 +94,8 @@ export async function ensureWalletPlanOk(wallet, _planId) {
       id: row?.plan_id || finalPlanId || null,
       expires_at: row?.plan_expires_at || expiresAt || null,
       quota_bytes_total: quotaBytesTotal,
-      quota_bytes_used: null,
-      quota_bytes_remaining: null
+      quota_bytes_used: quotaBytesUsed,
+      quota_bytes_remaining: quotaBytesRemaining
     },
     chain: { ok: true }
   };
@@ -0,0 +1,33 @@
+import { getWalletRow, getWalletSuspension } from './walletDb.js';
+
+// Per-wallet facts consulted on every PQ request (cached plan id for rate limits, operator
+// suspension). Cached briefly; writers call invalidateWalletPolicy so this process sees changes
+// immediately.
+
+const CACHE_TTL_MS = 30 * 1000;
+const MAX_ENTRIES = 50_000;
+
+const cache = new Map(); // wallet -> { policy, expiresAt }
+
+export async function getWalletPolicy(wallet, nowMs = Date.now()) {
+  const w = String(wallet || '').trim();
+  if (!w) return { planId: null, suspension: null };
+
+  const cached = cache.get(w);
+  if (cached && cached.expiresAt > nowMs) return cached.policy;
+
+  const [row, suspension] = await Promise.all([getWalletRow(w), getWalletSuspension(w)]);
+  const policy = { planId: row?.plan_id || null, suspension: suspension || null };
+
+  if (cache.size >= MAX_ENTRIES) {
+    const oldest = cache.keys().next().value;
+    if (oldest !== undefined) cache.delete(oldest);
+  }
+  cache.delete(w);
+  cache.set(w, { policy, expiresAt: nowMs + CACHE_TTL_MS });
+  return policy;
+}
+
+export function invalidateWalletPolicy(wallet) {
+  cache.delete(String(wallet || '').trim());
+}
@@ -0,0 +1,159 @@
+import { kuboRequest } from './kuboClient.js';
+import { ensureWalletPlanOk } from './walletPlan.js';
+import {
+  setCidDagSize,
+  getWalletAccountedBytes,
+  getWalletsForRootCid,
+  hasActiveJobForCid,
+  hasWalletPin,
+  hasWalletRoot
+} from './walletDb.js';
+import { debugLog } from './logger.js';
+
+// Storage quota: a wallet's accounted bytes are the Kubo `dag/stat` sizes of the CIDs it pins
+// or owns as roots (see getWalletAccountedBytes), checked against quota_bytes_total from chain.
+// Wallets without a quota on chain are not limited.
+
+const walletLocks = new Map();
+const cidLocks = new Map();
+
+async function withKeyLock(locks, key, fn) {
+  const prev = locks.get(key) || Promise.resolve();
+  let release;
+  const current = new Promise((resolve) => {
+    release = resolve;
+  });
+  const tail = prev.then(() => current);
+  locks.set(key, tail);
+  await prev;
+  try {
+    return await fn();
+  } finally {
+    release();
+    if (locks.get(key) === tail) locks.delete(key);
+  }
+}
+
+// Serializes the final check + DB write per wallet so two jobs cannot both take the last bytes.
+export async function withWalletQuotaLock(wallet, fn) {
+  return withKeyLock(walletLocks, wallet, fn);
+}
+
+// Serializes, per CID, the step from "Kubo holds our pin" to "a wallet records it or the pin is
+// released", so a refused job cannot release a pin another job is about to record. Locks are
+// taken in sorted order (before any wallet quota lock) so overlapping CID sets cannot deadlock.
+export async function withCidLocks(cids, fn) {
+  const keys = Array.from(new Set(cids.map((c) => String(c || '').trim()).filter(Boolean))).sort();
+  const acquire = (i) =>
+    i >= keys.length ? fn() : withKeyLock(cidLocks, keys[i], () => acquire(i + 1));
+  return acquire(0);
+}
+
+// Whether Kubo holds a recursive pin for `cid`: true / false, or null when Kubo could not tell.
+// Checked before a job pins, so a refused job only releases a pin it created itself.
+export async function isPinnedInKubo(cid) {
+  const c = String(cid || '').trim();
+  if (!c) return null;
+  try {
+    const resp = await kuboRequest(
+      `/api/v0/pin/ls?type=recursive&arg=${encodeURIComponent(c)}`,
+      { timeoutMs: 20_000 }
+    );
+    const text = await resp.text();
+    if (resp.ok) {
+      const keys = JSON.parse(text)?.Keys;
+      return Boolean(keys && typeof keys === 'object' && Object.keys(keys).length > 0);
+    }
+    if (/not pinned/i.test(text)) return false;
+    debugLog('kubo', 'pin/ls failed', { cid: c, status: resp.status, body: text.slice(0, 120) });
+    return null;
+  } catch (err) {
+    debugLog('kubo', 'pin/ls error', { cid: c, error: String(err?.message || err) });
+    return null;
+  }
+}
+
+function parseDagStat(text) {
+  // Older Kubo versions stream one object per line; the last one is the total.
+  const lines = String(text || '').split(/\r?\n/).filter((l) => l.trim());
+  for (let i = lines.length - 1; i >= 0; i -= 1) {
+    try {
+      const obj = JSON.parse(lines[i]);
+      const size = obj.TotalSize ?? obj.DagStats?.[0]?.Size ?? obj.Size;
+      const blocks = obj.UniqueBlocks ?? obj.DagStats?.[0]?.NumBlocks ?? obj.NumBlocks;
+      if (Number.isFinite(size)) {
+        return { sizeBytes: size, blocks: Number.isFinite(blocks) ? blocks : null };
+      }
+    } catch {
+      // keep looking
+    }
+  }
+  return null;
+}
+
+// Measures (and caches) the DAG size of `cid`. With `offline`, Kubo only looks at local blocks,
+// so a DAG that is not fully present yet yields null instead of a network fetch.
+export async function measureDagSize(cid, { offline = false, timeoutMs } = {}) {
+  const c = String(cid || '').trim();
+  if (!c) return null;
+  try {
+    const resp = await kuboRequest(
+      `/api/v0/dag/stat?arg=${encodeURIComponent(c)}&progress=false${offline ? '&offline=true' : ''}`,
+      timeoutMs ? { timeoutMs } : {}
+    );
+    const text = await resp.text();
+    if (!resp.ok) {
+      debugLog('kubo', 'dag/stat failed', { cid: c, status: resp.status, body: text.slice(0, 120) });
+      return null;
+    }
+    const stat = parseDagStat(text);
+    if (!stat) return null;
+    await setCidDagSize(c, stat);
+    return stat.sizeBytes;
+  } catch (err) {
+    debugLog('kubo', 'dag/stat error', { cid: c, error: String(err?.message || err) });
+    return null;
+  }
+}
+
+// { total, used, remaining } from chain + local accounting. Throws like ensureWalletPlanOk.
+export async function getWalletQuota(wallet) {
+  const state = await ensureWalletPlanOk(wallet, null);
+  const total = state?.plan?.quota_bytes_total ?? null;
+  const used = state?.plan?.quota_bytes_used ?? (await getWalletAccountedBytes(wallet));
+  return { total, used, remaining: total != null ? Math.max(0, Math.floor(total - used)) : null };
+}
+
+// Bytes `cids` would add to the wallet: CIDs it already references are charged already.
+// Returns null when a new CID has no known size, so it cannot be admitted unmeasured.
+export async function getAdditionalBytes(wallet, sizesByCid) {
+  let extra = 0;
+  for (const [cid, size] of sizesByCid) {
+    const [byPin, byRoot] = await Promise.all([hasWalletPin(wallet, cid), hasWalletRoot(wallet, cid)]);
+    if (byPin || byRoot) continue;
+    if (!Number.isFinite(size)) return null;
+    extra += size;
+  }
+  return extra;
+}
+
+// Used when a pin or import is refused after it pinned `cid` in Kubo itself (isPinnedInKubo was
+// false beforehand): drop the Kubo pin unless some wallet still references the CID or another
+// pin job for it is still running. `exceptJobId` is the refused job itself. Call it under
+// withCidLocks(cid) so an import cannot record the CID in between.
+export async function releaseUnownedPin(cid, { exceptJobId = null } = {}) {
+  try {
+    const owners = await getWalletsForRootCid(cid);
+    if (Array.isArray(owners) && owners.length > 0) return false;
+    if (await hasActiveJobForCid(cid, { exceptJobId })) return false;
+    const resp = await kuboRequest(`/api/v0/pin/rm?arg=${encodeURIComponent(cid)}`, {
+      timeoutMs: 20_000
+    });
+    await resp.text();
+    return resp.ok;
+  } catch (err) {
+    // eslint-disable-next-line no-console
+    console.error('[quota] failed to release pin', { cid, error: String(err?.message || err) });
+    return false;
+  }
+}
@@ -0,0 +1,76 @@
+import { kuboRequest } from './kuboClient.js';
+import {
+  hasWalletPin,
+  hasWalletRoot,
+  getWalletsForRootCid,
+  removeWalletCidRefsBatch
+} from './walletDb.js';
+
+// Unpin shared by /unpin, /unpin/batch, the Pinning Service API and the plan-expiry reconciler,
+// so every path applies the same ownership rule.
+
+export async function mapWithConcurrency(items, limit, worker) {
+  const results = new Array(items.length);
+  let next = 0;
+  async function run() {
+    while (next < items.length) {
+      const i = next;
+      next += 1;
+      results[i] = await worker(items[i], i);
+    }
+  }
+  await Promise.all(Array.from({ length: Math.min(limit, items.length) }, run));
+  return results;
+}
+
+export async function kuboPinCall(op, cid) {
+  try {
+    const resp = await kuboRequest(`/api/v0/pin/${op}?arg=${encodeURIComponent(cid)}`, {
+      timeoutMs: 20_000
+    });
+    const text = await resp.text();
+    return { ok: resp.ok, details: resp.ok ? null : text.slice(0, 240) };
+  } catch (err) {
+    return { ok: false, details: String(err?.message || err).slice(0, 240) };
+  }
+}
+
+// Ownership rule: Kubo is only touched when no other wallet still holds a pin or an active root
+// for the CID. getWalletsForRootCid already unions both tables, so a wallet holding both a pin
+// and a root for the CID counts once.
+// Returns 'none' (no reference), 'release' (drop this wallet's refs only) or 'unpin'.
+export async function getUnpinAction(wallet, cid) {
+  const [walletHasPin, walletHasRoot, owners] = await Promise.all([
+    hasWalletPin(wallet, cid),
+    hasWalletRoot(wallet, cid),
+    getWalletsForRootCid(cid)
+  ]);
+  if (!walletHasPin && !walletHasRoot) return 'none';
+  const others = (Array.isArray(owners) ? owners : []).filter((w) => w !== wallet);
+  return others.length > 0 ? 'release' : 'unpin';
+}
+
+// Unpins `cids` for `wallet` and returns one { cid, status, error?, details? } per CID with
+// status not_pinned | released | unpinned | failed. A failed Kubo unpin keeps the wallet's
+// references; everything else is removed from the wallet tables in one transaction.
+export async function unpinWalletCids(wallet, cids, { concurrency = 8 } = {}) {
+  const actions = [];
+  for (const cid of cids) {
+    actions.push({ cid, action: await getUnpinAction(wallet, cid) });
+  }
+
+  const results = await mapWithConcurrency(actions, concurrency, async ({ cid, action }) => {
+    if (action === 'none') return { cid, status: 'not_pinned' };
+    if (action === 'release') return { cid, status: 'released' };
+    const r = await kuboPinCall('rm', cid);
+    if (!r.ok) return { cid, status: 'failed', error: 'ipfs_unpin_failed', details: r.details };
+    return { cid, status: 'unpinned' };
+  });
+
+  // not_pinned entries only lose a stale display name, like postUnpin does.
+  await removeWalletCidRefsBatch(
+    wallet,
+    results.filter((r) => r.status !== 'failed').map((r) => r.cid)
+  );
+  return results;
+}
@@ -0,0 +1,54 @@
+import { resolveAccessToken } from '../lib/accessTokens.js';
+import { rejectIfWalletRestricted } from './walletGuard.js';
+
+// walletGuard rejections (suspension, rate limit) in the Pinning Service API shape.
+function psaRestrictionBody(_statusCode, body) {
+  let details = body.error;
+  if (body.error === 'wallet_suspended' && body.reason) {
+    details = `wallet_suspended: ${body.reason}`;
+  } else if (body.error === 'rate_limited') {
+    details = `rate_limited: retry after ${body.retry_after_sec}s`;
+  }
+  return { error: { reason: String(body.error || 'error').toUpperCase(), details } };
+}
+
+// `Authorization: Bearer lmt_...` for clients that cannot speak the PQ envelope (the IPFS
+// Pinning Service API). The access token resolves to req.wallet; it must carry `scope`.
+// Errors use the Pinning Service API shape: { error: { reason, details } }.
+export function authBearerToken(scope) {
+  return async function authBearer(req, res, next) {
+    try {
+      const header = String(req.header('Authorization') || '').trim();
+      const m = /^Bearer\s+(\S+)$/i.exec(header);
+      if (!m) {
+        return res
+          .status(401)
+          .json({ error: { reason: 'UNAUTHORIZED', details: 'bearer access token required' } });
+      }
+
+      const result = await resolveAccessToken(m[1]);
+      if (!result.ok) {
+        return res.status(401).json({ error: { reason: 'UNAUTHORIZED', details: result.error } });
+      }
+      if (!result.token.scopes.includes(scope)) {
+        return res
+          .status(403)
+          .json({ error: { reason: 'FORBIDDEN', details: `token_scope_denied: ${scope}` } });
+      }
+
+      req.wallet = result.token.wallet;
+      req.accessToken = result.token;
+
+      if (await rejectIfWalletRestricted(req, res, { shapeBody: psaRestrictionBody })) {
+        return undefined;
+      }
+      return next();
+    } catch (err) {
+      // eslint-disable-next-line no-console
+      console.error('[authBearer] error', err);
+      return res
+        .status(500)
+        .json({ error: { reason: 'INTERNAL_ERROR', details: 'internal_error' } });
+    }
+  };
+}
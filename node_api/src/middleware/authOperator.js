@@ -0,0 +1,63 @@
+import { CONFIG } from '../config.js';
+import { decryptPqRequest, attachPqContext } from './pqMiddleware.js';
+import { sendPqJson } from '../lib/pqResponse.js';
+import { isInternalAllowlisted } from '../lib/ipAllowlist.js';
+
+function operatorAddress() {
+  const addr = CONFIG.OPERATOR?.address;
+  return typeof addr === 'string' ? addr.trim() : '';
+}
+
+// /admin/* routes: a PQ envelope signed by CONFIG.OPERATOR.address. Every request carries its
+// own wallet signature; sessions and delegated access tokens are refused.
+export async function authOperator(req, res, next) {
+  try {
+    const operator = operatorAddress();
+    if (!operator) {
+      return res
+        .status(503)
+        .json({ error: 'admin_not_configured', message: 'operator_address_missing' });
+    }
+
+    const pqHeader = String(req.header('X-Lumen-PQ') || '').trim().toLowerCase();
+    if (pqHeader !== 'v1') {
+      return res.status(400).json({ error: 'pq_required', message: 'pq_required' });
+    }
+
+    const result = await decryptPqRequest(req);
+    if (!result.ok) {
+      return res
+        .status(result.status ?? 400)
+        .json({ error: result.error ?? 'auth_failed', message: result.message });
+    }
+
+    attachPqContext(req, res, result);
+    req.body = result.payload;
+
+    if (req.wallet !== operator || !req.pqSigAlg) {
+      return sendPqJson(
+        req,
+        res,
+        403,
+        { error: 'admin_forbidden', message: 'operator_signature_required' },
+        'authOperator'
+      );
+    }
+
+    req.isOperator = true;
+    return next();
+  } catch (err) {
+    // eslint-disable-next-line no-console
+    console.error('[authOperator] error', err);
+    return sendPqJson(req, res, 500, { error: 'internal_error' }, 'authOperator');
+  }
+}
+
+// Internal endpoints: allowlisted addresses (loopback unless an allowlist is configured, see
+// ipAllowlist.js) keep plain JSON access, anyone else (or any request that carries a PQ
+// envelope) needs an operator signature.
+export function allowlistOrOperator(req, res, next) {
+  const pqHeader = String(req.header('X-Lumen-PQ') || '').trim();
+  if (!pqHeader && isInternalAllowlisted(req)) return next();
+  return authOperator(req, res, next);
+}
@@ -1,4 +1,6 @@
-import { decryptPqRequest } from './pqMiddleware.js';
+import { decryptPqRequest, attachPqContext } from './pqMiddleware.js';
+import { sendPqJson } from '../lib/pqResponse.js';
+import { rejectIfTokenOutOfScope, rejectIfWalletRestricted } from './walletGuard.js';
 
 export async function authWallet(req, res, next) {
   try {
@@ -20,21 +22,17 @@ export async function authWallet(req, res, next) {
           .json({ error: result.error ?? 'auth_failed', message: result.message });
       }
 
-      req.wallet = result.wallet;
+      attachPqContext(req, res, result);
       req.body = result.payload;
-      if (result.aesKey) {
-        try {
-          req.pqAesKey = Buffer.from(result.aesKey);
-        } catch {
-          req.pqAesKey = null;
-        }
-      }
+
+      if (await rejectIfTokenOutOfScope(req, res)) return;
+      if (await rejectIfWalletRestricted(req, res)) return;
 
       return next();
     }
   } catch (err) {
     // eslint-disable-next-line no-console
     console.error('[authWallet] error', err);
-    res.status(500).json({ error: 'internal_error' });
+    return sendPqJson(req, res, 500, { error: 'internal_error' }, 'authWallet');
   }
 }
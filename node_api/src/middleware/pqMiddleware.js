@@ -1,7 +1,18 @@
 import { ml_kem768 } from '@noble/post-quantum/ml-kem.js';
 import crypto from 'node:crypto';
-import { getKyberContext } from '../lib/kyberContext.js';
-import { verifyWalletCanonicalSignature } from '../lib/authSig.js';
+import { resolveKyberKey } from '../lib/kyberContext.js';
+import {
+  verifyWalletCanonicalSignature,
+  verifyMlDsaSignature,
+  SIGN_MODES,
+  SIG_ALGS
+} from '../lib/authSig.js';
+import { getWalletPqKey } from '../lib/walletDb.js';
+import { recordPqKeyUse } from '../services/pqMetrics.js';
+import { getPqSession, acceptSessionSeq } from '../lib/pqSessions.js';
+import { claimNonce } from '../lib/nonceStore.js';
+import { guardPqResponse } from '../lib/pqResponse.js';
+import { verifyAccessToken } from '../lib/accessTokens.js';
 import { CONFIG } from '../config.js';
 
 const REPLAY_WINDOW_MS = 5 * 60 * 1000; // 5 minutes
@@ -12,8 +23,6 @@ const NONCE_MAX_ENTRIES = (() => {
   return 20_000;
 })();
 
-const nonces = new Map(); // nonce -> ts
-
 function escapeRegex(value) {
   return String(value || '').replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
 }
@@ -24,32 +33,6 @@ function isWalletSyntaxValid(wallet) {
   return re.test(String(wallet || '').trim());
 }
 
-function purgeNonces(nowMs) {
-  // Map preserves insertion order. Since nonces are added in real time and their timestamps are bounded
-  // by the replay window, old entries tend to be clustered at the front.
-  // Purge from the front to avoid O(n) scans on every request.
-  // eslint-disable-next-line no-constant-condition
-  while (true) {
-    const first = nonces.entries().next().value;
-    if (!first) return;
-    const [nonce, ts] = first;
-    if (nowMs - Number(ts || 0) > NONCE_TTL_MS) {
-      nonces.delete(nonce);
-      continue;
-    }
-    return;
-  }
-}
-
-function enforceNonceCap() {
-  if (!Number.isFinite(NONCE_MAX_ENTRIES) || NONCE_MAX_ENTRIES <= 0) return;
-  while (nonces.size > NONCE_MAX_ENTRIES) {
-    const first = nonces.keys().next().value;
-    if (!first) return;
-    nonces.delete(first);
-  }
-}
-
 function decodeBase64(str, fieldName) {
   try {
     const clean = String(str || '').trim();
@@ -77,23 +60,163 @@ function deriveAesKey(sharedSecret) {
   );
 }
 
-export async function decryptPqRequest(req) {
-  let ctx;
+// Hybrid mode: the AES key depends on both the X25519 ECDH secret and the ML-KEM secret, so
+// breaking either primitive alone is not enough. The salt binds both ephemeral/static public
+// values and the KEM ciphertext to the derived key.
+function deriveHybridAesKey({ ecdhSecret, kemSecret, ephPub, gatewayX25519Pub, kemCt }) {
+  const salt = crypto
+    .createHash('sha256')
+    .update(Buffer.from(ephPub))
+    .update(Buffer.from(gatewayX25519Pub))
+    .update(Buffer.from(kemCt))
+    .digest();
+  return crypto.hkdfSync(
+    'sha256',
+    salt,
+    Buffer.concat([Buffer.from(ecdhSecret), Buffer.from(kemSecret)]),
+    Buffer.from('lumen-authwallet-hybrid-v1'),
+    32
+  );
+}
+
+function computeX25519Secret(privateKey, peerPubBytes) {
+  const publicKey = crypto.createPublicKey({
+    key: { kty: 'OKP', crv: 'X25519', x: Buffer.from(peerPubBytes).toString('base64url') },
+    format: 'jwk'
+  });
+  const secret = crypto.diffieHellman({ privateKey, publicKey });
+  // Low-order peer points yield an all-zero secret; never accept those.
+  if (!secret.length || secret.every((b) => b === 0)) throw new Error('x25519_low_order_point');
+  return secret;
+}
+
+// Session requests skip the KEM: the body is { seq, ciphertext, iv, tag } encrypted with the
+// session key, and `${sessionId}|${seq}|${method}|${path}` is authenticated as AAD.
+function decryptSessionRequest(req, sessionId) {
+  const session = getPqSession(sessionId);
+  if (!session) {
+    return {
+      ok: false,
+      status: 401,
+      error: 'pq_session_invalid',
+      message: 'session_unknown_or_expired'
+    };
+  }
+
+  if (!req.body || typeof req.body !== 'object') {
+    return {
+      ok: false,
+      status: 400,
+      error: 'pq_bad_body',
+      message: 'pq_body_required'
+    };
+  }
+
+  const { seq, ciphertext, iv, tag } = req.body;
+  if (
+    !Number.isSafeInteger(seq) ||
+    seq < 0 ||
+    typeof ciphertext !== 'string' ||
+    typeof iv !== 'string' ||
+    typeof tag !== 'string'
+  ) {
+    return {
+      ok: false,
+      status: 400,
+      error: 'pq_bad_body',
+      message: 'pq_body_fields_invalid'
+    };
+  }
+
+  const ctDecoded = decodeBase64(ciphertext, 'ciphertext');
+  if (!ctDecoded.ok) {
+    return { ok: false, status: 400, error: ctDecoded.error, message: ctDecoded.message };
+  }
+  const ivDecoded = decodeBase64(iv, 'iv');
+  if (!ivDecoded.ok) {
+    return { ok: false, status: 400, error: ivDecoded.error, message: ivDecoded.message };
+  }
+  const tagDecoded = decodeBase64(tag, 'tag');
+  if (!tagDecoded.ok) {
+    return { ok: false, status: 400, error: tagDecoded.error, message: tagDecoded.message };
+  }
+
+  let plaintext;
   try {
-    ctx = getKyberContext();
+    const decipher = crypto.createDecipheriv('aes-256-gcm', session.key, ivDecoded.value);
+    decipher.setAAD(Buffer.from(`${session.id}|${seq}|${req.method}|${req.path}`, 'utf8'));
+    decipher.setAuthTag(tagDecoded.value);
+    plaintext = Buffer.concat([decipher.update(ctDecoded.value), decipher.final()]);
   } catch {
     return {
       ok: false,
-      status: 500,
-      error: 'pq_unavailable',
-      message: 'kyber_context_not_initialized'
+      status: 400,
+      error: 'pq_decrypt_failed',
+      message: 'invalid_ciphertext'
     };
   }
 
+  // Only consume the sequence number once the request has authenticated.
+  if (!acceptSessionSeq(session, seq)) {
+    return {
+      ok: false,
+      status: 401,
+      error: 'auth_failed',
+      message: 'seq_replay'
+    };
+  }
+
+  let payload;
+  try {
+    payload = JSON.parse(plaintext.toString('utf8'));
+  } catch {
+    return {
+      ok: false,
+      status: 400,
+      error: 'pq_bad_envelope',
+      message: 'envelope_not_json'
+    };
+  }
+
+  return {
+    ok: true,
+    wallet: session.wallet,
+    payload,
+    aesKey: session.key,
+    sessionId: session.id,
+    nonce: `${session.id}:${seq}`
+  };
+}
+
+// Binds a successful decryptPqRequest result to the request. From here on every response has to
+// be encrypted with req.pqAesKey (sendPqJson / startPqStream); the response guard enforces it.
+export function attachPqContext(req, res, result) {
+  req.wallet = result.wallet;
+  req.pqSessionId = result.sessionId || null;
+  req.pqNonce = result.nonce || null;
+  req.accessToken = result.accessToken || null;
+  req.pqSigAlg = result.sigAlg || null;
+  req.pqAesKey = null;
+  if (result.aesKey) {
+    try {
+      req.pqAesKey = Buffer.from(result.aesKey);
+    } catch {
+      req.pqAesKey = null;
+    }
+  }
+  guardPqResponse(req, res);
+}
+
+export async function decryptPqRequest(req) {
+  const sessionHeader = String(req.header('X-Lumen-Session') || '').trim();
+  if (sessionHeader) {
+    return decryptSessionRequest(req, sessionHeader);
+  }
+
   const kemHeader = String(req.header('X-Lumen-KEM') || '').trim().toLowerCase();
   const keyIdHeader = String(req.header('X-Lumen-KeyId') || req.header('X-Lumen-KeyID') || '').trim();
 
-  if (kemHeader !== 'kyber768') {
+  if (kemHeader !== 'kyber768' && kemHeader !== 'x25519-kyber768') {
     return {
       ok: false,
       status: 400,
@@ -102,15 +225,50 @@ export async function decryptPqRequest(req) {
     };
   }
 
-  if (keyIdHeader && keyIdHeader !== ctx.keyId) {
+  let resolved;
+  try {
+    resolved = resolveKyberKey(keyIdHeader);
+  } catch {
+    return {
+      ok: false,
+      status: 500,
+      error: 'pq_unavailable',
+      message: 'kyber_context_not_initialized'
+    };
+  }
+
+  if (!resolved.ok) {
+    // Unknown key ids are client-controlled; keep them out of metric labels.
+    recordPqKeyUse({
+      keyId: resolved.error === 'pq_key_retired' ? keyIdHeader : 'unknown',
+      result: resolved.error
+    });
     return {
       ok: false,
       status: 400,
-      error: 'pq_key_mismatch',
-      message: 'pq_key_mismatch'
+      error: resolved.error,
+      message: resolved.error
     };
   }
 
+  const hybrid = kemHeader === 'x25519-kyber768';
+  if (hybrid && !resolved.key.x25519) {
+    recordPqKeyUse({ keyId: resolved.key.keyId, result: 'pq_unsupported_kem' });
+    return {
+      ok: false,
+      status: 400,
+      error: 'pq_unsupported_kem',
+      message: 'hybrid_kem_not_configured'
+    };
+  }
+
+  const result = await decryptWithKey(req, resolved.key, { hybrid });
+  recordPqKeyUse({ keyId: resolved.key.keyId, result: result.ok ? 'ok' : result.error });
+  if (result.ok) result.keyId = resolved.key.keyId;
+  return result;
+}
+
+async function decryptWithKey(req, key, { hybrid = false } = {}) {
   if (!req.body || typeof req.body !== 'object') {
     return {
       ok: false,
@@ -120,7 +278,7 @@ export async function decryptPqRequest(req) {
     };
   }
 
-  const { kem_ct, ciphertext, iv, tag } = req.body;
+  const { kem_ct, ciphertext, iv, tag, eph_pub } = req.body;
 
   if (
     typeof kem_ct !== 'string' ||
@@ -153,6 +311,26 @@ export async function decryptPqRequest(req) {
     return { ok: false, status: 400, error: tagDecoded.error, message: tagDecoded.message };
   }
 
+  let ephPubBytes = null;
+  if (hybrid) {
+    if (typeof eph_pub !== 'string') {
+      return {
+        ok: false,
+        status: 400,
+        error: 'pq_bad_body',
+        message: 'pq_body_fields_invalid'
+      };
+    }
+    const ephDecoded = decodeBase64(eph_pub, 'eph_pub');
+    if (!ephDecoded.ok) {
+      return { ok: false, status: 400, error: ephDecoded.error, message: ephDecoded.message };
+    }
+    if (ephDecoded.value.length !== 32) {
+      return { ok: false, status: 400, error: 'pq_invalid_eph_pub', message: 'eph_pub must be 32 bytes' };
+    }
+    ephPubBytes = ephDecoded.value;
+  }
+
   const kemCtBytes = new Uint8Array(kemCtDecoded.value);
   const ctBytes = ctDecoded.value;
   const ivBytes = ivDecoded.value;
@@ -160,7 +338,7 @@ export async function decryptPqRequest(req) {
 
   let sharedSecret;
   try {
-    sharedSecret = ml_kem768.decapsulate(kemCtBytes, ctx.privKeyBytes);
+    sharedSecret = ml_kem768.decapsulate(kemCtBytes, key.privKeyBytes);
   } catch {
     return {
       ok: false,
@@ -170,7 +348,29 @@ export async function decryptPqRequest(req) {
     };
   }
 
-  const aesKey = deriveAesKey(sharedSecret);
+  let aesKey;
+  if (hybrid) {
+    let ecdhSecret;
+    try {
+      ecdhSecret = computeX25519Secret(key.x25519.privateKey, ephPubBytes);
+    } catch {
+      return {
+        ok: false,
+        status: 400,
+        error: 'pq_invalid_eph_pub',
+        message: 'invalid_x25519_public_key'
+      };
+    }
+    aesKey = deriveHybridAesKey({
+      ecdhSecret,
+      kemSecret: sharedSecret,
+      ephPub: ephPubBytes,
+      gatewayX25519Pub: key.x25519.pubKeyBytes,
+      kemCt: kemCtBytes
+    });
+  } else {
+    aesKey = deriveAesKey(sharedSecret);
+  }
 
   let plaintext;
   try {
@@ -251,9 +451,23 @@ export async function decryptPqRequest(req) {
     };
   }
 
-  purgeNonces(now);
-  enforceNonceCap();
-  if (nonces.has(nonce)) {
+  let nonceFresh = false;
+  try {
+    nonceFresh = await claimNonce('pq', nonce, {
+      ttlMs: NONCE_TTL_MS,
+      maxEntries: NONCE_MAX_ENTRIES
+    });
+  } catch (err) {
+    // eslint-disable-next-line no-console
+    console.error('[pq] nonce store error', String(err?.message || err));
+    return {
+      ok: false,
+      status: 503,
+      error: 'pq_unavailable',
+      message: 'nonce_store_unavailable'
+    };
+  }
+  if (!nonceFresh) {
     return {
       ok: false,
       status: 401,
@@ -261,7 +475,40 @@ export async function decryptPqRequest(req) {
       message: 'nonce_replay'
     };
   }
-  nonces.set(nonce, ts);
+
+  // Delegated credential instead of a wallet signature; scopes are enforced by authWallet.
+  const accessTokenRaw = typeof envelope.access_token === 'string' ? envelope.access_token.trim() : '';
+  if (accessTokenRaw) {
+    let verified;
+    try {
+      verified = await verifyAccessToken(accessTokenRaw, { wallet, nowMs: now });
+    } catch (err) {
+      // eslint-disable-next-line no-console
+      console.error('[pq] access token lookup error', String(err?.message || err));
+      return {
+        ok: false,
+        status: 503,
+        error: 'auth_unavailable',
+        message: 'token_store_unavailable'
+      };
+    }
+    if (!verified.ok) {
+      return {
+        ok: false,
+        status: 401,
+        error: 'auth_failed',
+        message: verified.error
+      };
+    }
+    return {
+      ok: true,
+      wallet,
+      payload,
+      aesKey,
+      nonce,
+      accessToken: verified.token
+    };
+  }
 
   if (!signature) {
     return {
@@ -282,6 +529,68 @@ export async function decryptPqRequest(req) {
     payloadHashHex = '';
   }
 
+  const sigAlg = String(envelope.sig_alg || 'secp256k1').trim().toLowerCase();
+  if (!SIG_ALGS.includes(sigAlg)) {
+    return {
+      ok: false,
+      status: 400,
+      error: 'auth_failed',
+      message: 'sig_alg_invalid'
+    };
+  }
+
+  const signMode = String(envelope.sign_mode || 'raw').trim().toLowerCase();
+  if (!SIGN_MODES.includes(signMode) || (sigAlg !== 'secp256k1' && signMode !== 'raw')) {
+    return {
+      ok: false,
+      status: 400,
+      error: 'auth_failed',
+      message: 'sign_mode_invalid'
+    };
+  }
+
+  const canonicalPayload = `${req.method}|${req.path}|${nonce}|${tsRaw}|${payloadHashHex}`;
+
+  if (sigAlg === 'ml-dsa-65') {
+    let registered;
+    try {
+      registered = await getWalletPqKey(wallet);
+    } catch (err) {
+      // eslint-disable-next-line no-console
+      console.error('[pq] wallet pq key lookup error', String(err?.message || err));
+      return {
+        ok: false,
+        status: 503,
+        error: 'auth_unavailable',
+        message: 'pq_key_store_unavailable'
+      };
+    }
+    if (!registered || registered.alg !== sigAlg) {
+      return {
+        ok: false,
+        status: 401,
+        error: 'auth_failed',
+        message: 'pq_key_not_registered'
+      };
+    }
+    if (!verifyMlDsaSignature(canonicalPayload, signature, registered.pubkey)) {
+      return {
+        ok: false,
+        status: 401,
+        error: 'auth_failed',
+        message: 'invalid_signature'
+      };
+    }
+    return {
+      ok: true,
+      wallet,
+      payload,
+      aesKey,
+      nonce,
+      sigAlg
+    };
+  }
+
   const pubkey = String(envelope.pubkey || envelope.pubKey || '').trim();
   if (!pubkey) {
     return {
@@ -292,8 +601,9 @@ export async function decryptPqRequest(req) {
     };
   }
 
-  const canonicalPayload = `${req.method}|${req.path}|${nonce}|${tsRaw}|${payloadHashHex}`;
-  const sigOk = await verifyWalletCanonicalSignature(wallet, canonicalPayload, signature, pubkey);
+  const sigOk = await verifyWalletCanonicalSignature(wallet, canonicalPayload, signature, pubkey, {
+    signMode
+  });
   if (!sigOk) {
     return {
       ok: false,
@@ -307,6 +617,8 @@ export async function decryptPqRequest(req) {
     ok: true,
     wallet,
     payload,
-    aesKey
+    aesKey,
+    nonce,
+    sigAlg
   };
 }
@@ -0,0 +1,17 @@
+import { consumeRateLimit, hasExplicitIpLimit } from '../lib/rateLimiter.js';
+
+export function rateLimitedBody(scope, retryAfterSec) {
+  return { error: 'rate_limited', message: 'rate_limited', scope, retry_after_sec: retryAfterSec };
+}
+
+// Runs before any PQ decryption: plaintext 429, keyed by client IP.
+export function rateLimitByIp(req, res, next) {
+  const isPq = String(req.header('X-Lumen-PQ') || '').trim() !== '';
+  if (!isPq && !hasExplicitIpLimit(req.path)) return next();
+
+  const result = consumeRateLimit('ip', req.ip || req.socket?.remoteAddress || '', req.path);
+  if (result.ok) return next();
+
+  res.set('Retry-After', String(result.retryAfterSec));
+  return res.status(429).json(rateLimitedBody('ip', result.retryAfterSec));
+}
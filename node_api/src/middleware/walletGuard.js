@@ -0,0 +1,61 @@
+import { consumeRateLimit } from '../lib/rateLimiter.js';
+import { getWalletPolicy } from '../lib/walletPolicy.js';
+import { sendPqJson } from '../lib/pqResponse.js';
+import { scopeForPath } from '../lib/accessTokens.js';
+import { rateLimitedBody } from './rateLimit.js';
+
+// Called right after attachPqContext on every wallet-authenticated PQ route: a request made with
+// a delegated access token only reaches routes one of the token's scopes covers (see
+// ACCESS_TOKEN_SCOPES); routes outside every scope need a wallet signature. Returns true when
+// the (encrypted) 403 has been sent.
+export async function rejectIfTokenOutOfScope(req, res) {
+  if (!req.accessToken) return false;
+  const scope = scopeForPath(req.path);
+  if (scope && req.accessToken.scopes.includes(scope)) return false;
+  await sendPqJson(
+    req,
+    res,
+    403,
+    { error: 'token_scope_denied', message: 'token_scope_denied', scope },
+    'walletGuard'
+  );
+  return true;
+}
+
+// Called after rejectIfTokenOutOfScope on every wallet-authenticated PQ route: operator
+// suspension first, then the per-wallet rate limit. Returns true when an (encrypted) rejection
+// has been sent. `shapeBody(status, body)` lets routes with their own error format (the
+// Pinning Service API) rewrite the rejection body.
+export async function rejectIfWalletRestricted(req, res, { shapeBody = null } = {}) {
+  const wallet = String(req.wallet || '').trim();
+  if (!wallet) return false;
+  const reject = (statusCode, body) =>
+    sendPqJson(req, res, statusCode, shapeBody ? shapeBody(statusCode, body) : body, 'walletGuard');
+
+  let policy;
+  try {
+    policy = await getWalletPolicy(wallet);
+  } catch (err) {
+    // eslint-disable-next-line no-console
+    console.error('[walletGuard] wallet policy lookup failed', String(err?.message || err));
+    await reject(503, { error: 'wallet_policy_unavailable' });
+    return true;
+  }
+
+  if (policy.suspension) {
+    await reject(403, {
+      error: 'wallet_suspended',
+      message: 'wallet_suspended',
+      reason: policy.suspension.reason,
+      suspended_at: policy.suspension.suspendedAt
+    });
+    return true;
+  }
+
+  const result = consumeRateLimit('wallet', wallet, req.path, { planId: policy.planId });
+  if (result.ok) return false;
+
+  res.set('Retry-After', String(result.retryAfterSec));
+  await reject(429, rateLimitedBody('wallet', result.retryAfterSec));
+  return true;
+}
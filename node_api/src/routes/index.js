@@ -1,19 +1,79 @@
 import express from 'express';
 import { getHealth, getStatus } from '../controllers/statusController.js';
 import { getPricing } from '../controllers/pricingController.js';
-import { postPin, postUnpin } from '../controllers/pinController.js';
+import {
+  postPin,
+  postUnpin,
+  postPinBatch,
+  postUnpinBatch,
+  postPinStatus,
+  postPinPending
+} from '../controllers/pinController.js';
 import { getIsPinned } from '../controllers/ispinnedController.js';
-import { getIngestReady, postIngestInit, postIngestCar } from '../controllers/ingestController.js';
+import {
+  getIngestReady,
+  postIngestInit,
+  postIngestCar,
+  postIngestAdd,
+  postIngestStatus,
+  postIngestUpload,
+  getIngestUpload,
+  patchIngestUpload,
+  postIngestUploadFinalize,
+  deleteIngestUpload
+} from '../controllers/ingestController.js';
 import { postSearchPq } from '../controllers/searchController.js';
 import { postPqView } from '../controllers/viewController.js';
-import { getMetrics } from '../controllers/adminController.js';
+import { getMetrics, postAdminMetrics } from '../controllers/adminController.js';
 import { getWalletUsage } from '../controllers/walletUsageController.js';
 import { getWalletPinnedCids } from '../controllers/walletCidsController.js';
-import { postWalletCidRename } from '../controllers/walletMetadataController.js';
+import {
+  postWalletCidRename,
+  postWalletCidTags
+} from '../controllers/walletMetadataController.js';
+import {
+  postWalletCollections,
+  postWalletCollectionCreate,
+  postWalletCollectionRename,
+  postWalletCollectionDelete,
+  postWalletCollectionMove
+} from '../controllers/walletCollectionsController.js';
+import {
+  getPsaPins,
+  postPsaPin,
+  getPsaPin,
+  postPsaPinReplace,
+  deletePsaPin
+} from '../controllers/psaController.js';
+import {
+  postWalletTokenCreate,
+  postWalletTokenList,
+  postWalletTokenRevoke
+} from '../controllers/accessTokenController.js';
+import {
+  postWalletPqKeyRegister,
+  postWalletPqKeyRemove
+} from '../controllers/walletPqKeyController.js';
 import { authWallet } from '../middleware/authWallet.js';
+import { authBearerToken } from '../middleware/authBearer.js';
+import { authOperator, allowlistOrOperator } from '../middleware/authOperator.js';
+import {
+  postAdminWallets,
+  postAdminWalletRoots,
+  postAdminUnpin,
+  postAdminWalletSuspend,
+  postAdminIndexerReprocess,
+  postAdminPlanExpiryReport,
+  postAdminPinDriftReport,
+  postAdminPinDriftRepair
+} from '../controllers/operatorController.js';
 import { postPqIpfs, postPqIpns } from '../controllers/ipfsProxyController.js';
 import { postRootsDomains } from '../controllers/internalCidController.js';
-import { getKyberPublicKey } from '../controllers/pqController.js';
+import {
+  getKyberPublicKey,
+  postPqSession,
+  postPqSessionRevoke
+} from '../controllers/pqController.js';
 import { getIpfsSeed } from '../controllers/ipfsSeedController.js';
 
 export function buildRouter() {
@@ -31,22 +91,66 @@ export function buildRouter() {
   router.post('/pq/view', express.json(), postPqView);
   router.post('/pq/search', express.json(), postSearchPq);
   router.get('/pq/pub', getKyberPublicKey);
+  router.post('/pq/session', authWallet, postPqSession);
+  router.post('/pq/session/revoke', authWallet, postPqSessionRevoke);
 
   router.post('/pin', authWallet, postPin);
   router.post('/unpin', authWallet, postUnpin);
+  router.post('/pin/status', authWallet, postPinStatus);
+  router.post('/pin/pending', authWallet, postPinPending);
+  router.post('/pin/batch', authWallet, postPinBatch);
+  router.post('/unpin/batch', authWallet, postUnpinBatch);
   router.post('/ingest/init', authWallet, postIngestInit);
   router.post('/ingest/ready', authWallet, getIngestReady);
+  router.post('/ingest/status', authWallet, postIngestStatus);
   router.post('/ingest/car', postIngestCar);
+  router.post('/ingest/add', postIngestAdd);
+  // Resumable alternative to /ingest/car, addressed by the upload_id it hands out.
+  router.post('/ingest/upload', postIngestUpload);
+  router.get('/ingest/upload/:id', getIngestUpload);
+  router.patch('/ingest/upload/:id', patchIngestUpload);
+  router.post('/ingest/upload/:id/finalize', postIngestUploadFinalize);
+  router.delete('/ingest/upload/:id', deleteIngestUpload);
 
   router.get('/ispinned', authWallet, getIsPinned);
   router.post('/ispinned', authWallet, getIsPinned);
   router.post('/wallet/usage', authWallet, getWalletUsage);
   router.post('/wallet/cids', authWallet, getWalletPinnedCids);
   router.post('/wallet/cid/rename', authWallet, postWalletCidRename);
+  router.post('/wallet/cid/tags', authWallet, postWalletCidTags);
+  router.post('/wallet/collections', authWallet, postWalletCollections);
+  router.post('/wallet/collections/create', authWallet, postWalletCollectionCreate);
+  router.post('/wallet/collections/rename', authWallet, postWalletCollectionRename);
+  router.post('/wallet/collections/delete', authWallet, postWalletCollectionDelete);
+  router.post('/wallet/collections/move', authWallet, postWalletCollectionMove);
+  router.post('/wallet/tokens', authWallet, postWalletTokenCreate);
+  router.post('/wallet/tokens/list', authWallet, postWalletTokenList);
+  router.post('/wallet/tokens/revoke', authWallet, postWalletTokenRevoke);
+  router.post('/wallet/pq-key', authWallet, postWalletPqKeyRegister);
+  router.post('/wallet/pq-key/remove', authWallet, postWalletPqKeyRemove);
+
+  // IPFS Pinning Service API (plain JSON, `Authorization: Bearer <access token>` with scope psa)
+  const authPsa = authBearerToken('psa');
+  router.get('/psa/pins', authPsa, getPsaPins);
+  router.post('/psa/pins', authPsa, postPsaPin);
+  router.get('/psa/pins/:requestid', authPsa, getPsaPin);
+  router.post('/psa/pins/:requestid', authPsa, postPsaPinReplace);
+  router.delete('/psa/pins/:requestid', authPsa, deletePsaPin);
 
   // Admin / internal
   router.get('/metrics', getMetrics);
-  router.post('/admin/_internal/roots/domains', express.json(), postRootsDomains);
+  router.post('/admin/_internal/roots/domains', express.json(), allowlistOrOperator, postRootsDomains);
+
+  // Operator admin API (PQ envelope signed by CONFIG.OPERATOR.address)
+  router.post('/admin/metrics', authOperator, postAdminMetrics);
+  router.post('/admin/wallets', authOperator, postAdminWallets);
+  router.post('/admin/wallet/roots', authOperator, postAdminWalletRoots);
+  router.post('/admin/wallet/suspend', authOperator, postAdminWalletSuspend);
+  router.post('/admin/unpin', authOperator, postAdminUnpin);
+  router.post('/admin/indexer/reprocess', authOperator, postAdminIndexerReprocess);
+  router.post('/admin/plan-expiry/report', authOperator, postAdminPlanExpiryReport);
+  router.post('/admin/pin-drift/report', authOperator, postAdminPinDriftReport);
+  router.post('/admin/pin-drift/repair', authOperator, postAdminPinDriftRepair);
 
   return router;
 }
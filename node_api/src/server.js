@@ -5,10 +5,27 @@ import { CONFIG } from './config.js';
 import { buildRouter } from './routes/index.js';
 import { initSearchModels } from './search/modelLifecycle.js';
 import { httpMetricsMiddleware } from './middleware/httpMetrics.js';
-import { initKyberContext } from './lib/kyberContext.js';
+import { rateLimitByIp } from './middleware/rateLimit.js';
+import { initKyberContext, getKyberKeyring } from './lib/kyberContext.js';
+import { initRegistrationCheck } from './lib/gatewayRegistration.js';
+import { initResponseSigner } from './lib/responseSigner.js';
+import { initPinJobs } from './services/pinJobs.js';
+import { initIngestJobs } from './services/ingestQueue.js';
+import { initPlanExpiryReconciler } from './services/planExpiry.js';
+import { initPinDriftReconciler } from './services/pinDrift.js';
+import { initIngestUploadSweeper } from './controllers/ingestController.js';
 import { debugLog, getDebugSpec } from './lib/logger.js';
 
 const app = express();
+// Behind a reverse proxy, set TRUST_PROXY (e.g. "1" or "loopback") so req.ip is the client address.
+const TRUST_PROXY = String(process.env.TRUST_PROXY || '').trim();
+if (TRUST_PROXY) {
+  const lowered = TRUST_PROXY.toLowerCase();
+  let value = TRUST_PROXY;
+  if (/^\d+$/.test(TRUST_PROXY)) value = Number(TRUST_PROXY);
+  else if (lowered === 'true' || lowered === 'false') value = lowered === 'true';
+  app.set('trust proxy', value);
+}
 app.use(express.json({ limit: '1mb' }));
 
 // HTTP metrics (latency, status, path)
@@ -30,12 +47,15 @@ app.use((req, _res, next) => {
 // Basic CORS
 app.use((req, res, next) => {
   res.header('Access-Control-Allow-Origin', '*');
-  res.header('Access-Control-Allow-Methods', 'GET,POST,OPTIONS');
-  res.header('Access-Control-Allow-Headers', 'Content-Type, X-Lumen-Addr, X-Lumen-Sig, X-Lumen-Nonce, X-Lumen-Ts, X-Lumen-PubKey, X-Lumen-PQ, X-Lumen-KEM, X-Lumen-KeyId');
+  res.header('Access-Control-Allow-Methods', 'GET,HEAD,POST,PATCH,DELETE,OPTIONS');
+  res.header('Access-Control-Allow-Headers', 'Content-Type, Authorization, X-Lumen-Addr, X-Lumen-Sig, X-Lumen-Nonce, X-Lumen-Ts, X-Lumen-PubKey, X-Lumen-PQ, X-Lumen-KEM, X-Lumen-KeyId, X-Lumen-Session, X-Lumen-Sign-Response, Range, Upload-Offset, Upload-Length');
+  res.header('Access-Control-Expose-Headers', 'Content-Range, Content-Length, Accept-Ranges, X-Lumen-Gateway-Sig, X-Lumen-Gateway-Sig-Alg, X-Lumen-Gateway-Sig-KeyId, Retry-After, Location, Upload-Offset, Upload-Length, Upload-Expires');
   if (req.method === 'OPTIONS') return res.status(204).end();
   next();
 });
 
+app.use(rateLimitByIp);
+
 app.use('/', buildRouter());
 
 // Initialise Kyber context and search models once at startup.
@@ -72,6 +92,46 @@ await (async () => {
     console.error('[kyber:init] failed', err);
     process.exit(1);
   }
+  try {
+    await initRegistrationCheck({
+      operator: CONFIG.OPERATOR?.address,
+      keyring: getKyberKeyring()
+    });
+  } catch (err) {
+    // eslint-disable-next-line no-console
+    console.error('[kyber:chain-check] failed', err);
+  }
+  try {
+    const signer = await initResponseSigner();
+    debugLog('init', 'response signer', signer ? { alg: signer.alg, keyId: signer.keyId } : null);
+  } catch (err) {
+    // eslint-disable-next-line no-console
+    console.error('[signer:init] failed', err);
+    process.exit(1);
+  }
+  try {
+    const resumed = await initPinJobs();
+    if (resumed) {
+      // eslint-disable-next-line no-console
+      console.log(`[pinJobs] resumed ${resumed} unfinished pin job(s)`);
+    }
+  } catch (err) {
+    // eslint-disable-next-line no-console
+    console.error('[pinJobs:init] failed', err);
+  }
+  try {
+    const resumed = await initIngestJobs();
+    if (resumed) {
+      // eslint-disable-next-line no-console
+      console.log(`[ingestQueue] resumed ${resumed} unfinished ingest job(s)`);
+    }
+  } catch (err) {
+    // eslint-disable-next-line no-console
+    console.error('[ingestQueue:init] failed', err);
+  }
+  if (initPlanExpiryReconciler()) debugLog('init', 'plan expiry reconciler started');
+  if (initPinDriftReconciler()) debugLog('init', 'pin drift reconciler started');
+  if (initIngestUploadSweeper()) debugLog('init', 'ingest upload sweeper started');
   try {
     await initSearchModels();
   } catch (err) {
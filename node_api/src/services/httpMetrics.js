@@ -23,6 +23,12 @@ function normalizePath(path) {
   if (base === '/ipns') {
     return '/ipns';
   }
+  if (base.startsWith('/ingest/upload/')) {
+    return base.endsWith('/finalize') ? '/ingest/upload/:id/finalize' : '/ingest/upload/:id';
+  }
+  if (base.startsWith('/psa/pins/')) {
+    return '/psa/pins/:requestid';
+  }
 
   return base;
 }
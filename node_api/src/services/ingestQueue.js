@@ -1,6 +1,56 @@
-let queue = [];
+import crypto from 'node:crypto';
+import fs from 'node:fs';
+import { CID, varint } from 'multiformats';
+import { kuboRequest } from '../lib/kuboClient.js';
+import { recordIngest } from '../lib/walletRegistry.js';
+import { sendWebhookEvent } from '../lib/webhook.js';
+import {
+  getWalletQuota,
+  measureDagSize,
+  getAdditionalBytes,
+  withWalletQuotaLock,
+  withCidLocks,
+  isPinnedInKubo,
+  releaseUnownedPin
+} from '../lib/walletQuota.js';
+import {
+  addOrUpdateWalletRoots,
+  setWalletCidDisplayName,
+  insertWalletIngestJob,
+  updateWalletIngestJob,
+  listUnfinishedIngestJobs,
+  pruneFinishedIngestJobs
+} from '../lib/walletDb.js';
+import { CONFIG } from '../config.js';
+import { debugLog, formatError } from '../lib/logger.js';
+
+// Background ingest worker. Each job imports one spooled upload into Kubo (a CAR with
+// `dag/import`, raw files and directories with `add`) and records its roots for the wallet.
+// Jobs live in wallet_ingest_jobs so a restart picks up whatever was queued, importing or
+// waiting for a retry; the spooled file is removed once a job is finished. Jobs run one at a
+// time after a random delay, which breaks trivial timing correlation between the PQ control
+// plane and the upload.
+
+const MAX_ATTEMPTS = (() => {
+  const n = Number(process.env.INGEST_JOB_MAX_ATTEMPTS);
+  if (Number.isFinite(n) && n >= 1) return Math.min(20, Math.floor(n));
+  return 5;
+})();
+
+const RETRY_BASE_MS = 30 * 1000;
+const RETRY_MAX_MS = 30 * 60 * 1000;
+const RETENTION_MS = 7 * 24 * 60 * 60 * 1000;
+
+const queue = [];
+const scheduledIds = new Set();
 let running = false;
-let nextId = 1;
+
+class IngestJobError extends Error {
+  constructor(message, { retry = true } = {}) {
+    super(message);
+    this.retry = retry;
+  }
+}
 
 function sleep(ms) {
   return new Promise((resolve) => setTimeout(resolve, ms));
@@ -12,39 +62,540 @@ function randomDelayMs() {
   return min + Math.floor(Math.random() * (max - min + 1));
 }
 
-export function enqueueIngestJob(fn, meta = {}) {
-  const jobId = `ingest-${Date.now()}-${nextId++}`;
-  queue.push({ id: jobId, fn, meta: { ...meta } });
-  if (!running) {
-    running = true;
-    void worker();
-  }
+// 30s, 1m, 2m, ... capped at 30 minutes.
+function retryDelayMs(attempts) {
+  return Math.min(RETRY_MAX_MS, RETRY_BASE_MS * 2 ** Math.max(0, attempts - 1));
+}
+
+export async function enqueueIngestJob({
+  wallet,
+  planId = null,
+  displayName = null,
+  kind = 'car',
+  options = null,
+  tmpFile,
+  bytes = 0,
+  contentType = 'application/car'
+}) {
+  const jobId = `ingest-${crypto.randomBytes(12).toString('hex')}`;
+  const createdAt = Date.now();
+  await insertWalletIngestJob({
+    jobId,
+    wallet,
+    planId,
+    displayName,
+    kind,
+    options,
+    tmpFile,
+    contentType,
+    bytes,
+    nextAttemptAt: createdAt,
+    createdAt
+  });
+  schedule({
+    jobId,
+    wallet,
+    planId,
+    displayName,
+    kind,
+    options,
+    tmpFile,
+    contentType,
+    bytes,
+    attempts: 0
+  });
   return jobId;
 }
 
+function schedule(job, dueAt = 0) {
+  if (scheduledIds.has(job.jobId)) return;
+  scheduledIds.add(job.jobId);
+  const wait = dueAt - Date.now();
+  if (wait > 0) {
+    const timer = setTimeout(() => {
+      queue.push(job);
+      startWorker();
+    }, wait);
+    timer.unref?.();
+    return;
+  }
+  queue.push(job);
+  startWorker();
+}
+
+function startWorker() {
+  if (running) return;
+  running = true;
+  void worker();
+}
+
 async function worker() {
   while (queue.length > 0) {
     const job = queue.shift();
-    const delay = randomDelayMs();
+    // A retry re-schedules the job from inside runJob.
+    scheduledIds.delete(job.jobId);
+    await sleep(randomDelayMs());
     try {
-      await sleep(delay);
-      await job.fn();
-      try {
-        // eslint-disable-next-line no-console
-        console.log('[ingestQueue] job completed', {
-          jobId: job.id,
-          bytes: job.meta.bytes ?? null
-        });
-      } catch {}
+      await runJob(job);
     } catch (err) {
+      // eslint-disable-next-line no-console
+      console.error('[ingestQueue] job bookkeeping failed', {
+        jobId: job.jobId,
+        error: err && err.message ? String(err.message) : 'unknown_error'
+      });
+    }
+  }
+  running = false;
+}
+
+// Wraps a spooled file as the single `file` part Kubo's import endpoints expect.
+function multipartFile(tmpFile, { filename, contentType }) {
+  const boundary = `----lumenFormBoundary${Math.random()
+    .toString(16)
+    .slice(2)}`;
+  const pre = Buffer.from(
+    `--${boundary}\r\n` +
+      'Content-Disposition: form-data; name="file"; ' +
+      `filename="${encodeURIComponent(filename)}"\r\n` +
+      `Content-Type: ${contentType}\r\n\r\n`,
+    'utf8'
+  );
+  const post = Buffer.from(`\r\n--${boundary}--\r\n`, 'utf8');
+
+  async function* stream() {
+    yield pre;
+    for await (const buf of fs.createReadStream(tmpFile)) {
+      yield buf;
+    }
+    yield post;
+  }
+
+  return { contentType: `multipart/form-data; boundary=${boundary}`, body: stream() };
+}
+
+// Posts the request body to Kubo and returns its NDJSON lines. A 4xx means Kubo rejected the
+// upload itself, so only other failures are retried.
+async function kuboImportCall(jobId, apiPath, { contentType, body }) {
+  let text;
+  try {
+    const resp = await kuboRequest(apiPath, {
+      method: 'POST',
+      headers: { 'Content-Type': contentType },
+      // @ts-ignore duplex is still experimental in Node
+      duplex: 'half',
+      body,
+      timeoutMs: CONFIG.KUBO_IMPORT_TIMEOUT_MS
+    });
+    text = await resp.text();
+    if (!resp.ok) {
+      // eslint-disable-next-line no-console
+      console.error('[ingestQueue] kubo import failed', {
+        jobId,
+        path: apiPath.split('?')[0],
+        status: resp.status,
+        body: String(text || '').slice(0, 240)
+      });
+      throw new IngestJobError(`kubo_import_failed: HTTP ${resp.status}`, {
+        retry: resp.status >= 500
+      });
+    }
+  } catch (err) {
+    if (err instanceof IngestJobError) throw err;
+    throw new IngestJobError(`kubo_import_failed: ${String(err?.message || err).slice(0, 200)}`);
+  }
+
+  const lines = [];
+  for (const line of String(text).split(/\r?\n/)) {
+    try {
+      lines.push(JSON.parse(line));
+    } catch {}
+  }
+  return { text, lines };
+}
+
+async function kuboDagImport({ jobId, tmpFile, contentType }) {
+  const { lines } = await kuboImportCall(
+    jobId,
+    '/api/v0/dag/import?pin-roots=true',
+    multipartFile(tmpFile, {
+      filename: 'upload.car',
+      contentType: contentType || 'application/car'
+    })
+  );
+  const roots = [];
+  for (const obj of lines) {
+    const c = obj?.Root?.Cid?.['/'] || obj?.Root?.['/'];
+    if (typeof c === 'string' && c) roots.push(c);
+  }
+  return roots;
+}
+
+// UnixFS import. A multipart body is forwarded as spooled (a directory, always wrapped so it
+// has one root); a raw body is sent as one file. `quieter` leaves only the root in the output.
+// Nothing is pinned here: the root is only known from the output, and importJob pins it once it
+// has checked whether Kubo held it already.
+async function kuboAdd({ jobId, tmpFile, contentType, options }) {
+  const opts = options || {};
+  const params = new URLSearchParams({ pin: 'false', quieter: 'true', progress: 'false' });
+  if (opts.chunker) params.set('chunker', opts.chunker);
+  if (opts.cidVersion != null) params.set('cid-version', String(opts.cidVersion));
+  if (opts.rawLeaves != null) params.set('raw-leaves', String(opts.rawLeaves));
+  if (opts.wrap) params.set('wrap-with-directory', 'true');
+
+  const multipart = /^multipart\/form-data/i.test(String(contentType || ''));
+  const request = multipart
+    ? {
+        contentType,
+        body: (async function* spooled() {
+          for await (const buf of fs.createReadStream(tmpFile)) yield buf;
+        })()
+      }
+    : multipartFile(tmpFile, {
+        filename: opts.filename || 'file',
+        contentType: 'application/octet-stream'
+      });
+
+  const { lines } = await kuboImportCall(jobId, `/api/v0/add?${params.toString()}`, request);
+  const last = lines.filter((obj) => typeof obj?.Hash === 'string' && obj.Hash).pop();
+  return last ? [last.Hash] : [];
+}
+
+// Pins the roots of an unpinned `add`; their blocks are all local, so this does not fetch.
+async function kuboPinRoots(jobId, roots) {
+  for (const root of roots) {
+    let resp;
+    let text = '';
+    try {
+      // eslint-disable-next-line no-await-in-loop
+      resp = await kuboRequest(`/api/v0/pin/add?arg=${encodeURIComponent(root)}`, {
+        timeoutMs: CONFIG.KUBO_IMPORT_TIMEOUT_MS
+      });
+      // eslint-disable-next-line no-await-in-loop
+      text = await resp.text();
+    } catch (err) {
+      throw new IngestJobError(`kubo_pin_failed: ${String(err?.message || err).slice(0, 200)}`);
+    }
+    if (!resp.ok) {
+      // eslint-disable-next-line no-console
+      console.error('[ingestQueue] kubo pin failed', {
+        jobId,
+        root,
+        status: resp.status,
+        body: String(text || '').slice(0, 240)
+      });
+      throw new IngestJobError(`kubo_pin_failed: HTTP ${resp.status}`);
+    }
+  }
+}
+
+// Minimal CBOR reader for the CAR header ({ roots: [CID], version }); CIDs are tag 42 over
+// their bytes with a leading 0x00.
+function decodeCbor(buf, start) {
+  let pos = start;
+  const ib = buf[pos];
+  pos += 1;
+  const major = ib >> 5;
+  const info = ib & 31;
+  let arg = info;
+  if (info === 24) {
+    arg = buf.readUInt8(pos);
+    pos += 1;
+  } else if (info === 25) {
+    arg = buf.readUInt16BE(pos);
+    pos += 2;
+  } else if (info === 26) {
+    arg = buf.readUInt32BE(pos);
+    pos += 4;
+  } else if (info === 27) {
+    arg = Number(buf.readBigUInt64BE(pos));
+    pos += 8;
+  } else if (info > 27) {
+    throw new Error('cbor_unsupported');
+  }
+
+  if (major === 0) return [arg, pos];
+  if (major === 1) return [-1 - arg, pos];
+  if (major === 2) return [buf.subarray(pos, pos + arg), pos + arg];
+  if (major === 3) return [buf.toString('utf8', pos, pos + arg), pos + arg];
+  if (major === 4 || major === 5) {
+    const out = major === 4 ? [] : {};
+    for (let i = 0; i < arg; i += 1) {
+      let key = i;
+      if (major === 5) [key, pos] = decodeCbor(buf, pos);
+      let value;
+      [value, pos] = decodeCbor(buf, pos);
+      out[key] = value;
+    }
+    return [out, pos];
+  }
+  if (major === 6) {
+    const [value, next] = decodeCbor(buf, pos);
+    return [{ tag: arg, value }, next];
+  }
+  return [info === 21 ? true : info === 20 ? false : null, pos];
+}
+
+const CARV2_PRAGMA = Buffer.from('0aa16776657273696f6e02', 'hex');
+const CAR_HEADER_READ_BYTES = 64 * 1024;
+
+// Roots named in a spooled CAR's header (v1, or the v1 payload of a v2 file); [] if unreadable.
+async function readCarRoots(tmpFile) {
+  let fh;
+  try {
+    fh = await fs.promises.open(tmpFile, 'r');
+    const readAt = async (position) => {
+      const buf = Buffer.alloc(CAR_HEADER_READ_BYTES);
+      const { bytesRead } = await fh.read(buf, 0, buf.length, position);
+      return buf.subarray(0, bytesRead);
+    };
+    let head = await readAt(0);
+    if (head.subarray(0, CARV2_PRAGMA.length).equals(CARV2_PRAGMA)) {
+      // The v2 header follows the pragma: 16 bytes of characteristics, then the data offset.
+      head = await readAt(Number(head.readBigUInt64LE(CARV2_PRAGMA.length + 16)));
+    }
+    const [length, lengthBytes] = varint.decode(head);
+    const [header] = decodeCbor(head.subarray(lengthBytes, lengthBytes + length), 0);
+    const roots = Array.isArray(header?.roots) ? header.roots : [];
+    return roots
+      .filter((r) => r && r.tag === 42 && r.value?.length > 1)
+      .map((r) => CID.decode(r.value.subarray(1)).toString());
+  } catch {
+    return [];
+  } finally {
+    await fh?.close().catch(() => null);
+  }
+}
+
+// Whether Kubo held each CID before this job pinned it; only pins the job created itself are
+// released when it is refused. Kept on the job, so a retry still knows what its first attempt
+// found.
+async function notePinnedBefore(job, cids) {
+  if (!job.kuboPinnedBefore) job.kuboPinnedBefore = new Map();
+  for (const cid of cids) {
+    // eslint-disable-next-line no-await-in-loop
+    if (!job.kuboPinnedBefore.has(cid)) job.kuboPinnedBefore.set(cid, await isPinnedInKubo(cid));
+  }
+}
+
+// One attempt: Kubo import, then plan accounting under the wallet's quota lock. Returns the
+// roots, or throws an IngestJobError (retry: false when trying again cannot help). The roots'
+// CID locks are held from pinning to recording (or releasing) them, so a refused pin job cannot
+// release a root this import is about to record, and the other way round.
+async function importJob(job) {
+  const { jobId, wallet, tmpFile } = job;
+  try {
+    await fs.promises.access(tmpFile);
+  } catch {
+    throw new IngestJobError('upload_missing', { retry: false });
+  }
+
+  let quota;
+  try {
+    quota = await getWalletQuota(wallet);
+  } catch (planErr) {
+    const unreachable = planErr && planErr.code === 'CHAIN_UNREACHABLE';
+    throw new IngestJobError(unreachable ? 'chain_unreachable' : 'plan_validation_failed');
+  }
+
+  if (job.kind === 'add') {
+    const added = await kuboAdd(job);
+    return withCidLocks(added, async () => {
+      await notePinnedBefore(job, added);
+      await kuboPinRoots(jobId, added);
+      return recordImportedRoots(job, quota, added);
+    });
+  }
+
+  // dag/import pins the roots named in the CAR header, so those are checked and locked first.
+  // Roots the header does not name (or an unreadable header) are never released on refusal.
+  const headerRoots = await readCarRoots(tmpFile);
+  return withCidLocks(headerRoots, async () => {
+    await notePinnedBefore(job, headerRoots);
+    return recordImportedRoots(job, quota, await kuboDagImport(job));
+  });
+}
+
+// Quota check and wallet_roots write for the roots Kubo reported; on refusal the roots this job
+// pinned itself are released again.
+async function recordImportedRoots(job, quota, roots) {
+  const { jobId, wallet, bytes } = job;
+  const uniqueRoots = Array.from(new Set(roots));
+
+  debugLog('ingest', 'kubo roots', {
+    jobId,
+    kind: job.kind || 'car',
+    roots: roots.length,
+    uniqueRoots: uniqueRoots.length,
+    sample: uniqueRoots.slice(0, 3)
+  });
+
+  if (uniqueRoots.length === 0) {
+    // eslint-disable-next-line no-console
+    console.error('[ingestQueue] kubo import returned no roots', { jobId });
+    throw new IngestJobError('no_roots', { retry: false });
+  }
+
+  // Accounted bytes are the DAG sizes Kubo reports, not the CAR size. A root Kubo cannot size
+  // (dag/stat failed or timed out) is charged the uploaded byte count instead.
+  const rootSizes = new Map();
+  if (quota.total != null) {
+    for (const rootCid of uniqueRoots) {
+      // eslint-disable-next-line no-await-in-loop
+      rootSizes.set(rootCid, (await measureDagSize(rootCid)) ?? bytes);
+    }
+  }
+
+  let quotaVerdict;
+  try {
+    quotaVerdict = await withWalletQuotaLock(wallet, async () => {
+      if (quota.total != null) {
+        const fresh = await getWalletQuota(wallet);
+        const extra = await getAdditionalBytes(wallet, rootSizes);
+        if (fresh.total != null && extra > fresh.remaining) {
+          return { ok: false, remaining: fresh.remaining, extra };
+        }
+      }
+      await addOrUpdateWalletRoots({
+        wallet,
+        roots: uniqueRoots,
+        bytesEstimated: bytes
+      });
+      return { ok: true };
+    });
+  } catch (dbErr) {
+    // eslint-disable-next-line no-console
+    console.error('[ingestQueue] wallet_roots insert failed', {
+      jobId,
+      code: dbErr && dbErr.code ? String(dbErr.code) : null,
+      message: dbErr && dbErr.message ? String(dbErr.message) : String(dbErr || 'db_error')
+    });
+    debugLog('db', 'wallet_roots insert failed', formatError(dbErr));
+    // Importing the same upload again is harmless, so the whole attempt is retried.
+    throw new IngestJobError('wallet_roots_insert_failed');
+  }
+
+  if (!quotaVerdict.ok) {
+    // eslint-disable-next-line no-console
+    console.error('[ingestQueue] import exceeds quota', {
+      jobId,
+      wallet,
+      bytes: quotaVerdict.extra,
+      remaining: quotaVerdict.remaining
+    });
+    for (const rootCid of uniqueRoots) {
+      if (job.kuboPinnedBefore?.get(rootCid) !== false) continue;
+      // eslint-disable-next-line no-await-in-loop
+      await releaseUnownedPin(rootCid, { exceptJobId: jobId });
+    }
+    void sendWebhookEvent('ingest_rejected', {
+      wallet,
+      job_id: jobId,
+      roots: uniqueRoots,
+      error: 'quota_exceeded',
+      size_bytes: quotaVerdict.extra,
+      remaining_bytes: quotaVerdict.remaining
+    });
+    const err = new IngestJobError('quota_exceeded', { retry: false });
+    err.roots = uniqueRoots;
+    err.notified = true;
+    throw err;
+  }
+
+  return uniqueRoots;
+}
+
+async function runJob(job) {
+  const { jobId, wallet, planId, displayName, tmpFile, bytes } = job;
+  const attempts = (job.attempts || 0) + 1;
+  await updateWalletIngestJob(jobId, { state: 'importing', attempts });
+  debugLog('ingest', 'job start', { jobId, wallet, planId, bytes, attempts });
+
+  let roots;
+  try {
+    roots = await importJob(job);
+  } catch (err) {
+    const message = String(err?.message || err || 'ingest_failed').slice(0, 240);
+    const retry = err instanceof IngestJobError ? err.retry : true;
+    if (retry && attempts < MAX_ATTEMPTS) {
+      const nextAttemptAt = Date.now() + retryDelayMs(attempts);
+      // eslint-disable-next-line no-console
+      console.error('[ingestQueue] attempt failed, retrying', {
+        jobId,
+        attempts,
+        error: message,
+        retryInSec: Math.round((nextAttemptAt - Date.now()) / 1000)
+      });
+      await updateWalletIngestJob(jobId, { state: 'queued', error: message, nextAttemptAt });
+      schedule({ ...job, attempts }, nextAttemptAt);
+      return;
+    }
+
+    // eslint-disable-next-line no-console
+    console.error('[ingestQueue] job failed', { jobId, attempts, error: message });
+    await updateWalletIngestJob(jobId, {
+      state: 'failed',
+      error: message,
+      roots: err?.roots || []
+    });
+    if (!err?.notified) {
+      void sendWebhookEvent('ingest_failed', {
+        wallet,
+        job_id: jobId,
+        planId: planId || null,
+        uploadedBytes: bytes,
+        attempts,
+        error: message
+      });
+    }
+    try { await fs.promises.unlink(tmpFile); } catch {}
+    return;
+  }
+
+  await updateWalletIngestJob(jobId, { state: 'imported', roots, error: null });
+  try { await fs.promises.unlink(tmpFile); } catch {}
+
+  recordIngest(wallet, bytes);
+
+  if (displayName) {
+    for (const rootCid of roots) {
       try {
+        // eslint-disable-next-line no-await-in-loop
+        await setWalletCidDisplayName(wallet, rootCid, displayName);
+      } catch (nameErr) {
         // eslint-disable-next-line no-console
-        console.error('[ingestQueue] job failed', {
-          jobId: job.id,
-          error: err && err.message ? String(err.message) : 'unknown_error'
+        console.error('[ingestQueue] wallet_cid_metadata upsert failed', {
+          code: nameErr && nameErr.code ? String(nameErr.code) : null,
+          message:
+            nameErr && nameErr.message ? String(nameErr.message) : String(nameErr || 'db_error')
         });
-      } catch {}
+        debugLog('db', 'wallet_cid_metadata upsert failed', formatError(nameErr));
+      }
     }
   }
-  running = false;
+
+  void sendWebhookEvent('ingest', {
+    wallet,
+    planId: planId || null,
+    uploadedBytes: bytes,
+    job_id: jobId,
+    roots
+  });
+
+  // eslint-disable-next-line no-console
+  console.log('[ingestQueue] job completed', { jobId, bytes, attempts });
+}
+
+// Called once at startup: drops old finished jobs and requeues interrupted ones, keeping the
+// backoff of jobs that were waiting for a retry.
+export async function initIngestJobs() {
+  try {
+    await pruneFinishedIngestJobs(Date.now() - RETENTION_MS);
+  } catch (err) {
+    // eslint-disable-next-line no-console
+    console.error('[ingestQueue] prune failed', err);
+  }
+  const jobs = await listUnfinishedIngestJobs();
+  for (const job of jobs) schedule(job, job.nextAttemptAt);
+  debugLog('init', 'ingest jobs resumed', { count: jobs.length });
+  return jobs.length;
 }
@@ -0,0 +1,242 @@
+import { CID } from 'multiformats/cid';
+import { CONFIG } from '../config.js';
+import { kuboRequest } from '../lib/kuboClient.js';
+import { fetchPresentPins } from '../lib/indexerClient.js';
+import {
+  listAllWalletCidRefs,
+  listUnfinishedPinJobs,
+  syncPinDriftFlags,
+  listPinDriftFlags
+} from '../lib/walletDb.js';
+import { mapWithConcurrency } from '../lib/walletUnpin.js';
+import { debugLog } from '../lib/logger.js';
+
+// Pin-set drift reconciler. Compares three views of what this gateway pins:
+//   - wallet_pins / wallet_roots (what wallets pay for),
+//   - Kubo's recursive pin set (what is actually kept),
+//   - the indexer's cids.present pin roots (what search and usage see).
+// Findings: wallet pins and roots without a Kubo pin (a missing root usually means its import
+// failed), Kubo pins no wallet owns (orphans) and indexer entries out of step with Kubo.
+// Missing CIDs can be re-pinned; orphans are only flagged, since the operator may have pinned
+// them by hand (`POST /admin/unpin` removes one).
+//
+// Off unless enabled in config.json:
+//   "pinDrift": { "enabled": true, "intervalSec": 3600, "repair": false, "graceSec": 600 }
+// With `repair`, each pass re-pins CIDs that were already missing on the previous pass.
+
+const DRIFT_CONFIG = (() => {
+  const raw = CONFIG.GATEWAY?.pinDrift || {};
+  const intervalSec = Number(raw.intervalSec);
+  const graceSec = Number(raw.graceSec);
+  return {
+    enabled: raw.enabled === true,
+    repair: raw.repair === true,
+    intervalMs: (Number.isFinite(intervalSec) && intervalSec >= 300 ? intervalSec : 3600) * 1000,
+    // References younger than this are skipped: their pin or import may still be running.
+    graceMs: (Number.isFinite(graceSec) && graceSec >= 0 ? graceSec : 600) * 1000
+  };
+})();
+
+const REPAIR_CONCURRENCY = 2;
+const REPAIR_TIMEOUT_MS = 10 * 60 * 1000;
+const REPORT_LIST_MAX = 500;
+
+let timer = null;
+let running = false;
+let lastRun = null;
+let repairedTotal = 0;
+let repairFailedTotal = 0;
+
+// CIDv0 and CIDv1 spellings of the same content compare equal.
+function cidKey(cid) {
+  const raw = String(cid || '').trim();
+  try {
+    return CID.parse(raw).toV1().toString();
+  } catch {
+    return raw;
+  }
+}
+
+async function fetchKuboRecursivePins() {
+  const resp = await kuboRequest('/api/v0/pin/ls?type=recursive&stream=false&quiet=false', {
+    timeoutMs: 120_000
+  });
+  const text = await resp.text();
+  if (!resp.ok) throw new Error(`pin/ls failed (${resp.status}): ${text.slice(0, 240)}`);
+  return Object.keys(JSON.parse(text).Keys || {});
+}
+
+async function repinCid(cid) {
+  try {
+    const resp = await kuboRequest(`/api/v0/pin/add?arg=${encodeURIComponent(cid)}`, {
+      timeoutMs: REPAIR_TIMEOUT_MS
+    });
+    const text = await resp.text();
+    if (resp.ok) return { cid, status: 'repinned' };
+    return { cid, status: 'failed', details: text.slice(0, 240) };
+  } catch (err) {
+    return { cid, status: 'failed', details: String(err?.message || err).slice(0, 240) };
+  }
+}
+
+// Re-pins `cids` in Kubo; wallet tables already reference them, so nothing else changes.
+export async function repairMissingPins(cids) {
+  const results = await mapWithConcurrency(cids, REPAIR_CONCURRENCY, repinCid);
+  for (const r of results) {
+    if (r.status === 'repinned') repairedTotal += 1;
+    else repairFailedTotal += 1;
+  }
+  if (results.length) {
+    // eslint-disable-next-line no-console
+    console.warn('[pinDrift] repair', {
+      repinned: results.filter((r) => r.status === 'repinned').length,
+      failed: results.filter((r) => r.status === 'failed').length
+    });
+  }
+  return results;
+}
+
+function capped(list) {
+  return { total: list.length, items: list.slice(0, REPORT_LIST_MAX) };
+}
+
+export async function runPinDriftPass({ repair = DRIFT_CONFIG.repair, nowMs = Date.now() } = {}) {
+  if (running) return null;
+  running = true;
+  const summary = {
+    started_at: nowMs,
+    finished_at: null,
+    repair,
+    kubo_pins: 0,
+    wallet_cids: 0,
+    indexer_checked: false
+  };
+  try {
+    let kuboPins;
+    try {
+      kuboPins = await fetchKuboRecursivePins();
+    } catch (err) {
+      // Without the live pin set nothing can be concluded.
+      summary.error = 'kubo_unavailable';
+      summary.details = String(err?.message || err).slice(0, 240);
+      return summary;
+    }
+    const kuboKeys = new Set(kuboPins.map(cidKey));
+    summary.kubo_pins = kuboKeys.size;
+
+    const busy = new Set((await listUnfinishedPinJobs()).map((j) => cidKey(j.cid)));
+    const graceCut = nowMs - DRIFT_CONFIG.graceMs;
+
+    // key -> { cid, wallets, kinds, settled }
+    const owned = new Map();
+    for (const ref of await listAllWalletCidRefs()) {
+      const key = cidKey(ref.cid);
+      let entry = owned.get(key);
+      if (!entry) {
+        entry = { cid: ref.cid, wallets: new Set(), kinds: new Set(), settled: true };
+        owned.set(key, entry);
+      }
+      entry.wallets.add(ref.wallet);
+      entry.kinds.add(ref.kind);
+      if (!(ref.created_at < graceCut)) entry.settled = false;
+    }
+    summary.wallet_cids = owned.size;
+
+    const missingPins = [];
+    const missingRoots = [];
+    for (const [key, entry] of owned) {
+      if (kuboKeys.has(key) || busy.has(key) || !entry.settled) continue;
+      const item = { cid: entry.cid, wallets: Array.from(entry.wallets).sort() };
+      // A CID that is both a root and a pin is reported as a root: its import is what failed.
+      if (entry.kinds.has('root')) missingRoots.push(item);
+      else missingPins.push(item);
+    }
+    const orphans = kuboPins
+      .filter((cid) => !owned.has(cidKey(cid)) && !busy.has(cidKey(cid)))
+      .map((cid) => ({ cid }));
+
+    await syncPinDriftFlags(
+      {
+        missing_pin: missingPins.map((m) => m.cid),
+        missing_root: missingRoots.map((m) => m.cid),
+        orphan: orphans.map((o) => o.cid)
+      },
+      nowMs
+    );
+    const firstSeen = new Map(
+      (await listPinDriftFlags()).map((f) => [`${f.kind}:${f.cid}`, f.firstSeenAt])
+    );
+    for (const m of missingPins) m.first_seen_at = firstSeen.get(`missing_pin:${m.cid}`) ?? nowMs;
+    for (const m of missingRoots) m.first_seen_at = firstSeen.get(`missing_root:${m.cid}`) ?? nowMs;
+    for (const o of orphans) o.first_seen_at = firstSeen.get(`orphan:${o.cid}`) ?? nowMs;
+
+    summary.missing_pins = capped(missingPins);
+    summary.missing_roots = capped(missingRoots);
+    summary.orphans = capped(orphans);
+
+    // The indexer refreshes from `pin ls` on its own schedule, so a short lag is normal.
+    const indexer = await fetchPresentPins();
+    if (indexer.ok) {
+      const indexerKeys = new Set(indexer.cids.map(cidKey));
+      summary.indexer_checked = true;
+      summary.indexer_last_refresh_ts = indexer.lastRefreshTs;
+      summary.indexer_missing = capped(kuboPins.filter((cid) => !indexerKeys.has(cidKey(cid))));
+      summary.indexer_stale = capped(indexer.cids.filter((cid) => !kuboKeys.has(cidKey(cid))));
+    } else {
+      summary.indexer_error = indexer.error;
+    }
+
+    if (repair) {
+      // Only CIDs already missing on an earlier pass, so a pin that raced this one is left alone.
+      const due = [...missingPins, ...missingRoots]
+        .filter((m) => m.first_seen_at < nowMs)
+        .map((m) => m.cid);
+      const results = await repairMissingPins(due);
+      summary.repaired = results.filter((r) => r.status === 'repinned').map((r) => r.cid);
+      summary.repair_failed = results.filter((r) => r.status === 'failed');
+    }
+  } catch (err) {
+    // eslint-disable-next-line no-console
+    console.error('[pinDrift] pass failed', err);
+    summary.error = String(err?.message || err);
+  } finally {
+    summary.finished_at = Date.now();
+    lastRun = summary;
+    running = false;
+  }
+  debugLog('kubo', 'pin drift pass', {
+    kuboPins: summary.kubo_pins,
+    missingPins: summary.missing_pins?.total ?? null,
+    missingRoots: summary.missing_roots?.total ?? null,
+    orphans: summary.orphans?.total ?? null,
+    error: summary.error ?? null
+  });
+  return summary;
+}
+
+export function getPinDriftStats() {
+  return {
+    lastRun,
+    repairedTotal,
+    repairFailedTotal
+  };
+}
+
+export function getPinDriftConfig() {
+  return {
+    enabled: DRIFT_CONFIG.enabled,
+    repair: DRIFT_CONFIG.repair,
+    interval_sec: DRIFT_CONFIG.intervalMs / 1000,
+    grace_sec: DRIFT_CONFIG.graceMs / 1000
+  };
+}
+
+export function initPinDriftReconciler() {
+  if (!DRIFT_CONFIG.enabled || timer) return false;
+  timer = setInterval(() => {
+    void runPinDriftPass();
+  }, DRIFT_CONFIG.intervalMs);
+  timer.unref?.();
+  setTimeout(() => void runPinDriftPass(), 60_000).unref?.();
+  return true;
+}
@@ -0,0 +1,306 @@
+import crypto from 'node:crypto';
+import { kuboRequest } from '../lib/kuboClient.js';
+import { ensureChainOnline } from '../lib/chain.js';
+import {
+  insertWalletPinJob,
+  getLatestWalletPinJobForCid,
+  PIN_JOB_ACTIVE_STATES,
+  updateWalletPinJob,
+  listUnfinishedPinJobs,
+  pruneFinishedPinJobs,
+  addWalletPin
+} from '../lib/walletDb.js';
+import { recordPin } from '../lib/walletRegistry.js';
+import {
+  measureDagSize,
+  getWalletQuota,
+  getAdditionalBytes,
+  withWalletQuotaLock,
+  withCidLocks,
+  isPinnedInKubo,
+  releaseUnownedPin
+} from '../lib/walletQuota.js';
+import { sendWebhookEvent } from '../lib/webhook.js';
+import { debugLog } from '../lib/logger.js';
+
+// Background pin worker. Jobs live in wallet_pin_jobs so a restart picks up whatever was
+// queued or still fetching; Kubo's `pin/add?progress=true` stream feeds blocks_fetched.
+
+const CONCURRENCY = (() => {
+  const n = Number(process.env.PIN_JOB_CONCURRENCY);
+  if (Number.isFinite(n) && n >= 1) return Math.min(32, Math.floor(n));
+  return 4;
+})();
+
+const JOB_TIMEOUT_MS = (() => {
+  const n = Number(process.env.PIN_JOB_TIMEOUT_MS);
+  if (Number.isFinite(n) && n > 0) return Math.floor(n);
+  return 60 * 60 * 1000;
+})();
+
+const RETENTION_MS = 7 * 24 * 60 * 60 * 1000;
+const PROGRESS_WRITE_INTERVAL_MS = 2000;
+
+const queue = [];
+const queuedIds = new Set();
+const controllers = new Map();
+const cancelledIds = new Set();
+let running = 0;
+
+export async function createPinJob(wallet, cid) {
+  const jobId = `pin-${crypto.randomBytes(12).toString('hex')}`;
+  const createdAt = Date.now();
+  await insertWalletPinJob({ jobId, wallet, cid, createdAt });
+  schedule({ jobId, wallet, cid });
+  return { jobId, wallet, cid, state: 'queued', blocksFetched: 0, createdAt };
+}
+
+// Chain + quota admission shared by /pin, /pin/batch and the Pinning Service API, then an
+// active job for the same CID is reused or a new one created. /pin/batch passes the `quota` it
+// has already read and keeps lowering `remaining` itself. Returns { ok: true, job, extraBytes }
+// (null when the DAG is not local yet) or { ok: false, status, body } with the /pin error body.
+export async function admitPinJob(wallet, cid, { quota: knownQuota = null } = {}) {
+  let quota = knownQuota;
+  if (!quota) {
+    try {
+      await ensureChainOnline();
+    } catch (err) {
+      if (err && err.code === 'CHAIN_UNREACHABLE') {
+        return { ok: false, status: 503, body: { error: 'chain_unreachable' } };
+      }
+      throw err;
+    }
+
+    try {
+      quota = await getWalletQuota(wallet);
+    } catch (planErr) {
+      // eslint-disable-next-line no-console
+      console.error('[pinJobs] plan validation error', {
+        code: planErr && planErr.code ? String(planErr.code) : 'unknown_error'
+      });
+      if (planErr && planErr.code === 'CHAIN_UNREACHABLE') {
+        return { ok: false, status: 503, body: { error: 'chain_unreachable' } };
+      }
+      return { ok: false, status: 503, body: { error: 'plan_validation_failed' } };
+    }
+  }
+  let extraBytes = null;
+  if (quota.total != null) {
+    // Only a DAG that is already local can be sized up front; the job re-checks once fetched.
+    const size = await measureDagSize(cid, { offline: true, timeoutMs: 5000 });
+    if (size != null) extraBytes = await getAdditionalBytes(wallet, new Map([[cid, size]]));
+    const overQuota = extraBytes != null ? extraBytes > quota.remaining : quota.remaining <= 0;
+    if (overQuota) {
+      return {
+        ok: false,
+        status: 403,
+        body: { error: 'quota_exceeded', remaining_bytes: quota.remaining }
+      };
+    }
+  }
+
+  // Fetching can take far longer than a request, so the pin always runs as a job.
+  try {
+    const latest = await getLatestWalletPinJobForCid(wallet, cid);
+    if (latest && PIN_JOB_ACTIVE_STATES.includes(latest.state)) {
+      return { ok: true, job: latest, extraBytes };
+    }
+  } catch (dbErr) {
+    // eslint-disable-next-line no-console
+    console.error('[pinJobs] wallet_pin_jobs lookup failed', dbErr);
+  }
+  return { ok: true, job: await createPinJob(wallet, cid), extraBytes };
+}
+
+// Stops a queued or running job; it ends as failed with error 'cancelled' and no pin is added.
+export async function cancelPinJob(jobId) {
+  const idx = queue.findIndex((j) => j.jobId === jobId);
+  if (idx >= 0) {
+    queue.splice(idx, 1);
+    queuedIds.delete(jobId);
+    await updateWalletPinJob(jobId, { state: 'failed', error: 'cancelled' });
+    return true;
+  }
+  const controller = controllers.get(jobId);
+  if (!controller) return false;
+  cancelledIds.add(jobId);
+  controller.abort();
+  return true;
+}
+
+function schedule(job) {
+  if (queuedIds.has(job.jobId)) return;
+  queuedIds.add(job.jobId);
+  queue.push(job);
+  pump();
+}
+
+function pump() {
+  while (running < CONCURRENCY && queue.length > 0) {
+    const job = queue.shift();
+    running += 1;
+    void runJob(job).finally(() => {
+      running -= 1;
+      queuedIds.delete(job.jobId);
+      pump();
+    });
+  }
+}
+
+// Reads the NDJSON stream; returns { pinned, error }.
+async function consumePinStream(resp, onProgress) {
+  const reader = resp.body.getReader();
+  const decoder = new TextDecoder();
+  let buf = '';
+  let pinned = false;
+  let error = null;
+
+  const handleLine = (line) => {
+    if (!line.trim()) return;
+    let msg;
+    try {
+      msg = JSON.parse(line);
+    } catch {
+      return;
+    }
+    if (Number.isFinite(msg.Progress)) onProgress(msg.Progress);
+    if (Array.isArray(msg.Pins) && msg.Pins.length) pinned = true;
+    if (msg.Type === 'error' || (msg.Message && !msg.Pins)) error = String(msg.Message || 'error');
+  };
+
+  for (;;) {
+    const { value, done } = await reader.read();
+    if (done) break;
+    buf += decoder.decode(value, { stream: true });
+    let nl;
+    while ((nl = buf.indexOf('\n')) >= 0) {
+      handleLine(buf.slice(0, nl));
+      buf = buf.slice(nl + 1);
+    }
+  }
+  handleLine(buf + decoder.decode());
+  return { pinned, error };
+}
+
+async function runJob(job) {
+  const { jobId, wallet, cid } = job;
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), JOB_TIMEOUT_MS);
+  controllers.set(jobId, controller);
+  let blocks = 0;
+  let lastWriteAt = 0;
+
+  try {
+    await updateWalletPinJob(jobId, { state: 'fetching' });
+    debugLog('kubo', 'pin job start', { jobId, cid });
+
+    // A refused job only releases a Kubo pin it created itself; null (Kubo could not tell)
+    // counts as already pinned.
+    job.kuboPinnedBefore = await isPinnedInKubo(cid);
+
+    const resp = await kuboRequest(
+      `/api/v0/pin/add?arg=${encodeURIComponent(cid)}&progress=true`,
+      { timeoutMs: JOB_TIMEOUT_MS, signal: controller.signal }
+    );
+    if (!resp.ok) {
+      const text = await resp.text();
+      let message = text;
+      try {
+        message = JSON.parse(text).Message || text;
+      } catch {
+        // keep the raw body
+      }
+      throw new Error(String(message).slice(0, 240) || `kubo_http_${resp.status}`);
+    }
+
+    const { pinned, error } = await consumePinStream(resp, (n) => {
+      blocks = n;
+      const now = Date.now();
+      if (now - lastWriteAt >= PROGRESS_WRITE_INTERVAL_MS) {
+        lastWriteAt = now;
+        void updateWalletPinJob(jobId, { blocksFetched: n }).catch(() => null);
+      }
+    });
+    if (!pinned) throw new Error(error || 'pin_incomplete');
+    if (controller.signal.aborted) throw new Error('pin_aborted');
+
+    // The DAG is local now, so dag/stat is cheap; the quota is checked against its real size.
+    const size = await measureDagSize(cid);
+    const verdict = await withCidLocks([cid], async () => {
+      const result = await withWalletQuotaLock(wallet, async () => {
+        let quota = null;
+        try {
+          quota = await getWalletQuota(wallet);
+        } catch (err) {
+          // Admitted by the pre-check in postPin; an unreachable chain does not undo the pin.
+          // eslint-disable-next-line no-console
+          console.error('[pinJobs] quota lookup failed', {
+            jobId,
+            error: String(err?.message || err)
+          });
+        }
+        if (quota && quota.total != null) {
+          // A DAG whose size Kubo cannot report is refused rather than pinned unaccounted.
+          const extra = await getAdditionalBytes(wallet, new Map([[cid, size]]));
+          if (extra == null) return { ok: false, error: 'quota_unmeasurable' };
+          if (extra > quota.remaining) return { ok: false, error: 'quota_exceeded' };
+        }
+        await addWalletPin(wallet, cid);
+        return { ok: true };
+      });
+      if (!result.ok && job.kuboPinnedBefore === false) {
+        await releaseUnownedPin(cid, { exceptJobId: jobId });
+      }
+      return result;
+    });
+    if (!verdict.ok) throw new Error(verdict.error);
+
+    await updateWalletPinJob(jobId, { state: 'pinned', blocksFetched: blocks });
+    recordPin(wallet);
+    void sendWebhookEvent('pin', {
+      wallet,
+      cid,
+      job_id: jobId,
+      blocks_fetched: blocks,
+      size_bytes: size
+    });
+  } catch (err) {
+    const cancelled = cancelledIds.has(jobId);
+    let message = String(err?.message || err || 'pin_failed').slice(0, 240);
+    if (cancelled) message = 'cancelled';
+    else if (controller.signal.aborted) message = 'pin_timeout';
+    // eslint-disable-next-line no-console
+    console.error('[pinJobs] job failed', { jobId, cid, error: message });
+    try {
+      await updateWalletPinJob(jobId, { state: 'failed', blocksFetched: blocks, error: message });
+    } catch (dbErr) {
+      // eslint-disable-next-line no-console
+      console.error('[pinJobs] failed to record job failure', dbErr);
+    }
+    if (!cancelled) {
+      void sendWebhookEvent('pin_failed', { wallet, cid, job_id: jobId, error: message });
+    }
+  } finally {
+    clearTimeout(timer);
+    controllers.delete(jobId);
+    cancelledIds.delete(jobId);
+  }
+}
+
+export function getPinJobStats() {
+  return { running, queued: queue.length, concurrency: CONCURRENCY };
+}
+
+// Called once at startup: drops old finished jobs and requeues interrupted ones.
+export async function initPinJobs() {
+  try {
+    await pruneFinishedPinJobs(Date.now() - RETENTION_MS);
+  } catch (err) {
+    // eslint-disable-next-line no-console
+    console.error('[pinJobs] prune failed', err);
+  }
+  const jobs = await listUnfinishedPinJobs();
+  for (const job of jobs) schedule(job);
+  debugLog('init', 'pin jobs resumed', { count: jobs.length });
+  return jobs.length;
+}
@@ -0,0 +1,227 @@
+import { CONFIG } from '../config.js';
+import {
+  listWalletsWithPlanExpiringBefore,
+  listWalletCidRefs,
+  getWalletRow,
+  hasExpiryNotice,
+  recordExpiryNotice
+} from '../lib/walletDb.js';
+import { ensureWalletPlanOk } from '../lib/walletPlan.js';
+import { getUnpinAction, unpinWalletCids } from '../lib/walletUnpin.js';
+import { recordUnpin } from '../lib/walletRegistry.js';
+import { sendWebhookEvent } from '../lib/webhook.js';
+import { debugLog } from '../lib/logger.js';
+
+// Plan-expiry reconciler. Wallets whose cached plan_expires_at is close or past get warning
+// webhooks; once the grace period is over their roots and pins are removed through
+// unpinWalletCids, the same shared-ownership rule /unpin and /unpin/batch use. The plan is
+// re-read from chain before acting, so a renewal that the gateway has not seen yet never leads
+// to an unpin.
+//
+// config.json:
+//   "planExpiry": { "enabled": true, "warnDaysBefore": [7, 0], "graceDays": 14, "intervalSec": 3600 }
+// A warning at 0 days is sent when the plan expires.
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const EXPIRY_CONFIG = (() => {
+  const raw = CONFIG.GATEWAY?.planExpiry || {};
+  const warn = Array.isArray(raw.warnDaysBefore) ? raw.warnDaysBefore : [7, 0];
+  const graceDays = Number(raw.graceDays);
+  const intervalSec = Number(raw.intervalSec);
+  return {
+    enabled: raw.enabled === true,
+    warnDaysBefore: Array.from(
+      new Set(warn.map(Number).filter((d) => Number.isFinite(d) && d >= 0))
+    ).sort((a, b) => b - a),
+    graceMs: (Number.isFinite(graceDays) && graceDays >= 0 ? graceDays : 14) * DAY_MS,
+    intervalMs: (Number.isFinite(intervalSec) && intervalSec >= 60 ? intervalSec : 3600) * 1000
+  };
+})();
+
+let timer = null;
+let running = false;
+let lastRun = null;
+
+function lookaheadMs() {
+  return (EXPIRY_CONFIG.warnDaysBefore[0] || 0) * DAY_MS;
+}
+
+function phaseOf(expiresAt, nowMs) {
+  if (nowMs >= expiresAt + EXPIRY_CONFIG.graceMs) return 'due';
+  if (nowMs >= expiresAt) return 'grace';
+  return 'expiring';
+}
+
+// Warnings whose time has come, most urgent first.
+function dueWarnings(expiresAt, nowMs) {
+  return EXPIRY_CONFIG.warnDaysBefore
+    .filter((d) => nowMs >= expiresAt - d * DAY_MS)
+    .sort((a, b) => a - b);
+}
+
+async function sendWarnings(row, nowMs) {
+  const expiresAt = row.plan_expires_at;
+  const pending = [];
+  for (const days of dueWarnings(expiresAt, nowMs)) {
+    if (!(await hasExpiryNotice(row.wallet, expiresAt, `warn_${days}d`))) pending.push(days);
+  }
+  if (!pending.length) return null;
+
+  // Only the most urgent one goes out; older thresholds that were missed are marked as sent.
+  const days = pending[0];
+  void sendWebhookEvent(days === 0 ? 'plan_expired' : 'plan_expiry_warning', {
+    wallet: row.wallet,
+    plan_id: row.plan_id ?? null,
+    expires_at: expiresAt,
+    days_before: days,
+    grace_ends_at: expiresAt + EXPIRY_CONFIG.graceMs
+  });
+  for (const d of pending) await recordExpiryNotice(row.wallet, expiresAt, `warn_${d}d`, nowMs);
+  return days;
+}
+
+async function removeWalletContent(row) {
+  const cids = await listWalletCidRefs(row.wallet);
+  const results = await unpinWalletCids(row.wallet, cids, { concurrency: 4 });
+  const pick = (status) => results.filter((r) => r.status === status).map((r) => r.cid);
+  const unpinned = pick('unpinned');
+  const released = pick('released');
+  const failed = pick('failed');
+
+  for (let i = 0; i < unpinned.length + released.length; i += 1) recordUnpin(row.wallet);
+
+  // eslint-disable-next-line no-console
+  console.warn('[planExpiry] removed content of expired wallet', {
+    wallet: row.wallet,
+    expiresAt: row.plan_expires_at,
+    unpinned: unpinned.length,
+    released: released.length,
+    failed: failed.length
+  });
+  void sendWebhookEvent('plan_expired_unpinned', {
+    wallet: row.wallet,
+    plan_id: row.plan_id ?? null,
+    expires_at: row.plan_expires_at,
+    unpinned,
+    released,
+    failed
+  });
+  return { unpinned: unpinned.length, released: released.length, failed: failed.length };
+}
+
+export async function runPlanExpiryPass({ nowMs = Date.now() } = {}) {
+  if (running) return null;
+  running = true;
+  const summary = {
+    started_at: nowMs,
+    finished_at: null,
+    candidates: 0,
+    warnings_sent: 0,
+    wallets_removed: 0,
+    cids_unpinned: 0,
+    cids_released: 0,
+    cids_failed: 0,
+    chain_errors: 0
+  };
+  try {
+    const candidates = await listWalletsWithPlanExpiringBefore(nowMs + lookaheadMs());
+    summary.candidates = candidates.length;
+
+    for (const candidate of candidates) {
+      try {
+        await ensureWalletPlanOk(candidate.wallet, null);
+      } catch {
+        // Without a fresh answer from chain nothing is sent or removed for this wallet.
+        summary.chain_errors += 1;
+        continue;
+      }
+      const row = await getWalletRow(candidate.wallet);
+      const expiresAt = row?.plan_expires_at;
+      if (!Number.isFinite(expiresAt) || expiresAt > nowMs + lookaheadMs()) continue;
+
+      if ((await sendWarnings(row, nowMs)) != null) summary.warnings_sent += 1;
+
+      if (phaseOf(expiresAt, nowMs) === 'due') {
+        const removed = await removeWalletContent(row);
+        summary.wallets_removed += 1;
+        summary.cids_unpinned += removed.unpinned;
+        summary.cids_released += removed.released;
+        summary.cids_failed += removed.failed;
+      }
+    }
+  } catch (err) {
+    // eslint-disable-next-line no-console
+    console.error('[planExpiry] pass failed', err);
+    summary.error = String(err?.message || err);
+  } finally {
+    summary.finished_at = Date.now();
+    lastRun = summary;
+    running = false;
+  }
+  debugLog('wallet', 'plan expiry pass', summary);
+  return summary;
+}
+
+// Dry run: what the reconciler would warn about and remove, from the cached plan data.
+export async function buildPlanExpiryReport({ nowMs = Date.now() } = {}) {
+  const candidates = await listWalletsWithPlanExpiringBefore(nowMs + lookaheadMs());
+  const wallets = [];
+  const totals = { wallets_due: 0, cids_unpin: 0, cids_release: 0 };
+
+  for (const row of candidates) {
+    const expiresAt = row.plan_expires_at;
+    const phase = phaseOf(expiresAt, nowMs);
+    const cids = await listWalletCidRefs(row.wallet);
+
+    const pendingWarnings = [];
+    for (const days of dueWarnings(expiresAt, nowMs)) {
+      if (!(await hasExpiryNotice(row.wallet, expiresAt, `warn_${days}d`))) pendingWarnings.push(days);
+    }
+
+    const entry = {
+      wallet: row.wallet,
+      plan_id: row.plan_id ?? null,
+      plan_expires_at: expiresAt,
+      grace_ends_at: expiresAt + EXPIRY_CONFIG.graceMs,
+      last_chain_check_at: row.last_chain_check_at ?? null,
+      phase,
+      pending_warnings: pendingWarnings,
+      cids_total: cids.length
+    };
+
+    if (phase === 'due') {
+      totals.wallets_due += 1;
+      entry.remove = [];
+      for (const cid of cids) {
+        const action = await getUnpinAction(row.wallet, cid);
+        if (action === 'none') continue;
+        entry.remove.push({ cid, action });
+        if (action === 'unpin') totals.cids_unpin += 1;
+        else totals.cids_release += 1;
+      }
+    }
+    wallets.push(entry);
+  }
+
+  return {
+    enabled: EXPIRY_CONFIG.enabled,
+    warn_days_before: EXPIRY_CONFIG.warnDaysBefore,
+    grace_days: EXPIRY_CONFIG.graceMs / DAY_MS,
+    generated_at: nowMs,
+    last_run: lastRun,
+    totals,
+    wallets
+  };
+}
+
+export function initPlanExpiryReconciler() {
+  if (!EXPIRY_CONFIG.enabled || timer) return false;
+  timer = setInterval(() => {
+    void runPlanExpiryPass();
+  }, EXPIRY_CONFIG.intervalMs);
+  timer.unref?.();
+  // First pass shortly after startup rather than a full interval later.
+  setTimeout(() => void runPlanExpiryPass(), 30_000).unref?.();
+  return true;
+}
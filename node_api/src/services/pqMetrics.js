@@ -0,0 +1,17 @@
+const keyUseCounters = new Map();
+
+export function recordPqKeyUse({ keyId, result }) {
+  const k = String(keyId || '').trim() || 'unknown';
+  const r = String(result || '').trim() || 'unknown';
+  const key = `${k}|${r}`;
+  keyUseCounters.set(key, (keyUseCounters.get(key) || 0) + 1);
+}
+
+export function getPqMetricsSnapshot() {
+  const keyUse = [];
+  for (const [key, count] of keyUseCounters.entries()) {
+    const [keyId, result] = key.split('|');
+    keyUse.push({ keyId, result, count });
+  }
+  return { keyUse };
+}
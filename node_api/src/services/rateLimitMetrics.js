@@ -0,0 +1,17 @@
+const rejectedCounters = new Map();
+
+export function recordRateLimited({ scope, route }) {
+  const s = String(scope || '').trim() || 'unknown';
+  const r = String(route || '').trim() || 'default';
+  const key = `${s}|${r}`;
+  rejectedCounters.set(key, (rejectedCounters.get(key) || 0) + 1);
+}
+
+export function getRateLimitMetricsSnapshot() {
+  const rejected = [];
+  for (const [key, count] of rejectedCounters.entries()) {
+    const [scope, route] = key.split('|');
+    rejected.push({ scope, route, count });
+  }
+  return { rejected };
+}